@@ -0,0 +1,28 @@
+-- AlterEnum
+ALTER TYPE "AuditLogAction" ADD VALUE 'USER_LOGOUT';
+ALTER TYPE "AuditLogAction" ADD VALUE 'USER_SESSION_REVOKED';
+
+-- CreateTable
+CREATE TABLE "UserSession" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "refresh_token_hash" TEXT NOT NULL,
+    "device_name" TEXT,
+    "user_agent" TEXT,
+    "ip_address" TEXT,
+    "last_used_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UserSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserSession_refresh_token_hash_key" ON "UserSession"("refresh_token_hash");
+
+-- CreateIndex
+CREATE INDEX "UserSession_user_id_revoked_at_idx" ON "UserSession"("user_id", "revoked_at");
+
+-- AddForeignKey
+ALTER TABLE "UserSession" ADD CONSTRAINT "UserSession_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- AlterEnum
+ALTER TYPE "AuditLogAction" ADD VALUE 'USER_EMAIL_VERIFIED';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "verified_at" TIMESTAMP(3);
+
+-- Accounts created before email verification existed are treated as verified
+UPDATE "User" SET "verified_at" = "created_at";
+
+-- CreateTable
+CREATE TABLE "EmailVerificationToken" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "email" TEXT NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "EmailVerificationToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EmailVerificationToken_token_hash_key" ON "EmailVerificationToken"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "EmailVerificationToken_user_id_created_at_idx" ON "EmailVerificationToken"("user_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "EmailVerificationToken" ADD CONSTRAINT "EmailVerificationToken_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- AlterEnum
+ALTER TYPE "AuditLogAction" ADD VALUE 'TWO_FACTOR_ENABLED';
+ALTER TYPE "AuditLogAction" ADD VALUE 'TWO_FACTOR_DISABLED';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "two_factor_backup_codes" TEXT[],
+ADD COLUMN     "two_factor_enabled_at" TIMESTAMP(3),
+ADD COLUMN     "two_factor_last_step" INTEGER,
+ADD COLUMN     "two_factor_secret" TEXT;
+
+-- CreateTable
+CREATE TABLE "AppSetting" (
+    "key" TEXT NOT NULL,
+    "value" JSONB NOT NULL,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AppSetting_pkey" PRIMARY KEY ("key")
+);
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "DataExportStatus" AS ENUM ('PENDING', 'PROCESSING', 'READY', 'FAILED', 'EXPIRED');
+
+-- AlterEnum
+ALTER TYPE "AuditLogAction" ADD VALUE 'USER_DATA_EXPORTED';
+
+-- CreateTable
+CREATE TABLE "DataExport" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "status" "DataExportStatus" NOT NULL DEFAULT 'PENDING',
+    "lang" TEXT NOT NULL DEFAULT 'en',
+    "file_name" TEXT,
+    "file_size" INTEGER,
+    "error" TEXT,
+    "expires_at" TIMESTAMP(3),
+    "completed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DataExport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DataExport_user_id_created_at_idx" ON "DataExport"("user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "DataExport_status_expires_at_idx" ON "DataExport"("status", "expires_at");
+
+-- AddForeignKey
+ALTER TABLE "DataExport" ADD CONSTRAINT "DataExport_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
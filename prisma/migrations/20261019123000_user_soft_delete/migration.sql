@@ -0,0 +1,10 @@
+-- AlterEnum
+ALTER TYPE "AuditLogAction" ADD VALUE 'USER_RESTORED';
+ALTER TYPE "AuditLogAction" ADD VALUE 'USER_ANONYMIZED';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "anonymized_at" TIMESTAMP(3),
+ADD COLUMN     "deleted_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "User_deleted_at_anonymized_at_idx" ON "User"("deleted_at", "anonymized_at");
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "UserPreference" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "language" TEXT NOT NULL DEFAULT 'en',
+    "phone_number" TEXT,
+    "timezone" TEXT NOT NULL DEFAULT 'UTC',
+    "marketing_opt_in" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "UserPreference_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserPreference_user_id_key" ON "UserPreference"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "UserPreference" ADD CONSTRAINT "UserPreference_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing users start with the defaults
+INSERT INTO "UserPreference" ("user_id", "updated_at")
+SELECT "id", CURRENT_TIMESTAMP FROM "User";
@@ -0,0 +1,42 @@
+-- AlterEnum
+ALTER TYPE "AuditLogAction" ADD VALUE 'API_KEY_CREATED';
+ALTER TYPE "AuditLogAction" ADD VALUE 'API_KEY_REVOKED';
+
+-- AlterTable
+ALTER TABLE "AuditLog" ADD COLUMN     "api_key_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ApiKey" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "key_hash" TEXT NOT NULL,
+    "scopes" TEXT[],
+    "user_id" INTEGER NOT NULL,
+    "created_by_id" INTEGER,
+    "expires_at" TIMESTAMP(3),
+    "last_used_at" TIMESTAMP(3),
+    "last_used_ip" TEXT,
+    "revoked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ApiKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ApiKey_key_hash_key" ON "ApiKey"("key_hash");
+
+-- CreateIndex
+CREATE INDEX "ApiKey_user_id_idx" ON "ApiKey"("user_id");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_api_key_id_idx" ON "AuditLog"("api_key_id");
+
+-- AddForeignKey
+ALTER TABLE "ApiKey" ADD CONSTRAINT "ApiKey_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ApiKey" ADD CONSTRAINT "ApiKey_created_by_id_fkey" FOREIGN KEY ("created_by_id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AuditLog" ADD CONSTRAINT "AuditLog_api_key_id_fkey" FOREIGN KEY ("api_key_id") REFERENCES "ApiKey"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "Gender" AS ENUM ('MALE', 'FEMALE');
+
+-- CreateTable
+CREATE TABLE "Dependant" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "birth_date" DATE NOT NULL,
+    "gender" "Gender" NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Dependant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BookingDependant" (
+    "booking_id" INTEGER NOT NULL,
+    "dependant_id" INTEGER NOT NULL,
+    "age_group" TEXT,
+
+    CONSTRAINT "BookingDependant_pkey" PRIMARY KEY ("booking_id","dependant_id")
+);
+
+-- CreateIndex
+CREATE INDEX "Dependant_user_id_idx" ON "Dependant"("user_id");
+
+-- CreateIndex
+CREATE INDEX "BookingDependant_dependant_id_idx" ON "BookingDependant"("dependant_id");
+
+-- AddForeignKey
+ALTER TABLE "Dependant" ADD CONSTRAINT "Dependant_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingDependant" ADD CONSTRAINT "BookingDependant_booking_id_fkey" FOREIGN KEY ("booking_id") REFERENCES "Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BookingDependant" ADD CONSTRAINT "BookingDependant_dependant_id_fkey" FOREIGN KEY ("dependant_id") REFERENCES "Dependant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- CreateEnum
+CREATE TYPE "ImageUploadStatus" AS ENUM ('PENDING', 'COMPLETED', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "Listing" ADD COLUMN     "image_upload_status" "ImageUploadStatus",
+ADD COLUMN     "image_upload_error" TEXT;
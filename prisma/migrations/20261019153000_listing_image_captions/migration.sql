@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Listing" ADD COLUMN     "image_captions" JSONB;
@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "Listing" ADD COLUMN     "timezone" TEXT NOT NULL DEFAULT 'UTC';
+
+-- CreateTable
+CREATE TABLE "ListingOpeningHours" (
+    "id" SERIAL NOT NULL,
+    "listing_id" INTEGER NOT NULL,
+    "day_of_week" INTEGER NOT NULL,
+    "opens_at" INTEGER NOT NULL,
+    "closes_at" INTEGER NOT NULL,
+
+    CONSTRAINT "ListingOpeningHours_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ListingHoursException" (
+    "id" SERIAL NOT NULL,
+    "listing_id" INTEGER NOT NULL,
+    "date" DATE NOT NULL,
+    "closed" BOOLEAN NOT NULL DEFAULT true,
+    "opens_at" INTEGER,
+    "closes_at" INTEGER,
+    "note" TEXT,
+
+    CONSTRAINT "ListingHoursException_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ListingOpeningHours_listing_id_idx" ON "ListingOpeningHours"("listing_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ListingHoursException_listing_id_date_key" ON "ListingHoursException"("listing_id", "date");
+
+-- AddForeignKey
+ALTER TABLE "ListingOpeningHours" ADD CONSTRAINT "ListingOpeningHours_listing_id_fkey" FOREIGN KEY ("listing_id") REFERENCES "Listing"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ListingHoursException" ADD CONSTRAINT "ListingHoursException_listing_id_fkey" FOREIGN KEY ("listing_id") REFERENCES "Listing"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Listing" ADD COLUMN     "slot_age_group_capacity" JSONB,
+ADD COLUMN     "slot_capacity" INTEGER,
+ADD COLUMN     "slot_duration" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Booking_listing_id_booking_date_idx" ON "Booking"("listing_id", "booking_date");
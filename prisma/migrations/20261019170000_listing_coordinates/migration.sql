@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Listing" ADD COLUMN     "latitude" DOUBLE PRECISION,
+ADD COLUMN     "longitude" DOUBLE PRECISION;
+
+-- CreateIndex
+CREATE INDEX "Listing_latitude_longitude_idx" ON "Listing"("latitude", "longitude");
@@ -0,0 +1,82 @@
+-- AlterTable
+ALTER TABLE "Listing" ADD COLUMN     "search_text_ar" TEXT,
+ADD COLUMN     "search_vector" tsvector;
+
+-- Search document of a listing: name (A), category names and facilities (B), location (C) and
+-- description (D) with English stemming, plus the normalized Arabic translation (B) as plain tokens
+CREATE OR REPLACE FUNCTION listing_search_vector(l "Listing") RETURNS tsvector AS $$
+  SELECT
+    setweight(to_tsvector('english', coalesce(l.name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce((
+      SELECT string_agg(c.name, ' ') FROM (
+        SELECT m.name FROM "MainCategoryOption" m JOIN "_ListingToMainCategoryOption" j ON j."B" = m.id WHERE j."A" = l.id
+        UNION ALL
+        SELECT s.name FROM "SubCategoryOption" s JOIN "_ListingToSubCategoryOption" j ON j."B" = s.id WHERE j."A" = l.id
+        UNION ALL
+        SELECT i.name FROM "SpecificItemOption" i JOIN "_ListingToSpecificItemOption" j ON j."B" = i.id WHERE j."A" = l.id
+      ) c
+    ), '') || ' ' || coalesce(array_to_string(l.facilities, ' '), '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(array_to_string(l.location, ' '), '')), 'C') ||
+    setweight(to_tsvector('english', coalesce(l.description, '')), 'D') ||
+    setweight(to_tsvector('simple', coalesce(l.search_text_ar, '')), 'B');
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION listing_search_vector_refresh() RETURNS trigger AS $$
+BEGIN
+  NEW.search_vector := listing_search_vector(NEW);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER listing_search_vector_refresh
+BEFORE INSERT OR UPDATE OF name, description, location, facilities, search_text_ar ON "Listing"
+FOR EACH ROW EXECUTE FUNCTION listing_search_vector_refresh();
+
+-- Category links and renames change the document too; touching the name column re-runs the trigger above
+CREATE OR REPLACE FUNCTION listing_search_vector_touch_link() RETURNS trigger AS $$
+BEGIN
+  UPDATE "Listing" SET name = name WHERE id = CASE WHEN TG_OP = 'DELETE' THEN OLD."A" ELSE NEW."A" END;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER listing_search_vector_link
+AFTER INSERT OR DELETE ON "_ListingToMainCategoryOption"
+FOR EACH ROW EXECUTE FUNCTION listing_search_vector_touch_link();
+
+CREATE TRIGGER listing_search_vector_link
+AFTER INSERT OR DELETE ON "_ListingToSubCategoryOption"
+FOR EACH ROW EXECUTE FUNCTION listing_search_vector_touch_link();
+
+CREATE TRIGGER listing_search_vector_link
+AFTER INSERT OR DELETE ON "_ListingToSpecificItemOption"
+FOR EACH ROW EXECUTE FUNCTION listing_search_vector_touch_link();
+
+-- TG_ARGV[0] is the link table of the renamed category type
+CREATE OR REPLACE FUNCTION listing_search_vector_touch_category() RETURNS trigger AS $$
+BEGIN
+  EXECUTE format('UPDATE "Listing" SET name = name WHERE id IN (SELECT "A" FROM %I WHERE "B" = $1)', TG_ARGV[0]) USING NEW.id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER listing_search_vector_category
+AFTER UPDATE OF name ON "MainCategoryOption"
+FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+EXECUTE FUNCTION listing_search_vector_touch_category('_ListingToMainCategoryOption');
+
+CREATE TRIGGER listing_search_vector_category
+AFTER UPDATE OF name ON "SubCategoryOption"
+FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+EXECUTE FUNCTION listing_search_vector_touch_category('_ListingToSubCategoryOption');
+
+CREATE TRIGGER listing_search_vector_category
+AFTER UPDATE OF name ON "SpecificItemOption"
+FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+EXECUTE FUNCTION listing_search_vector_touch_category('_ListingToSpecificItemOption');
+
+-- Backfill existing listings
+UPDATE "Listing" l SET search_vector = listing_search_vector(l);
+
+-- CreateIndex
+CREATE INDEX "Listing_search_vector_idx" ON "Listing" USING GIN ("search_vector");
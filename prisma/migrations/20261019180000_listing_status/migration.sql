@@ -0,0 +1,18 @@
+-- CreateEnum
+CREATE TYPE "ListingStatus" AS ENUM ('DRAFT', 'PENDING_REVIEW', 'PUBLISHED', 'ARCHIVED');
+
+-- AlterTable
+ALTER TABLE "Listing" ADD COLUMN     "status" "ListingStatus" NOT NULL DEFAULT 'DRAFT',
+ADD COLUMN     "publish_at" TIMESTAMP(3),
+ADD COLUMN     "unpublish_at" TIMESTAMP(3),
+ADD COLUMN     "published_at" TIMESTAMP(3),
+ADD COLUMN     "review_note" TEXT,
+ALTER COLUMN "is_active" SET DEFAULT false;
+
+-- Existing listings keep their visibility: active ones are published, inactive ones archived
+UPDATE "Listing"
+SET "status" = CASE WHEN "is_active" THEN 'PUBLISHED'::"ListingStatus" ELSE 'ARCHIVED'::"ListingStatus" END,
+    "published_at" = CASE WHEN "is_active" THEN "created_at" END;
+
+-- CreateIndex
+CREATE INDEX "Listing_status_idx" ON "Listing"("status");
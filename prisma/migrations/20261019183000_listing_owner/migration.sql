@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "Listing" ADD COLUMN     "owner_id" INTEGER;
+
+-- AlterTable
+ALTER TABLE "review" ADD COLUMN     "owner_replied_at" TIMESTAMP(3),
+ADD COLUMN     "owner_reply" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Listing_owner_id_idx" ON "Listing"("owner_id");
+
+-- AddForeignKey
+ALTER TABLE "Listing" ADD CONSTRAINT "Listing_owner_id_fkey" FOREIGN KEY ("owner_id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
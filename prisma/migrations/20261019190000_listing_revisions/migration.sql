@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "ListingRevision" (
+    "id" SERIAL NOT NULL,
+    "listing_id" INTEGER NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "changed_fields" TEXT[],
+    "image_urls" TEXT[],
+    "note" TEXT,
+    "actor_user_id" INTEGER,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ListingRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ListingRevision_listing_id_revision_key" ON "ListingRevision"("listing_id", "revision");
+
+-- AddForeignKey
+ALTER TABLE "ListingRevision" ADD CONSTRAINT "ListingRevision_listing_id_fkey" FOREIGN KEY ("listing_id") REFERENCES "Listing"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ListingRevision" ADD CONSTRAINT "ListingRevision_actor_user_id_fkey" FOREIGN KEY ("actor_user_id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
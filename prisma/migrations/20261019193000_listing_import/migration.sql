@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "ListingImportStatus" AS ENUM ('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "ListingImport" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER,
+    "owner_id" INTEGER,
+    "status" "ListingImportStatus" NOT NULL DEFAULT 'PENDING',
+    "file_name" TEXT,
+    "format" TEXT NOT NULL,
+    "lang" TEXT NOT NULL DEFAULT 'en',
+    "rows" JSONB NOT NULL,
+    "total_rows" INTEGER NOT NULL,
+    "processed_rows" INTEGER NOT NULL DEFAULT 0,
+    "created_count" INTEGER NOT NULL DEFAULT 0,
+    "failed_count" INTEGER NOT NULL DEFAULT 0,
+    "errors" JSONB NOT NULL DEFAULT '[]',
+    "listing_ids" INTEGER[],
+    "error" TEXT,
+    "started_at" TIMESTAMP(3),
+    "completed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ListingImport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ListingImport_status_created_at_idx" ON "ListingImport"("status", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "ListingImport" ADD CONSTRAINT "ListingImport_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ListingImport" ADD CONSTRAINT "ListingImport_owner_id_fkey" FOREIGN KEY ("owner_id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
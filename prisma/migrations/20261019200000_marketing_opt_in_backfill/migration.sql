@@ -0,0 +1,8 @@
+-- Users registered before the marketing opt-in existed received the listing announcement mails and keep
+-- receiving them until they opt out. Stored choices are left alone, later users start opted out.
+INSERT INTO "UserPreference" ("user_id", "marketing_opt_in", "updated_at")
+SELECT "id", true, CURRENT_TIMESTAMP FROM "User"
+WHERE "created_at" < (
+    SELECT "finished_at" FROM "_prisma_migrations" WHERE "migration_name" = '20261019130000_user_preferences'
+)
+ON CONFLICT ("user_id") DO NOTHING;
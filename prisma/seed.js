@@ -87,6 +87,9 @@ async function main() {
                 facilities: faker.helpers.arrayElements(facilities, { min: 2, max: 5 }),
                 operatingHours: operatingHours,
                 description: faker.lorem.paragraphs(2),
+                status: 'PUBLISHED',
+                isActive: true,
+                publishedAt: new Date(),
                 selectedMainCategories: {
                     connect: [{ id: randomMainCategory.id }]
                 },
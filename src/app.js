@@ -14,7 +14,13 @@ import listingRouter from './routers/listingRouter.js';
 import BookingRouter from './routers/bookingRouter.js'; // If you have a booking router, import it here
 import reviewRouter from './routers/reviewRouter.js'; // If you have a review router, import it here
 import notificationRouter from './routers/notificationRouter.js'; // If you have a notification router, import it here
+import apiKeyRouter from './routers/apiKeyRouter.js';
+import venueRouter from './routers/venueRouter.js';
 import translationScheduler from './utils/notificication.js'; // Import translation scheduler
+import dataExportService from './services/dataExportService.js';
+import listingImportService from './services/listingImportService.js';
+import userService from './services/userService.js';
+import listingService from './services/listingService.js';
 
 
 // Import Middlewares
@@ -86,6 +92,8 @@ app.use('/api/listings', listingRouter);
 app.use('/api/bookings', BookingRouter); // If you have a booking router, use it here
 app.use('/api/reviews', reviewRouter); // If you have a review router, use it here
 app.use('/api/notifications', notificationRouter); // If you have a notification router, use it here
+app.use('/api/api-keys', apiKeyRouter);
+app.use('/api/venue', venueRouter); // Dashboard of venue accounts for their own listings
 
 
 
@@ -123,6 +131,12 @@ app.listen(PORT, () => {
 
   // Initialize translation scheduler
   translationScheduler.start();
+  dataExportService.start(); // Background data exports and cleanup of expired files
+  userService.startAnonymizationJob(); // Anonymizes deleted accounts once their restore window has passed
+  userService.promoteConfiguredAdmins().catch(error => console.error('ADMIN_EMAILS promotion failed:', error.message)); // First admins, see README
+  listingService.startSearchIndexJob(); // Arabic text for the listing full-text search
+  listingService.startLifecycleJob(); // Scheduled publishing and unpublishing of listings
+  listingImportService.start(); // Bulk listing imports, resumed after a restart
 
   // You can keep non-critical warnings here
   if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
@@ -0,0 +1,61 @@
+import apiKeyService, { API_KEY_SCOPES } from '../services/apiKeyService.js';
+import { getLanguage, translate } from '../utils/i18n.js';
+
+const apiKeyController = {
+  async createApiKey(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const reqDetails = {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        actorUserId: req.user?.id,
+      };
+
+      const { apiKey, key } = await apiKeyService.createKey(req.body, lang, reqDetails);
+      res.status(201).json({
+        message: translate('api_key_created', lang),
+        data: { ...apiKey, key },
+      });
+    } catch (error) {
+      console.error("Error in apiKeyController.createApiKey:", error.message);
+      next(error);
+    }
+  },
+
+  async getApiKeys(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const apiKeys = await apiKeyService.listKeys(req.query);
+      res.status(200).json({
+        message: translate('api_keys_retrieved', lang),
+        data: apiKeys,
+        scopes: API_KEY_SCOPES,
+      });
+    } catch (error) {
+      console.error("Error in apiKeyController.getApiKeys:", error.message);
+      next(error);
+    }
+  },
+
+  async revokeApiKey(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const reqDetails = {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        actorUserId: req.user?.id,
+      };
+
+      const apiKey = await apiKeyService.revokeKey(req.params.id, lang, reqDetails);
+      res.status(200).json({
+        message: translate('api_key_revoked', lang),
+        data: apiKey,
+      });
+    } catch (error) {
+      console.error("Error in apiKeyController.revokeApiKey:", error.message);
+      next(error);
+    }
+  },
+};
+
+export default apiKeyController;
@@ -41,6 +41,10 @@ const bookingController = {
             });
         } catch (error) {
             console.error('Error creating booking:', error);
+            // e.g. a dependant outside the listing's age group or gender restriction
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ success: false, message: error.message });
+            }
             res.status(500).json({
                 success: false,
                 message: translate('internal_server_error', getLanguage(req)),
@@ -219,6 +223,10 @@ const bookingController = {
             });
         } catch (error) {
             console.error('Error updating booking:', error);
+            // e.g. the new slot has no room left
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ success: false, message: error.message });
+            }
             res.status(500).json({
                 success: false,
                 message: translate('internal_server_error', getLanguage(req)),
@@ -1,8 +1,37 @@
 import listingService from '../services/listingService.js';
+import availabilityService from '../services/availabilityService.js';
+import listingImportService from '../services/listingImportService.js';
 import { getLanguage, translate } from '../utils/i18n.js'; // Ensure these are correctly exported from your i18n utility
 
 import { validationResult } from 'express-validator';
 
+const requestDetails = (req) => ({
+    actorUserId: req.user?.id,
+    actorRole: req.user?.role, // changes by venue owners go to review
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent')
+});
+
+// Gallery errors carry their status (404 unknown image, 400 bad order...), anything else is a 500
+const sendGalleryError = (req, res, error) => {
+    console.error('Error managing listing gallery:', error);
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : translate('internal_server_error', getLanguage(req)),
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// Revision errors carry their status (404 unknown revision, 409 upload running...), anything else is a 500
+const sendRevisionError = (req, res, error) => {
+    console.error('Error handling listing revisions:', error);
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : translate('internal_server_error', getLanguage(req)),
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
 const listingController = {
     async createListing(req, res) {
         try {
@@ -20,6 +49,7 @@ const listingController = {
             // Extract request details for audit logging
             const reqDetails = {
                 actorUserId: req.user?.id,
+                actorRole: req.user?.role, // venue owners' listings go to review
                 ipAddress: req.ip || req.connection.remoteAddress,
                 userAgent: req.get('User-Agent')
             };
@@ -33,6 +63,10 @@ const listingController = {
             });
         } catch (error) {
             console.error('Error creating listing:', error);
+            // e.g. invalid opening hours or timezone
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ success: false, message: error.message });
+            }
             res.status(500).json({
                 success: false,
                 message: translate('internal_server_error', getLanguage(req)),
@@ -110,6 +144,28 @@ const listingController = {
             if (req.query.rating) {
                 filters.rating = req.query.rating;
             }
+            // Evaluated against the structured opening hours in each venue's timezone
+            if (req.query.openNow === 'true' || req.query.openNow === '1') {
+                filters.openNow = true;
+            }
+            if (req.query.openOn) {
+                filters.openOn = req.query.openOn;
+            }
+            // near=lat,lng sorts by distance, radiusKm limits the search to that distance
+            if (req.query.near) {
+                filters.near = req.query.near;
+            }
+            if (req.query.radiusKm) {
+                filters.radiusKm = req.query.radiusKm;
+            }
+            // price_asc, price_desc, rating, reviews, popular, newest, distance or relevance
+            if (req.query.sort) {
+                filters.sort = req.query.sort;
+            }
+            // Adds counts per category, age group, facility and price bucket for filter chips
+            if (req.query.facets === 'true' || req.query.facets === '1') {
+                filters.facets = true;
+            }
 
             const listings = await listingService.getAllListings(filters, lang);
             
@@ -121,6 +177,10 @@ const listingController = {
             });
         } catch (error) {
             console.error('Error fetching listings:', error);
+            // e.g. an openOn date that is not YYYY-MM-DD, an invalid near point or an unknown sort
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ success: false, message: error.message });
+            }
             res.status(500).json({
                 success: false,
                 message: translate('internal_server_error', getLanguage(req)),
@@ -143,8 +203,7 @@ const listingController = {
             }
 
             const listing = await listingService.getListingById(id, lang);
-            
-            if (!listing) {
+            if (!listing || !listingService.canViewListing(listing, req.user)) {
                 return res.status(404).json({
                     success: false,
                     message: translate('listing_not_found', getLanguage(req))
@@ -207,6 +266,10 @@ const listingController = {
             });
         } catch (error) {
             console.error('Error updating listing:', error);
+            // e.g. invalid opening hours or timezone
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({ success: false, message: error.message });
+            }
             res.status(500).json({
                 success: false,
                 message: translate('internal_server_error', getLanguage(req)),
@@ -255,6 +318,208 @@ const listingController = {
                 error: process.env.NODE_ENV === 'development' ? error.message : undefined
             });
         }
+    },
+
+    // Remaining capacity per slot, ?from=YYYY-MM-DD&to=YYYY-MM-DD in the venue's timezone
+    async getListingAvailability(req, res) {
+        try {
+            const { from, to } = req.query;
+            const availability = await availabilityService.getAvailability(req.params.id, { from, to }, getLanguage(req), req.user);
+            res.json({ success: true, data: availability });
+        } catch (error) {
+            console.error('Error fetching listing availability:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : translate('internal_server_error', getLanguage(req)),
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    // --- Lifecycle: /api/listings/lifecycle and /api/listings/:id/status (admin) ---
+    async getListingsByStatus(req, res) {
+        try {
+            const listings = await listingService.getListingsByStatus(req.query.status, getLanguage(req));
+            res.json({ success: true, data: listings });
+        } catch (error) {
+            console.error('Error fetching listings by status:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : translate('internal_server_error', getLanguage(req)),
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    // body: { status, publishAt?, unpublishAt?, note? }; note is kept as the review note when a submission is sent back
+    async updateListingStatus(req, res) {
+        try {
+            const lang = getLanguage(req);
+            const { status, publishAt, unpublishAt, note } = req.body;
+            const listing = await listingService.changeListingStatus(req.params.id, { status, publishAt, unpublishAt, note }, lang, requestDetails(req));
+            res.json({ success: true, message: translate('listing_status_updated', lang, { status: listing.status }), data: listing });
+        } catch (error) {
+            console.error('Error changing listing status:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : translate('internal_server_error', getLanguage(req)),
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    // --- Bulk import / export: /api/listings/import and /api/listings/export (admin) ---
+    // multipart: file (CSV or XLSX), dryRun, skipInvalid, ownerId; the flags may also be sent in the query
+    async importListings(req, res) {
+        const lang = getLanguage(req);
+        try {
+            const flag = (name) => String(req.body?.[name] ?? req.query[name] ?? '').toLowerCase() === 'true';
+            const result = await listingImportService.importListings(req.file, {
+                dryRun: flag('dryRun'),
+                skipInvalid: flag('skipInvalid'),
+                ownerId: req.body?.ownerId ?? req.query.ownerId,
+            }, lang, requestDetails(req));
+            if (!result.import) {
+                return res.json({ success: true, message: translate('listing_import_checked', lang, { valid: result.report.validRows, invalid: result.report.invalidRows }), data: { report: result.report } });
+            }
+            res.status(202).json({ success: true, message: translate('listing_import_queued', lang, { count: result.import.totalRows }), data: result });
+        } catch (error) {
+            console.error('Error importing listings:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : translate('internal_server_error', lang),
+                data: error.report ? { report: error.report } : undefined,
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    async getListingImport(req, res) {
+        try {
+            const listingImport = await listingImportService.getImport(req.params.importId, getLanguage(req));
+            res.json({ success: true, data: listingImport });
+        } catch (error) {
+            console.error('Error fetching listing import:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : translate('internal_server_error', getLanguage(req)),
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    // ?format=csv|xlsx&status=&ownerId=
+    async exportListings(req, res) {
+        try {
+            const { format, status, ownerId } = req.query;
+            const file = await listingImportService.exportListings({ format: format || 'csv', status, ownerId }, getLanguage(req));
+            res.setHeader('Content-Type', file.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+            res.status(200).send(file.buffer);
+        } catch (error) {
+            console.error('Error exporting listings:', error);
+            res.status(error.statusCode || 500).json({
+                success: false,
+                message: error.statusCode ? error.message : translate('internal_server_error', getLanguage(req)),
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    },
+
+    // --- Revisions: /api/listings/:id/revisions ---
+    async getListingRevisions(req, res) {
+        try {
+            const revisions = await listingService.getListingRevisions(req.params.id, getLanguage(req));
+            res.json({ success: true, data: revisions });
+        } catch (error) {
+            sendRevisionError(req, res, error);
+        }
+    },
+
+    async diffListingRevisions(req, res) {
+        try {
+            const { from, to } = req.query;
+            const diff = await listingService.diffListingRevisions(req.params.id, { from, to }, getLanguage(req));
+            res.json({ success: true, data: diff });
+        } catch (error) {
+            sendRevisionError(req, res, error);
+        }
+    },
+
+    async revertListingRevision(req, res) {
+        try {
+            const lang = getLanguage(req);
+            const result = await listingService.revertListingToRevision(req.params.id, req.params.rev, lang, requestDetails(req));
+            res.json({ success: true, message: translate('listing_reverted', lang, { revision: result.revertedTo }), data: result });
+        } catch (error) {
+            sendRevisionError(req, res, error);
+        }
+    },
+
+    // --- Gallery: /api/listings/:id/images ---
+    async getListingImages(req, res) {
+        try {
+            const gallery = await listingService.getGallery(req.params.id, getLanguage(req), req.user);
+            res.json({ success: true, data: gallery });
+        } catch (error) {
+            sendGalleryError(req, res, error);
+        }
+    },
+
+    async addListingImages(req, res) {
+        try {
+            const lang = getLanguage(req);
+            const { caption_en, caption_ar } = req.body;
+            const { gallery, error } = await listingService.addImages(req.params.id, req.files, { caption_en, caption_ar }, lang, requestDetails(req));
+            res.status(201).json({
+                success: true,
+                message: translate(error ? 'listing_images_partially_added' : 'listing_images_added', lang, { error }),
+                data: gallery
+            });
+        } catch (error) {
+            sendGalleryError(req, res, error);
+        }
+    },
+
+    async deleteListingImage(req, res) {
+        try {
+            const lang = getLanguage(req);
+            const gallery = await listingService.removeImage(req.params.id, req.params.imageKey, lang, requestDetails(req));
+            res.json({ success: true, message: translate('listing_image_deleted', lang), data: gallery });
+        } catch (error) {
+            sendGalleryError(req, res, error);
+        }
+    },
+
+    async reorderListingImages(req, res) {
+        try {
+            const lang = getLanguage(req);
+            const gallery = await listingService.reorderImages(req.params.id, req.body.order, lang, requestDetails(req));
+            res.json({ success: true, message: translate('listing_images_reordered', lang), data: gallery });
+        } catch (error) {
+            sendGalleryError(req, res, error);
+        }
+    },
+
+    async setPrimaryListingImage(req, res) {
+        try {
+            const lang = getLanguage(req);
+            const gallery = await listingService.setPrimaryImage(req.params.id, req.params.imageKey, lang, requestDetails(req));
+            res.json({ success: true, message: translate('listing_primary_image_set', lang), data: gallery });
+        } catch (error) {
+            sendGalleryError(req, res, error);
+        }
+    },
+
+    async updateListingImageCaption(req, res) {
+        try {
+            const lang = getLanguage(req);
+            const { caption_en, caption_ar } = req.body;
+            const gallery = await listingService.updateImageCaption(req.params.id, req.params.imageKey, { en: caption_en, ar: caption_ar }, lang, requestDetails(req));
+            res.json({ success: true, message: translate('listing_image_caption_updated', lang), data: gallery });
+        } catch (error) {
+            sendGalleryError(req, res, error);
+        }
     }
 };
 
@@ -2,7 +2,61 @@ import userService from '../services/userService.js';
 import { getLanguage, translate } from '../utils/i18n.js';
 import { recordAuditLog } from '../utils/auditLogHandler.js'; // Assuming you have an audit log utility
 import { AuditLogAction } from '@prisma/client';             // Added
-import { generateToken } from '../middlewares/jwt.js'; // For login, if implemented
+import { generateToken, generateChallengeToken, verifyChallengeToken, ACCESS_TOKEN_EXPIRES_IN } from '../middlewares/jwt.js';
+import sessionService from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import dataExportService from '../services/dataExportService.js';
+import loginAttemptTracker from '../utils/loginAttemptTracker.js';
+import crypto from 'crypto';
+
+// 429 with the time the caller may retry, shared by the pre-check and the lock triggered by a failed attempt
+const sendAccountLocked = (res, lockedUntil, lang) => {
+  const retryAfterSeconds = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    message: translate('account_temporarily_locked', lang, { minutes: Math.ceil(retryAfterSeconds / 60) }),
+    retryAfter: lockedUntil.toISOString()
+  });
+};
+
+// Every availability answer takes at least this long (plus jitter), so response time
+// does not tell a registered address apart from a free one
+const AVAILABILITY_MIN_RESPONSE_MS = 300;
+const padResponseTime = (startedAt) => {
+  const remaining = AVAILABILITY_MIN_RESPONSE_MS + crypto.randomInt(0, 100) - (Date.now() - startedAt);
+  return remaining > 0 ? new Promise(resolve => setTimeout(resolve, remaining)) : Promise.resolve();
+};
+
+// Opens a session for a fully authenticated user and sends the token pair
+const completeLogin = async (req, res, user, lang) => {
+  const { session, refreshToken } = await sessionService.createSession(user.id, {
+      deviceName: req.body.deviceName || req.headers['x-device-name'],
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+  });
+  const token = generateToken(user.uid, session.id);
+
+  recordAuditLog(AuditLogAction.USER_LOGIN, {
+      userId: user.id,
+      entityName: 'User',
+      entityId: user.id,
+      description: `User ${user.email} logged in (session ${session.id}${user.twoFactorEnabledAt ? ', 2FA' : ''}).`,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+  });
+
+  // Privileged roles under the 2FA policy can log in to enroll, but authorize() refuses their privileges until they do
+  const twoFactorSetupRequired = !user.twoFactorEnabledAt && await twoFactorService.isRequiredForRole(user.role);
+
+  return res.status(200).json({
+      message: translate('login_successful', lang),
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      twoFactorSetupRequired,
+      user: { id: user.id, uid: user.uid, email: user.email, fname: user.fname, role: user.role }
+  });
+};
 
 const userController = {
   async createUser(req, res, next) {
@@ -39,8 +93,12 @@ const userController = {
     try {
       const lang = getLanguage(req);
       console.log("Get all users request received", lang); // Debugging log
-      const users = await userService.getAllUsers(lang);
-      res.status(200).json(users);
+      const { search, tier, registeredFrom, registeredTo, minBookings, maxBookings, sortBy, sortOrder, page, limit, cursor } = req.query;
+      const result = await userService.getAllUsers(
+        { search, tier, registeredFrom, registeredTo, minBookings, maxBookings, sortBy, sortOrder, page, limit, cursor },
+        lang
+      );
+      res.status(200).json(result);
     } catch (error) {
       next(error);
     }
@@ -118,7 +176,84 @@ const userController = {
       if (!deletedUser) {
         return res.status(404).json({ message: translate('user_not_found', lang) });
       }
-      res.status(200).json({ message: translate('user_deleted', lang) });
+      res.status(200).json({
+        message: translate('user_deleted', lang),
+        data: { restoreBefore: deletedUser.restoreBefore }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async restoreUser(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const reqDetails = {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+      };
+      const { email, password } = req.body;
+
+      // Password checks here count towards the same lockout as logins
+      const lockedUntil = await loginAttemptTracker.getLockedUntil(email, req.ip);
+      if (lockedUntil) {
+        return sendAccountLocked(res, lockedUntil, lang);
+      }
+
+      let user;
+      try {
+        user = await userService.restoreUser({ email, password }, lang, reqDetails);
+      } catch (error) {
+        if (error.statusCode === 401) {
+          const attempt = await loginAttemptTracker.recordFailure(email, req.ip);
+          const newLock = attempt.accountLockedUntil || attempt.ipLockedUntil;
+          if (newLock) return sendAccountLocked(res, newLock, lang);
+        }
+        throw error;
+      }
+      await loginAttemptTracker.recordSuccess(email);
+      res.status(200).json({ message: translate('user_restored', lang), data: user });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async adminRestoreUser(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const reqDetails = {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+          actorUserId: req.user.id
+      };
+      const user = await userService.restoreUser({ id: req.params.id }, lang, reqDetails);
+      res.status(200).json({ message: translate('user_restored', lang), data: user });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async updateUserRole(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const { role } = req.body;
+      if (!role) {
+        return res.status(400).json({ message: translate('error_invalid_role', lang) });
+      }
+
+      const reqDetails = {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+          actorUserId: req.user?.id
+      };
+      const updatedUser = await userService.updateUserRole(req.params.id, role, lang, reqDetails);
+      if (!updatedUser) {
+        return res.status(404).json({ message: translate('user_not_found', lang) });
+      }
+      res.status(200).json({
+          message: translate('user_role_updated', lang, { name: updatedUser.fname || updatedUser.email, role: updatedUser.role }),
+          data: updatedUser
+      });
     } catch (error) {
       next(error);
     }
@@ -145,50 +280,465 @@ const userController = {
         if (!email || !password) {
             return res.status(400).json({ message: translate('email_and_password_required', lang) }); // Add to locales
         }
+        const reqDetails = {
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent'],
+        };
+
+        const lockedUntil = await loginAttemptTracker.getLockedUntil(email, req.ip);
+        if (lockedUntil) {
+            return sendAccountLocked(res, lockedUntil, lang);
+        }
+
         const user = await userService.validateUserPassword(email, password); // You'd need to implement this
         if (!user) {
+            const attempt = await loginAttemptTracker.recordFailure(email, req.ip);
+            await userService.handleFailedLogin(email, attempt, lang, reqDetails);
+            const newLock = attempt.accountLockedUntil || attempt.ipLockedUntil;
+            if (newLock) {
+                return sendAccountLocked(res, newLock, lang);
+            }
             return res.status(401).json({ message: translate('login_failed_invalid_credentials', lang) });
         }
-        const token = generateToken(user.uid);
 
-        recordAuditLog(AuditLogAction.USER_LOGIN, {
-            userId: user.id,
-            entityName: 'User',
-            entityId: user.id,
-            description: `User ${user.email} logged in.`,
-            ipAddress: req.ip,
-            userAgent: req.headers['user-agent'],
-        });
+        // Deleted accounts cannot sign in, but the owner may restore them via POST /restore during the grace period
+        if (user.deletedAt) {
+            return res.status(403).json({ message: translate('account_pending_deletion', lang), accountPendingDeletion: true });
+        }
+
+        // Second step required: the failure counter is only reset once the code is accepted too
+        if (user.twoFactorEnabledAt) {
+            return res.status(200).json({
+                message: translate('two_factor_code_required', lang),
+                twoFactorRequired: true,
+                challengeToken: generateChallengeToken(user.uid)
+            });
+        }
 
-        res.status(200).json({
-            message: translate('login_successful', lang),
-            token,
-            user: { id: user.id, uid: user.uid, email: user.email, fname: user.fname }
-        });
+        await loginAttemptTracker.recordSuccess(email);
+        return completeLogin(req, res, user, lang);
     } catch (error) {
         next(error);
     }
   },
 
-  async resetPassword(req, res, next) {
+  async loginWithTwoFactor(req, res, next) {
     const lang = getLanguage(req);
     try {
-      const { email, newPassword } = req.body;
-      
-      if (!email || !newPassword) {
-        return res.status(400).json({ 
-          message: translate('email_and_password_required', lang) 
-        });
+      const { challengeToken, code } = req.body;
+      if (!challengeToken || !code) {
+        return res.status(400).json({ message: translate('two_factor_code_required', lang) });
+      }
+
+      const uid = verifyChallengeToken(challengeToken);
+      const user = uid ? await userService.getUserForAuth(uid) : null;
+      if (!user || !user.twoFactorEnabledAt || user.deletedAt) {
+        return res.status(401).json({ message: translate('unauthorized_invalid_token', lang) });
+      }
+
+      const reqDetails = {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+      };
+
+      const lockedUntil = await loginAttemptTracker.getLockedUntil(user.email, req.ip);
+      if (lockedUntil) {
+          return sendAccountLocked(res, lockedUntil, lang);
+      }
+
+      if (!(await twoFactorService.verifyLoginCode(user, code))) {
+        // Wrong codes count towards the same lockout as wrong passwords
+        const attempt = await loginAttemptTracker.recordFailure(user.email, req.ip);
+        await userService.handleFailedLogin(user.email, attempt, lang, reqDetails);
+        const newLock = attempt.accountLockedUntil || attempt.ipLockedUntil;
+        if (newLock) {
+            return sendAccountLocked(res, newLock, lang);
+        }
+        return res.status(401).json({ message: translate('error_two_factor_invalid_code', lang) });
+      }
+
+      await loginAttemptTracker.recordSuccess(user.email);
+      return completeLogin(req, res, user, lang);
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async setupTwoFactor(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const result = await twoFactorService.setup(req.user, lang);
+      res.status(200).json({
+        message: translate('two_factor_setup_started', lang),
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async enableTwoFactor(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const reqDetails = {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+      };
+      const result = await twoFactorService.enable(req.user.id, req.body.code, lang, reqDetails);
+      res.status(200).json({
+        message: translate('two_factor_enabled', lang),
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async disableTwoFactor(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const reqDetails = {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+          actorUserId: req.user.id
+      };
+      await twoFactorService.disable(req.user.id, { password: req.body.password, code: req.body.code }, lang, reqDetails);
+      res.status(200).json({ message: translate('two_factor_disabled', lang) });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async getTwoFactorPolicy(req, res, next) {
+    try {
+      const policy = await twoFactorService.getPolicy();
+      res.status(200).json({ data: policy });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async updateTwoFactorPolicy(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const reqDetails = {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+          actorUserId: req.user.id
+      };
+      const policy = await twoFactorService.setPolicy(req.body.requiredRoles, lang, reqDetails);
+      res.status(200).json({
+        message: translate('two_factor_policy_updated', lang),
+        data: policy
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async refreshToken(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const { refreshToken } = req.body;
+      if (!refreshToken) {
+        return res.status(400).json({ message: translate('error_refresh_token_required', lang) });
+      }
+
+      const rotated = await sessionService.rotateRefreshToken(refreshToken, {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+      }, lang);
+
+      res.status(200).json({
+        message: translate('token_refreshed', lang),
+        token: generateToken(rotated.user.uid, rotated.session.id),
+        refreshToken: rotated.refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async logoutUser(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      // { allDevices: true } signs out every session of the user, otherwise only the current one
+      const allDevices = req.body?.allDevices === true || req.body?.allDevices === 'true';
+      if (allDevices) {
+        await sessionService.revokeAllSessions(req.user.id);
+      } else {
+        await sessionService.revokeSession(req.authSession.id, req.user.id);
+      }
+
+      recordAuditLog(AuditLogAction.USER_LOGOUT, {
+          userId: req.user.id,
+          entityName: 'User',
+          entityId: req.user.id,
+          description: allDevices
+            ? `User ${req.user.email} logged out of all sessions.`
+            : `User ${req.user.email} logged out (session ${req.authSession.id}).`,
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+      });
+
+      res.status(200).json({ message: translate('logout_successful', lang) });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async exportUserData(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const reqDetails = {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+      };
+      const result = await dataExportService.requestExport(req.user, lang, reqDetails);
+      if (result.buffer) {
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+        return res.status(200).send(result.buffer);
+      }
+      res.status(202).json({
+        message: translate('data_export_queued', lang),
+        data: result.export
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async getUserExports(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const exports = await dataExportService.getUserExports(req.user.id);
+      res.status(200).json({
+        message: translate('data_exports_retrieved', lang),
+        data: exports
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async downloadUserExport(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const exportId = parseInt(req.params.exportId, 10);
+      if (isNaN(exportId)) {
+        return res.status(400).json({ message: translate('data_export_not_found', lang) });
+      }
+      const { filePath, downloadName } = await dataExportService.getExportFile(req.user.id, exportId, lang);
+      res.download(filePath, downloadName, (error) => {
+        if (error && !res.headersSent) next(error);
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async getUserPreferences(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const preferences = await userService.getPreferences(req.user.id);
+      res.status(200).json({
+        message: translate('preferences_retrieved', lang),
+        data: preferences
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async updateUserPreferences(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const reqDetails = {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+      };
+      const { language, phoneNumber, timezone, marketingOptIn } = req.body;
+      const preferences = await userService.updatePreferences(req.user.id, { language, phoneNumber, timezone, marketingOptIn }, lang, reqDetails);
+      res.status(200).json({
+        message: translate('preferences_updated', preferences.language),
+        data: preferences
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async getUserDependants(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const dependants = await userService.getDependants(req.user.id);
+      res.status(200).json({
+        message: translate('dependants_retrieved', lang),
+        data: dependants
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async createUserDependant(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const reqDetails = {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+      };
+      const { name, birthDate, gender } = req.body;
+      const dependant = await userService.createDependant(req.user.id, { name, birthDate, gender }, lang, reqDetails);
+      res.status(201).json({
+        message: translate('dependant_created', lang),
+        data: dependant
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async updateUserDependant(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const reqDetails = {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+      };
+      const { name, birthDate, gender } = req.body;
+      const dependant = await userService.updateDependant(req.user.id, req.params.dependantId, { name, birthDate, gender }, lang, reqDetails);
+      res.status(200).json({
+        message: translate('dependant_updated', lang),
+        data: dependant
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async deleteUserDependant(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const reqDetails = {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+      };
+      await userService.deleteDependant(req.user.id, req.params.dependantId, lang, reqDetails);
+      res.status(200).json({ message: translate('dependant_deleted', lang) });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async getUserSessions(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const sessions = await sessionService.getActiveSessions(req.user.id);
+      res.status(200).json({
+        message: translate('sessions_retrieved', lang),
+        data: sessions.map(session => ({ ...session, current: session.id === req.authSession.id }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async revokeUserSession(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const revoked = await sessionService.revokeSession(req.params.sessionId, req.user.id);
+      if (!revoked) {
+        return res.status(404).json({ message: translate('session_not_found', lang) });
+      }
+
+      recordAuditLog(AuditLogAction.USER_SESSION_REVOKED, {
+          userId: req.user.id,
+          entityName: 'UserSession',
+          entityId: revoked.id,
+          description: `User ${req.user.email} revoked session ${revoked.id} (${revoked.deviceName || revoked.userAgent || 'unknown device'}).`,
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+      });
+
+      res.status(200).json({ message: translate('session_revoked', lang), data: revoked });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async verifyEmail(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const { token } = req.query;
+      if (!token) {
+        return res.status(400).json({ message: translate('error_verification_token_required', lang) });
       }
 
       const reqDetails = {
         ipAddress: req.ip,
         userAgent: req.headers['user-agent'],
-        actorUserId: req.user?.id
       };
+      const verifiedUser = await userService.verifyEmail(token, lang, reqDetails);
+
+      res.status(200).json({
+        message: translate('email_verified', lang),
+        data: { email: verifiedUser.email, verifiedAt: verifiedUser.verifiedAt }
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async resendVerificationEmail(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const result = await userService.resendVerificationEmail(req.user.id, lang);
+      res.status(200).json({ message: translate('verification_email_sent', lang, { email: result.email }) });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async requestPasswordReset(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const { email } = req.body;
+      if (!email) {
+        return res.status(400).json({ message: translate('email_required', lang) });
+      }
+
+      const reqDetails = {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+      };
+
+      await userService.requestPasswordReset(email, lang, reqDetails);
+
+      // Same answer whether or not the email is registered
+      res.status(200).json({ message: translate('password_reset_requested', lang) });
+    } catch (error) {
+      next(error);
+    }
+  },
+
+  async confirmPasswordReset(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const { token, newPassword } = req.body;
+      if (!token || !newPassword) {
+        return res.status(400).json({ message: translate('reset_token_and_password_required', lang) });
+      }
+
+      const reqDetails = {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+      };
+
+      const updatedUser = await userService.confirmPasswordReset(token, newPassword, lang, reqDetails);
 
-      const updatedUser = await userService.resetpassword(email, newPassword, lang, reqDetails);
-      
       res.status(200).json({
         message: translate('password_reset_successful', lang),
         data: { email: updatedUser.email, name: updatedUser.fname }
@@ -212,12 +762,32 @@ const userController = {
           email: user.email, 
           fname: user.fname, 
           lname: user.lname, 
-          uid: user.uid 
+          uid: user.uid,
+          role: user.role,
+          verifiedAt: user.verifiedAt,
+          deletedAt: user.deletedAt,
+          createdAt: user.createdAt
         }
       });
     } catch (error) {
       next(error);
     }
+  },
+
+  async checkEmailAvailability(req, res, next) {
+    const lang = getLanguage(req);
+    const startedAt = Date.now();
+    try {
+      const { available } = await userService.checkEmailAvailability(req.body.email, lang);
+      await padResponseTime(startedAt);
+      res.status(200).json({
+        message: translate(available ? 'email_available' : 'email_unavailable', lang),
+        available
+      });
+    } catch (error) {
+      await padResponseTime(startedAt);
+      next(error);
+    }
   }
 
 };
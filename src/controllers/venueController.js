@@ -0,0 +1,100 @@
+import venueService from '../services/venueService.js';
+import { getLanguage, translate } from '../utils/i18n.js';
+
+const reqDetailsOf = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.headers['user-agent'],
+  actorUserId: req.user?.id,
+});
+
+const venueController = {
+  async getListings(req, res, next) {
+    try {
+      const listings = await venueService.getListings(req.user.id);
+      res.status(200).json({ success: true, data: listings });
+    } catch (error) {
+      console.error("Error in venueController.getListings:", error.message);
+      next(error);
+    }
+  },
+
+  async updateListing(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const resubmitted = await venueService.updateListing(req.params.id, req.body, req.files, lang, reqDetailsOf(req));
+      res.status(200).json({
+        success: true,
+        message: translate(resubmitted ? 'venue_listing_resubmitted' : 'listing_updated', lang),
+        ...(resubmitted && { data: resubmitted }),
+      });
+    } catch (error) {
+      console.error("Error in venueController.updateListing:", error.message);
+      next(error);
+    }
+  },
+
+  async submitListing(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const listing = await venueService.submitListing(req.params.id, lang, reqDetailsOf(req));
+      res.status(200).json({ success: true, message: translate('venue_listing_submitted', lang), data: listing });
+    } catch (error) {
+      console.error("Error in venueController.submitListing:", error.message);
+      next(error);
+    }
+  },
+
+  async getBookings(req, res, next) {
+    try {
+      const result = await venueService.getBookings(req.user.id, req.query, getLanguage(req));
+      res.status(200).json({ success: true, data: result.bookings, pagination: result.pagination });
+    } catch (error) {
+      console.error("Error in venueController.getBookings:", error.message);
+      next(error);
+    }
+  },
+
+  async decideBooking(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const booking = await venueService.decideBooking(req.params.id, req.body.status, lang, reqDetailsOf(req));
+      res.status(200).json({ success: true, message: translate('venue_booking_updated', lang, { status: booking.status }), data: booking });
+    } catch (error) {
+      console.error("Error in venueController.decideBooking:", error.message);
+      next(error);
+    }
+  },
+
+  async getReviews(req, res, next) {
+    try {
+      const result = await venueService.getReviews(req.user.id, req.query, getLanguage(req));
+      res.status(200).json({ success: true, data: result.reviews, pagination: result.pagination });
+    } catch (error) {
+      console.error("Error in venueController.getReviews:", error.message);
+      next(error);
+    }
+  },
+
+  async replyToReview(req, res, next) {
+    const lang = getLanguage(req);
+    try {
+      const review = await venueService.replyToReview(req.params.id, req.body.reply, lang, reqDetailsOf(req));
+      res.status(200).json({ success: true, message: translate('venue_review_reply_saved', lang), data: review });
+    } catch (error) {
+      console.error("Error in venueController.replyToReview:", error.message);
+      next(error);
+    }
+  },
+
+  async getStats(req, res, next) {
+    try {
+      const stats = await venueService.getStats(req.user.id, req.query, getLanguage(req));
+      res.status(200).json({ success: true, data: stats });
+    } catch (error) {
+      console.error("Error in venueController.getStats:", error.message);
+      next(error);
+    }
+  },
+};
+
+export default venueController;
@@ -0,0 +1,118 @@
+import prisma from '../utils/prismaClient.js';
+import { translate, getLanguage } from '../utils/i18n.js';
+import { recordAuditLog } from '../utils/auditLogHandler.js';
+import { AuditLogAction, UserRole } from '@prisma/client';
+import twoFactorService from '../services/twoFactorService.js';
+
+// Resolve the id of the user who owns the resource addressed by req.params.id.
+// Returns null/undefined when the resource does not exist.
+const ownerResolvers = {
+  user: async (req) => parseInt(req.params.id, 10),
+  booking: async (req) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return null;
+    const booking = await prisma.booking.findUnique({ where: { id }, select: { userId: true } });
+    return booking?.userId;
+  },
+  review: async (req) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return null;
+    const review = await prisma.review.findUnique({ where: { id }, select: { userId: true } });
+    return review?.userId;
+  },
+  notification: async (req) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return null;
+    const notification = await prisma.notification.findUnique({ where: { id }, select: { userId: true } });
+    return notification?.userId;
+  },
+  // Venue accounts: the listing they own, and bookings / reviews made on it
+  listing: async (req) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return null;
+    const listing = await prisma.listing.findUnique({ where: { id }, select: { ownerId: true } });
+    return listing?.ownerId;
+  },
+  listingBooking: async (req) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return null;
+    const booking = await prisma.booking.findUnique({ where: { id }, select: { listing: { select: { ownerId: true } } } });
+    return booking?.listing?.ownerId;
+  },
+  listingReview: async (req) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return null;
+    const review = await prisma.review.findUnique({ where: { id }, select: { listing: { select: { ownerId: true } } } });
+    return review?.listing?.ownerId;
+  },
+};
+
+// Admin policy may require 2FA before a role's privileges can be used, whether granted by role or by ownership.
+// API keys are issued by an admin and never go through an interactive login, so the policy does not apply.
+const needsTwoFactorSetup = async (req, user) =>
+  !req.apiKey && !user.twoFactorEnabledAt && await twoFactorService.isRequiredForRole(user.role);
+
+/**
+ * Route-level authorization. Must run after verifyToken (or verifyApiKey).
+ *
+ * roles  - roles that may act on any resource of this route.
+ * owner  - optional key of ownerResolvers; when set, callers outside `roles`
+ *          are still let through if they own the addressed resource.
+ *
+ * e.g. router.put('/:id', verifyToken, authorize([UserRole.ADMIN], { owner: 'booking' }), ...)
+ */
+const authorize = (roles = [], options = {}) => {
+  const { owner } = options;
+  const resolveOwner = owner ? ownerResolvers[owner] : null;
+  if (owner && !resolveOwner) {
+    throw new Error(`authorize: unknown owner resolver "${owner}"`);
+  }
+
+  return async (req, res, next) => {
+    const lang = getLanguage(req);
+    const user = req.user;
+
+    if (!user) {
+      return res.status(401).json({ message: translate('unauthorized_no_token', lang) });
+    }
+
+    try {
+      if (roles.includes(user.role)) {
+        if (await needsTwoFactorSetup(req, user)) {
+          return res.status(403).json({ message: translate('two_factor_setup_required', lang) });
+        }
+        // Role-granted writes are privileged actions, keep a trail of them
+        if (user.role === UserRole.ADMIN && req.method !== 'GET') {
+          recordAuditLog(AuditLogAction.ADMIN_ACTION, {
+            userId: user.id,
+            entityName: owner ? owner.charAt(0).toUpperCase() + owner.slice(1) : null,
+            entityId: req.params.id,
+            description: `Admin ${user.email} performed ${req.method} ${req.originalUrl}.`,
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent'],
+          });
+        }
+        return next();
+      }
+
+      if (resolveOwner) {
+        const ownerId = await resolveOwner(req);
+        if (ownerId && ownerId === user.id) {
+          if (await needsTwoFactorSetup(req, user)) {
+            return res.status(403).json({ message: translate('two_factor_setup_required', lang) });
+          }
+          return next();
+        }
+        return res.status(403).json({ message: translate('forbidden_not_owner', lang) });
+      }
+
+      return res.status(403).json({ message: translate('unauthorized_no_permission', lang) });
+    } catch (error) {
+      console.error("Authorization error:", error.message);
+      next(error);
+    }
+  };
+};
+
+export { ownerResolvers };
+export default authorize;
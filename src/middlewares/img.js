@@ -1,24 +1,109 @@
 import multer from 'multer';
+import { translate, getLanguage } from '../utils/i18n.js';
+import { detectImageType, MIME_TYPES } from '../utils/imageProcessor.js';
+import { continueWithContext } from '../utils/requestContext.js';
+
+// "5mb", "500kb" or plain bytes
+const parseSize = (value, fallback) => {
+    const match = String(value || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+    if (!match) return fallback;
+    const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+    return Math.floor(parseFloat(match[1]) * units[match[2] || 'b']);
+};
+
+const MAX_FILE_SIZE = parseSize(process.env.MAX_FILE_SIZE, 10 * 1024 * 1024);
+const MAX_SUB_IMAGES = parseInt(process.env.MAX_SUB_IMAGES, 10) || 10;
+// Formats accepted after sniffing the file content, e.g. ALLOWED_FORMATS=jpg,jpeg,png,webp
+const ALLOWED_TYPES = [...new Set((process.env.ALLOWED_FORMATS || 'jpg,jpeg,png,webp')
+    .split(',')
+    .map(format => format.trim().toLowerCase() === 'jpg' ? 'jpeg' : format.trim().toLowerCase())
+    .filter(format => MIME_TYPES[format]))];
 
 // Configure multer for memory storage (no file saving)
 const upload = multer({
     storage: multer.memoryStorage(),
     limits: {
-        fileSize: 250 * 1024 * 1024 // 250MB limit
+        fileSize: MAX_FILE_SIZE
     }
 });
 
 // Configure multer for multiple image fields
-const uploadImages = multer({
+const parseImageFields = multer({
     storage: multer.memoryStorage(),
     limits: {
-        fileSize: 250 * 1024 * 1024 // 250MB limit
+        fileSize: MAX_FILE_SIZE
     }
 }).fields([
     { name: 'main_image', maxCount: 1 },
-    { name: 'sub_images', maxCount: 10 }
+    { name: 'sub_images', maxCount: MAX_SUB_IMAGES }
 ]);
 
+/**
+ * Parses main_image / sub_images and rejects anything that is not really an image of an allowed format.
+ * The type is taken from the file content and replaces the client-supplied mimetype.
+ */
+const uploadImages = (req, res, next) => {
+    parseImageFields(req, res, (err) => {
+        const lang = getLanguage(req);
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ message: translate('error_image_too_large', lang, { maxSize: `${Math.round(MAX_FILE_SIZE / 1024 / 1024 * 10) / 10}MB` }) });
+            }
+            // multer reports a field over its maxCount as an unexpected file
+            if (err.code === 'LIMIT_UNEXPECTED_FILE' && ['main_image', 'sub_images'].includes(err.field)) {
+                return res.status(400).json({ message: translate('error_too_many_images', lang, { max: MAX_SUB_IMAGES }) });
+            }
+            return res.status(400).json({ message: err.message });
+        }
+        if (err) return next(err);
+
+        const files = [...(req.files?.main_image || []), ...(req.files?.sub_images || [])];
+        for (const file of files) {
+            const type = detectImageType(file.buffer);
+            if (!type || !ALLOWED_TYPES.includes(type)) {
+                return res.status(400).json({
+                    message: translate('error_invalid_image_type', lang, { fileName: file.originalname, formats: ALLOWED_TYPES.join(', ') })
+                });
+            }
+            file.mimetype = MIME_TYPES[type];
+        }
+        continueWithContext(req, next);
+    });
+};
+
+const MAX_SPREADSHEET_SIZE = parseSize(process.env.LISTING_IMPORT_MAX_FILE_SIZE, 5 * 1024 * 1024);
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+const parseSpreadsheetField = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_SPREADSHEET_SIZE
+    }
+}).single('file');
+
+/**
+ * Parses a single CSV or XLSX upload in the `file` field (listing import).
+ * The content is checked when the file is read, the extension only keeps obvious mistakes out.
+ */
+const uploadSpreadsheet = (req, res, next) => {
+    parseSpreadsheetField(req, res, (err) => {
+        const lang = getLanguage(req);
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ message: translate('listing_import_file_too_large', lang, { maxSize: `${Math.round(MAX_SPREADSHEET_SIZE / 1024 / 1024 * 10) / 10}MB` }) });
+            }
+            return res.status(400).json({ message: err.message });
+        }
+        if (err) return next(err);
+
+        const name = (req.file?.originalname || '').toLowerCase();
+        if (req.file && !SPREADSHEET_EXTENSIONS.some(extension => name.endsWith(extension))) {
+            return res.status(400).json({ message: translate('listing_import_invalid_file_type', lang) });
+        }
+        continueWithContext(req, next);
+    });
+};
+
 
 
 // const uploadImageFromClient = async (files) => {
@@ -81,6 +166,6 @@ const uploadImages = multer({
 // };
 
 // Export multer middleware for use in routes
-export {  upload, uploadImages };
+export {  upload, uploadImages, uploadSpreadsheet, MAX_SPREADSHEET_SIZE };
 
 
@@ -1,11 +1,35 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 
+// Access tokens are short-lived; clients renew them through POST /api/users/refresh
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
 
-const generateToken = (uid) => {
-  return jwt.sign({ uid }, process.env.SECRET_CODE, {
+// sessionId ties the token to a UserSession row so it can be revoked before it expires
+const generateToken = (uid, sessionId) => {
+  return jwt.sign({ uid, sid: sessionId }, process.env.SECRET_CODE, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+};
+
+// Opaque refresh token, only its hash is stored (see sessionService)
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
 
-   
+// Issued after the password step when the account has 2FA on. It has no session id,
+// so verifyToken refuses it; it is only good for POST /api/users/login/2fa.
+const generateChallengeToken = (uid) => {
+  return jwt.sign({ uid, purpose: '2fa_challenge' }, process.env.SECRET_CODE, {
+    expiresIn: '5m',
   });
 };
 
-export { generateToken };
\ No newline at end of file
+// Returns the uid of a valid challenge token, or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.SECRET_CODE);
+    return decoded.purpose === '2fa_challenge' ? decoded.uid : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export { generateToken, generateRefreshToken, generateChallengeToken, verifyChallengeToken, ACCESS_TOKEN_EXPIRES_IN };
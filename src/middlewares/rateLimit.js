@@ -0,0 +1,26 @@
+import { consume } from '../utils/rateLimiter.js';
+import { translate, getLanguage } from '../utils/i18n.js';
+
+/**
+ * Per-IP request limit for public endpoints.
+ *
+ * e.g. router.post('/check-email', rateLimit({ name: 'email-availability', limit: 10, windowSeconds: 60 }), ...)
+ */
+const rateLimit = ({ name, limit, windowSeconds }) => {
+  return async (req, res, next) => {
+    const lang = getLanguage(req);
+    try {
+      const result = await consume(`${name}:ip:${req.ip}`, limit, windowSeconds);
+      if (!result.allowed) {
+        res.setHeader('Retry-After', String(result.retryAfterSeconds));
+        return res.status(429).json({ message: translate('too_many_requests', lang) });
+      }
+      next();
+    } catch (error) {
+      console.error("Rate limit error:", error.message);
+      next(error);
+    }
+  };
+};
+
+export default rateLimit;
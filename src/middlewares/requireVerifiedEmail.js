@@ -0,0 +1,13 @@
+import { translate, getLanguage } from '../utils/i18n.js';
+
+// Blocks users who have not confirmed their email address yet. Must run after verifyToken.
+const requireVerifiedEmail = (req, res, next) => {
+  const lang = getLanguage(req);
+
+  if (!req.user?.verifiedAt) {
+    return res.status(403).json({ message: translate('email_not_verified', lang) });
+  }
+  next();
+};
+
+export default requireVerifiedEmail;
@@ -0,0 +1,52 @@
+import apiKeyService from '../services/apiKeyService.js';
+import verifyToken from './verifyToken.js';
+import { enterRequestContext } from '../utils/requestContext.js';
+import { translate, getLanguage } from '../utils/i18n.js';
+
+// Keys are sent as "X-API-Key: bqk_..." or "Authorization: ApiKey bqk_..."
+const readApiKey = (req) => {
+  const header = req.headers['x-api-key'];
+  if (header) return String(header);
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('ApiKey ')) return authHeader.slice('ApiKey '.length).trim();
+  return null;
+};
+
+/**
+ * Authentication for routes that integrations may call. Requests carrying an API key must hold
+ * every scope in `scopes`; all other requests go through verifyToken as before.
+ *
+ * Like verifyToken it sets req.user (the user the key acts as), so authorize() works unchanged.
+ * req.apiKey is set for key requests, and audit entries written while handling them carry the key id.
+ *
+ * e.g. router.get('/', verifyApiKey(['bookings:read']), authorize([UserRole.ADMIN]), ...)
+ */
+const verifyApiKey = (scopes = []) => {
+  return async (req, res, next) => {
+    const rawKey = readApiKey(req);
+    if (!rawKey) return verifyToken(req, res, next);
+
+    const lang = getLanguage(req);
+    try {
+      const { apiKey, user, error } = await apiKeyService.authenticate(rawKey, req.ip);
+      if (error) {
+        return res.status(401).json({ message: translate(error, lang) });
+      }
+
+      const missing = scopes.filter(scope => !apiKey.scopes.includes(scope));
+      if (missing.length > 0) {
+        return res.status(403).json({ message: translate('forbidden_api_key_scope', lang, { scopes: missing.join(', ') }) });
+      }
+
+      req.user = user;
+      req.userUid = user.uid;
+      req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+      enterRequestContext(req, { apiKeyId: apiKey.id }, next);
+    } catch (err) {
+      console.error("API key verification error:", err.message);
+      next(err);
+    }
+  };
+};
+
+export default verifyApiKey;
@@ -15,14 +15,29 @@ const verifyToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.SECRET_CODE);
-    const user = await prisma.user.findUnique({ where: { uid: decoded.uid } });
 
-    if (!user) {
+    // Tokens issued before sessions existed carry no session id and never expire, refuse them
+    if (!decoded.sid) {
+      return res.status(401).json({ message: translate('unauthorized_invalid_token', lang) });
+    }
+
+    const session = await prisma.userSession.findUnique({ where: { id: decoded.sid }, include: { user: true } });
+    const user = session?.user;
+
+    if (!user || user.uid !== decoded.uid || user.deletedAt) {
       return res.status(401).json({ message: translate('unauthorized_invalid_user', lang) });
     }
+    if (session.revokedAt) {
+      return res.status(401).json({ message: translate('unauthorized_session_revoked', lang) });
+    }
+    if (session.expiresAt <= new Date()) {
+      return res.status(401).json({ message: translate('unauthorized_token_expired', lang) });
+    }
 
+    const { user: _, refreshTokenHash, ...authSession } = session;
     req.user = user; // Attach user object to request (contains id, uid, email etc.)
     req.userUid = user.uid; // For convenience
+    req.authSession = authSession; // Session the token belongs to (used by logout / session management)
     next();
   } catch (error) {
     console.error("Token verification error:", error.message);
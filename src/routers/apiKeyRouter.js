@@ -0,0 +1,16 @@
+import express from 'express';
+import apiKeyController from '../controllers/apiKeyController.js';
+import verifyToken from '../middlewares/verifyToken.js';
+import authorize from '../middlewares/authorize.js';
+import { UserRole } from '@prisma/client';
+
+const router = express.Router();
+
+// Keys are managed by admins with their own session only; an API key cannot mint or revoke keys
+router.use(verifyToken, authorize([UserRole.ADMIN]));
+
+router.post('/', apiKeyController.createApiKey);
+router.get('/', apiKeyController.getApiKeys);
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+export default router;
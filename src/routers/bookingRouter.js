@@ -1,17 +1,21 @@
 import express from 'express';
 import bookingController from '../controllers/bookingController.js';
-import verifyToken from '../middlewares/verifyToken.js';
+import verifyApiKey from '../middlewares/verifyApiKey.js';
+import authorize from '../middlewares/authorize.js';
+import requireVerifiedEmail from '../middlewares/requireVerifiedEmail.js';
+import { UserRole } from '@prisma/client';
 import { body, param, query } from 'express-validator';
 
 const router = express.Router();
 
 
 // Routes
-router.post('/', verifyToken, bookingController.createBooking);
-router.get('/', verifyToken, bookingController.getAllBookings);
-router.get('/user', verifyToken, bookingController.getUserBookings);
-router.get('/:id', verifyToken, bookingController.getBookingById);
-router.put('/:id', verifyToken, bookingController.updateBooking);
-router.delete('/:id', verifyToken, bookingController.deleteBooking);
+// verifyApiKey accepts an API key with the listed scopes and falls back to verifyToken otherwise
+router.post('/', verifyApiKey(['bookings:write']), requireVerifiedEmail, bookingController.createBooking);
+router.get('/', verifyApiKey(['bookings:read']), authorize([UserRole.ADMIN]), bookingController.getAllBookings);
+router.get('/user', verifyApiKey(['bookings:read']), bookingController.getUserBookings);
+router.get('/:id', verifyApiKey(['bookings:read']), authorize([UserRole.ADMIN], { owner: 'booking' }), bookingController.getBookingById);
+router.put('/:id', verifyApiKey(['bookings:write']), authorize([UserRole.ADMIN], { owner: 'booking' }), bookingController.updateBooking);
+router.delete('/:id', verifyApiKey(['bookings:write']), authorize([UserRole.ADMIN], { owner: 'booking' }), bookingController.deleteBooking);
 
 export default router;
\ No newline at end of file
@@ -1,7 +1,9 @@
 import express from 'express';
 import listingController from '../controllers/listingController.js';
-import verifyToken from '../middlewares/verifyToken.js';
-import { uploadImages } from '../middlewares/img.js';
+import verifyApiKey from '../middlewares/verifyApiKey.js';
+import authorize from '../middlewares/authorize.js';
+import { UserRole } from '@prisma/client';
+import { uploadImages, uploadSpreadsheet } from '../middlewares/img.js';
 
 const router = express.Router();
 
@@ -23,10 +25,30 @@ const router = express.Router();
 //     next();
 // };
 
-router.post('/', verifyToken, uploadImages, listingController.createListing);
-router.get('/', verifyToken, listingController.getAllListings);
-router.get('/:id', verifyToken, listingController.getListingById);
-router.put('/:id', verifyToken, uploadImages, listingController.updateListing);
-router.delete('/:id', verifyToken, listingController.deleteListing);
+router.post('/', verifyApiKey(['listings:write']), authorize([UserRole.ADMIN, UserRole.VENUE_OWNER]), uploadImages, listingController.createListing);
+router.get('/', verifyApiKey(['listings:read']), listingController.getAllListings);
+router.get('/lifecycle', verifyApiKey(['listings:read']), authorize([UserRole.ADMIN]), listingController.getListingsByStatus); // ?status=PENDING_REVIEW (default)
+// Bulk import / export in the same spreadsheet format (see README)
+router.post('/import', verifyApiKey(['listings:write']), authorize([UserRole.ADMIN]), uploadSpreadsheet, listingController.importListings); // multipart: file, dryRun, skipInvalid, ownerId
+router.get('/import/:importId', verifyApiKey(['listings:read']), authorize([UserRole.ADMIN]), listingController.getListingImport);
+router.get('/export', verifyApiKey(['listings:read']), authorize([UserRole.ADMIN]), listingController.exportListings); // ?format=csv|xlsx&status=&ownerId=
+router.get('/:id', verifyApiKey(['listings:read']), listingController.getListingById);
+router.put('/:id', verifyApiKey(['listings:write']), authorize([UserRole.ADMIN]), uploadImages, listingController.updateListing);
+router.delete('/:id', verifyApiKey(['listings:write']), authorize([UserRole.ADMIN]), listingController.deleteListing);
+router.patch('/:id/status', verifyApiKey(['listings:write']), authorize([UserRole.ADMIN]), listingController.updateListingStatus); // body: { status, publishAt, unpublishAt, note }
+router.get('/:id/availability', verifyApiKey(['listings:read']), listingController.getListingAvailability); // ?from=&to= (YYYY-MM-DD)
+
+// Revisions: admins and the venue owning the listing
+router.get('/:id/revisions', verifyApiKey(['listings:read']), authorize([UserRole.ADMIN], { owner: 'listing' }), listingController.getListingRevisions);
+router.get('/:id/revisions/diff', verifyApiKey(['listings:read']), authorize([UserRole.ADMIN], { owner: 'listing' }), listingController.diffListingRevisions); // ?from=&to= (revision numbers, default latest vs previous)
+router.post('/:id/revisions/:rev/revert', verifyApiKey(['listings:write']), authorize([UserRole.ADMIN], { owner: 'listing' }), listingController.revertListingRevision);
+
+// Gallery: images are addressed by their file name (`key` in the responses)
+router.get('/:id/images', verifyApiKey(['listings:read']), listingController.getListingImages);
+router.post('/:id/images', verifyApiKey(['listings:write']), authorize([UserRole.ADMIN]), uploadImages, listingController.addListingImages);
+router.put('/:id/images/order', verifyApiKey(['listings:write']), authorize([UserRole.ADMIN]), listingController.reorderListingImages); // body: { order: [key, ...] } of the sub-images
+router.put('/:id/images/:imageKey/primary', verifyApiKey(['listings:write']), authorize([UserRole.ADMIN]), listingController.setPrimaryListingImage);
+router.patch('/:id/images/:imageKey', verifyApiKey(['listings:write']), authorize([UserRole.ADMIN]), listingController.updateListingImageCaption); // body: { caption_en, caption_ar }
+router.delete('/:id/images/:imageKey', verifyApiKey(['listings:write']), authorize([UserRole.ADMIN]), listingController.deleteListingImage);
 
 export default router;
@@ -1,11 +1,13 @@
 import express from 'express';
 import notificationController from '../controllers/notificationController.js';
 import verifyToken from '../middlewares/verifyToken.js'; // Uncomment if you need to protect routes
+import authorize from '../middlewares/authorize.js';
+import { UserRole } from '@prisma/client';
 
 const router = express.Router();
 
 // GET /api/notifications - Get all notifications with filters
-router.get('/', verifyToken, notificationController.getAllNotifications);
+router.get('/', verifyToken, authorize([UserRole.ADMIN]), notificationController.getAllNotifications);
 
 // GET /api/notifications/self - Get notifications by user UID
 router.get('/self', verifyToken, notificationController.getNotificationsByUserUid);
@@ -14,15 +16,15 @@ router.get('/self', verifyToken, notificationController.getNotificationsByUserUi
 router.get('/self/unread-count', verifyToken, notificationController.getUnreadNotificationCount);
 
 // GET /api/notifications/:id - Get notification by ID
-router.get('/:id', verifyToken, notificationController.getNotificationById);
+router.get('/:id', verifyToken, authorize([UserRole.ADMIN], { owner: 'notification' }), notificationController.getNotificationById);
 
 // POST /api/notifications - Create notification
-router.post('/', verifyToken, notificationController.createNotification);
+router.post('/', verifyToken, authorize([UserRole.ADMIN]), notificationController.createNotification);
 
 // PATCH /api/notifications/mark-read - Mark notifications as read
 router.put('/mark-read', verifyToken, notificationController.markNotificationsAsRead);
 
 // DELETE /api/notifications/:id - Delete notification
-router.delete('/:id', verifyToken, notificationController.deleteNotification);
+router.delete('/:id', verifyToken, authorize([UserRole.ADMIN], { owner: 'notification' }), notificationController.deleteNotification);
 
 export default router;
\ No newline at end of file
@@ -1,11 +1,14 @@
 import express from 'express';
 import reviewController from '../controllers/reviewController.js';
 import verifyToken from '../middlewares/verifyToken.js';
+import authorize from '../middlewares/authorize.js';
+import requireVerifiedEmail from '../middlewares/requireVerifiedEmail.js';
+import { UserRole } from '@prisma/client';
 
 const router = express.Router();
 
 // Create a new review (requires authentication)
-router.post('/', verifyToken, reviewController.createReview);
+router.post('/', verifyToken, requireVerifiedEmail, reviewController.createReview);
 
 // Get all reviews with filters (public route)
 router.get('/', verifyToken,reviewController.getAllReviews);
@@ -17,9 +20,9 @@ router.get('/:id',verifyToken, reviewController.getReviewById);
 router.get('/user/review', verifyToken, reviewController.getReviewsByUserUid);
 
 // Update review (requires authentication for users, optional for admin)
-router.put('/:id', verifyToken, reviewController.updateReview);
+router.put('/:id', verifyToken, authorize([UserRole.ADMIN], { owner: 'review' }), reviewController.updateReview);
 
 // Delete review (requires authentication)
-router.delete('/:id', verifyToken, reviewController.deleteReview);
+router.delete('/:id', verifyToken, authorize([UserRole.ADMIN], { owner: 'review' }), reviewController.deleteReview);
 
 export default router;
\ No newline at end of file
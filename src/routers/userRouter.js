@@ -1,6 +1,9 @@
 import express from 'express';
 import userController from '../controllers/userController.js';
 import verifyToken from '../middlewares/verifyToken.js'; // Protect routes that need authentication
+import authorize from '../middlewares/authorize.js';
+import rateLimit from '../middlewares/rateLimit.js';
+import { UserRole } from '@prisma/client';
 
 const router = express.Router();
 
@@ -10,13 +13,39 @@ router.post('/', userController.createUser); // Public: User registration
 // Routes below this could be protected
 // router.use(verifyToken); // Apply verifyToken middleware to all subsequent routes in this router
 
-router.get('/', verifyToken, userController.getAllUsers); // Example: Admin only or for specific purposes
-router.get('/searchid/:id', verifyToken, userController.getUserById); // User can get their own, or admin can get any
+router.get('/', verifyToken, authorize([UserRole.ADMIN]), userController.getAllUsers); // Admin only
+router.get('/searchid/:id', verifyToken, authorize([UserRole.ADMIN], { owner: 'user' }), userController.getUserById); // User can get their own, or admin can get any
 router.get('/self', verifyToken, userController.getUserByUid); // User can get their own by UID, or admin can get any by UID
-router.put('/update/:id', verifyToken, userController.updateUser); // User can update their own, or admin can update any
-router.delete('/delete/:id', verifyToken, userController.deleteUser); // Admin action or user can delete their own account
+router.put('/update/:id', verifyToken, authorize([UserRole.ADMIN], { owner: 'user' }), userController.updateUser); // User can update their own, or admin can update any
+router.delete('/delete/:id', verifyToken, authorize([UserRole.ADMIN], { owner: 'user' }), userController.deleteUser); // Admin action or user can delete their own account
+router.put('/role/:id', verifyToken, authorize([UserRole.ADMIN]), userController.updateUserRole); // Admin only: promote/demote a user
+router.post('/restore', rateLimit({ name: 'account-restore', limit: 10, windowSeconds: 15 * 60 }), userController.restoreUser); // Public: Undo a deletion during the grace period with email + password
+router.put('/restore/:id', verifyToken, authorize([UserRole.ADMIN]), userController.adminRestoreUser);
 router.post('/login', userController.loginUser); // Public: User login
-router.post('/reset-password', userController.resetPassword); // Public: Password reset
-router.get('/find-email/:email', userController.findUserByEmail); // Public: Find user by email
+router.post('/login/2fa', userController.loginWithTwoFactor); // Public: Second login step with the challenge token
+router.post('/self/2fa/setup', verifyToken, userController.setupTwoFactor); // Returns the TOTP secret and otpauth:// URI for the QR code
+router.post('/self/2fa/enable', verifyToken, userController.enableTwoFactor);
+router.post('/self/2fa/disable', verifyToken, userController.disableTwoFactor);
+router.get('/admin/2fa-policy', verifyToken, authorize([UserRole.ADMIN]), userController.getTwoFactorPolicy);
+router.put('/admin/2fa-policy', verifyToken, authorize([UserRole.ADMIN]), userController.updateTwoFactorPolicy);
+router.post('/refresh', userController.refreshToken); // Public: Exchange a refresh token for a new access token
+router.post('/logout', verifyToken, userController.logoutUser);
+router.get('/self/preferences', verifyToken, userController.getUserPreferences);
+router.put('/self/preferences', verifyToken, userController.updateUserPreferences); // Language, phone, timezone, marketing opt-in
+router.get('/self/dependants', verifyToken, userController.getUserDependants);
+router.post('/self/dependants', verifyToken, userController.createUserDependant);
+router.put('/self/dependants/:dependantId', verifyToken, userController.updateUserDependant);
+router.delete('/self/dependants/:dependantId', verifyToken, userController.deleteUserDependant);
+router.get('/self/sessions', verifyToken, userController.getUserSessions); // Active sessions of the logged-in user
+router.delete('/self/sessions/:sessionId', verifyToken, userController.revokeUserSession);
+router.get('/self/export', verifyToken, userController.exportUserData); // ZIP of the user's data, or 202 when it is built in the background
+router.get('/self/exports', verifyToken, userController.getUserExports);
+router.get('/self/export/:exportId/download', verifyToken, userController.downloadUserExport);
+router.get('/verify-email', userController.verifyEmail); // Public: Confirmation link from the verification email
+router.post('/verify-email/resend', verifyToken, userController.resendVerificationEmail);
+router.post('/reset-password/request', userController.requestPasswordReset); // Public: Email a single-use reset token
+router.post('/reset-password/confirm', userController.confirmPasswordReset); // Public: Set a new password with the emailed token
+router.get('/find-email/:email', verifyToken, authorize([UserRole.ADMIN]), userController.findUserByEmail); // Admin only: full account lookup by email
+router.post('/check-email', rateLimit({ name: 'email-availability', limit: 10, windowSeconds: 60 }), userController.checkEmailAvailability); // Public: { email } -> { available } for the registration form
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+import express from 'express';
+import venueController from '../controllers/venueController.js';
+import verifyApiKey from '../middlewares/verifyApiKey.js';
+import verifyToken from '../middlewares/verifyToken.js';
+import authorize from '../middlewares/authorize.js';
+import { UserRole } from '@prisma/client';
+import { uploadImages } from '../middlewares/img.js';
+
+const router = express.Router();
+
+// Venue dashboard: lists are scoped to the caller's own listings, routes with :id require owning the
+// addressed listing (or the listing of the addressed booking / review)
+const venueOnly = authorize([UserRole.VENUE_OWNER]);
+
+router.get('/listings', verifyApiKey(['listings:read']), venueOnly, venueController.getListings);
+router.put('/listings/:id', verifyApiKey(['listings:write']), authorize([], { owner: 'listing' }), uploadImages, venueController.updateListing);
+router.post('/listings/:id/submit', verifyApiKey(['listings:write']), authorize([], { owner: 'listing' }), venueController.submitListing);
+
+router.get('/bookings', verifyApiKey(['bookings:read']), venueOnly, venueController.getBookings); // ?status=&listingId=&from=&to=&page=&limit=
+router.patch('/bookings/:id', verifyApiKey(['bookings:write']), authorize([], { owner: 'listingBooking' }), venueController.decideBooking); // body: { status: CONFIRMED | CANCELLED }
+
+router.get('/reviews', verifyToken, venueOnly, venueController.getReviews); // ?status=&listingId=&page=&limit=
+router.put('/reviews/:id/reply', verifyToken, authorize([], { owner: 'listingReview' }), venueController.replyToReview); // body: { reply }, empty removes it
+
+router.get('/stats', verifyApiKey(['bookings:read']), venueOnly, venueController.getStats); // ?from=&to= (YYYY-MM-DD, default last 30 days)
+
+export default router;
@@ -0,0 +1,115 @@
+import prisma from "../utils/prismaClient.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import { recordAuditLog } from "../utils/auditLogHandler.js";
+import { AuditLogAction } from "@prisma/client";
+import { translate } from "../utils/i18n.js";
+import crypto from "crypto";
+
+// Scopes an API key can be granted; routes ask for them through verifyApiKey([...])
+const API_KEY_SCOPES = ["listings:read", "listings:write", "bookings:read", "bookings:write"];
+const API_KEY_PREFIX = "bqk_";
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000; // avoid a write on every request
+
+const hashKey = (rawKey) => crypto.createHash("sha256").update(rawKey).digest("hex");
+
+const apiKeySelect = {
+  id: true, name: true, prefix: true, scopes: true, expiresAt: true, lastUsedAt: true, lastUsedIp: true,
+  revokedAt: true, createdAt: true,
+  user: { select: { id: true, email: true, role: true } },
+  createdBy: { select: { id: true, email: true } },
+};
+
+const apiKeyService = {
+  // Returns the stored key plus the raw key, which is never retrievable again
+  async createKey({ name, userId, scopes, expiresAt }, lang = "en", reqDetails = {}) {
+    if (!name || !String(name).trim()) throw new errorHandler(translate("error_api_key_name_required", lang), 400);
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      throw new errorHandler(translate("error_api_key_invalid_scopes", lang, { scopes: API_KEY_SCOPES.join(", ") }), 400);
+    }
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) throw new errorHandler(translate("error_api_key_invalid_expiry", lang), 400);
+    }
+
+    const owner = await prisma.user.findFirst({ where: { id: parseInt(userId, 10) || 0, deletedAt: null }, select: { id: true } });
+    if (!owner) throw new errorHandler(translate("user_not_found", lang), 404);
+
+    const rawKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name: String(name).trim(),
+        prefix: rawKey.slice(0, API_KEY_PREFIX.length + 6),
+        keyHash: hashKey(rawKey),
+        scopes: [...new Set(scopes)],
+        userId: owner.id,
+        createdById: reqDetails.actorUserId || null,
+        expiresAt: expiry,
+      },
+      select: apiKeySelect,
+    });
+
+    recordAuditLog(AuditLogAction.API_KEY_CREATED, {
+      userId: reqDetails.actorUserId,
+      entityName: "ApiKey",
+      entityId: apiKey.id,
+      newValues: { name: apiKey.name, userId: owner.id, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt },
+      description: `API key "${apiKey.name}" (${apiKey.prefix}…) created for user ${owner.id}.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+
+    return { apiKey, key: rawKey };
+  },
+
+  async listKeys({ userId, includeRevoked } = {}) {
+    return prisma.apiKey.findMany({
+      where: {
+        ...(userId ? { userId: parseInt(userId, 10) } : {}),
+        ...(includeRevoked === "true" ? {} : { revokedAt: null }),
+      },
+      select: apiKeySelect,
+      orderBy: { createdAt: "desc" },
+    });
+  },
+
+  async revokeKey(id, lang = "en", reqDetails = {}) {
+    const keyId = parseInt(id, 10);
+    const apiKey = isNaN(keyId) ? null : await prisma.apiKey.findUnique({ where: { id: keyId } });
+    if (!apiKey) throw new errorHandler(translate("api_key_not_found", lang), 404);
+    if (apiKey.revokedAt) return apiKey;
+
+    const revoked = await prisma.apiKey.update({ where: { id: keyId }, data: { revokedAt: new Date() }, select: apiKeySelect });
+    recordAuditLog(AuditLogAction.API_KEY_REVOKED, {
+      userId: reqDetails.actorUserId,
+      entityName: "ApiKey",
+      entityId: keyId,
+      description: `API key "${apiKey.name}" (${apiKey.prefix}…) revoked.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+    return revoked;
+  },
+
+  /**
+   * Resolves a raw key to { apiKey, user }, or { error } with the i18n key to answer with.
+   */
+  async authenticate(rawKey, ipAddress) {
+    if (!rawKey || !rawKey.startsWith(API_KEY_PREFIX)) return { error: "unauthorized_invalid_api_key" };
+
+    const apiKey = await prisma.apiKey.findUnique({ where: { keyHash: hashKey(rawKey) }, include: { user: true } });
+    if (!apiKey || apiKey.revokedAt || apiKey.user.deletedAt) return { error: "unauthorized_invalid_api_key" };
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return { error: "unauthorized_api_key_expired" };
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+      prisma.apiKey.update({ where: { id: apiKey.id }, data: { lastUsedAt: new Date(), lastUsedIp: ipAddress || null } })
+        .catch(error => console.error(`API key ${apiKey.id}: last-used update failed ->`, error.message));
+    }
+
+    const { user, ...key } = apiKey;
+    return { apiKey: key, user };
+  },
+};
+
+export { API_KEY_SCOPES };
+export default apiKeyService;
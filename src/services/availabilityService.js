@@ -0,0 +1,142 @@
+import prisma from "../utils/prismaClient.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import { BookingStatus } from "@prisma/client";
+import { translate } from "../utils/i18n.js";
+import listingService from "./listingService.js";
+import { OPENING_HOURS_INCLUDE, localTime, shiftDate } from "../utils/openingHours.js";
+import { listSlots, findSlot } from "../utils/slots.js";
+
+// Bookings in these states hold their places; cancelled and completed ones do not
+const CAPACITY_STATUSES = [BookingStatus.PENDING, BookingStatus.CONFIRMED];
+const DEFAULT_AVAILABILITY_DAYS = 7;
+const MAX_AVAILABILITY_DAYS = 31;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const slotListingSelect = {
+  id: true, status: true, ownerId: true, timezone: true, slotDuration: true, slotCapacity: true, slotAgeGroupCapacity: true,
+  ...OPENING_HOURS_INCLUDE,
+};
+
+const isValidDate = (value) => DATE_PATTERN.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+// Places a booking takes: every dependant counts towards their age group, otherwise all persons count towards booking.ageGroup
+const bookingUsage = (booking) => {
+  const dependantGroups = (booking.dependants || []).map(dependant => dependant.ageGroup);
+  const persons = parseInt(booking.numberOfPersons, 10) || dependantGroups.length || 1;
+  const ageGroups = {};
+  if (dependantGroups.length > 0) {
+    for (const ageGroup of dependantGroups) ageGroups[ageGroup] = (ageGroups[ageGroup] || 0) + 1;
+  } else if (booking.ageGroup) {
+    ageGroups[booking.ageGroup] = persons;
+  }
+  return { persons, ageGroups };
+};
+
+// Places taken per slot start (ms timestamp -> { persons, ageGroups })
+const usageBySlot = async (client, listingId, startTimes, excludeBookingId = null) => {
+  const bookings = await client.booking.findMany({
+    where: {
+      listingId,
+      bookingDate: { in: startTimes },
+      status: { in: CAPACITY_STATUSES },
+      ...(excludeBookingId && { id: { not: excludeBookingId } }),
+    },
+    select: { bookingDate: true, numberOfPersons: true, ageGroup: true, dependants: { select: { ageGroup: true } } },
+  });
+
+  const usage = new Map();
+  for (const booking of bookings) {
+    const key = booking.bookingDate.getTime();
+    const slotUsage = usage.get(key) || { persons: 0, ageGroups: {} };
+    const { persons, ageGroups } = bookingUsage(booking);
+    slotUsage.persons += persons;
+    for (const [ageGroup, count] of Object.entries(ageGroups)) {
+      slotUsage.ageGroups[ageGroup] = (slotUsage.ageGroups[ageGroup] || 0) + count;
+    }
+    usage.set(key, slotUsage);
+  }
+  return usage;
+};
+
+const availabilityService = {
+  /**
+   * Remaining capacity per upcoming slot between two dates ("YYYY-MM-DD" in the venue's timezone,
+   * defaults to the coming week). Listings without slot settings return an empty list.
+   */
+  async getAvailability(id, { from, to } = {}, lang = "en", viewer = null) {
+    const listingId = parseInt(id, 10);
+    const listing = isNaN(listingId) ? null : await prisma.listing.findUnique({ where: { id: listingId }, select: slotListingSelect });
+    if (!listing || !listingService.canViewListing(listing, viewer)) throw new errorHandler(translate("listing_not_found", lang), 404);
+
+    const now = new Date();
+    const fromDate = from || localTime(now, listing.timezone).date;
+    const toDate = to || shiftDate(fromDate, DEFAULT_AVAILABILITY_DAYS - 1);
+    if (!isValidDate(fromDate) || !isValidDate(toDate) || toDate < fromDate
+        || toDate > shiftDate(fromDate, MAX_AVAILABILITY_DAYS - 1)) {
+      throw new errorHandler(translate("error_invalid_availability_range", lang, { days: MAX_AVAILABILITY_DAYS }), 400);
+    }
+
+    const slots = listSlots(listing, fromDate, toDate).filter(slot => slot.startsAt > now);
+    const usage = slots.length > 0 ? await usageBySlot(prisma, listing.id, slots.map(slot => slot.startsAt)) : new Map();
+    const ageGroupCapacity = listing.slotAgeGroupCapacity || {};
+
+    return {
+      listingId: listing.id,
+      timezone: listing.timezone,
+      slotDuration: listing.slotDuration,
+      from: fromDate,
+      to: toDate,
+      slots: slots.map(slot => {
+        const used = usage.get(slot.startsAt.getTime()) || { persons: 0, ageGroups: {} };
+        return {
+          startsAt: slot.startsAt,
+          endsAt: slot.endsAt,
+          date: slot.date,
+          time: slot.label,
+          capacity: listing.slotCapacity,
+          booked: used.persons,
+          remaining: Math.max(0, listing.slotCapacity - used.persons),
+          ageGroups: Object.fromEntries(Object.entries(ageGroupCapacity).map(([ageGroup, capacity]) => {
+            const booked = used.ageGroups[ageGroup] || 0;
+            return [ageGroup, { capacity, booked, remaining: Math.max(0, capacity - booked) }];
+          })),
+        };
+      }),
+    };
+  },
+
+  /**
+   * Checks that booking ({ bookingDate, numberOfPersons, ageGroup, dependants: [{ ageGroup }] }) fits into
+   * its slot. Must run inside prisma.$transaction(async (tx) => ...) together with the booking write:
+   * the listing row stays locked until that transaction ends, so concurrent requests cannot oversell.
+   * excludeBookingId leaves the booking being changed out of the count. Returns the slot.
+   */
+  async reserveSlot(tx, listing, booking, lang = "en", excludeBookingId = null) {
+    if (!booking.bookingDate) throw new errorHandler(translate("error_booking_slot_required", lang), 400);
+    const startsAt = new Date(booking.bookingDate);
+    const slot = isNaN(startsAt.getTime()) ? null : findSlot(listing, startsAt);
+    if (!slot) throw new errorHandler(translate("error_booking_slot_invalid", lang), 400);
+
+    await tx.$queryRaw`SELECT id FROM "Listing" WHERE id = ${listing.id} FOR UPDATE`;
+
+    const used = (await usageBySlot(tx, listing.id, [slot.startsAt], excludeBookingId)).get(slot.startsAt.getTime())
+      || { persons: 0, ageGroups: {} };
+    const wanted = bookingUsage(booking);
+
+    const remaining = listing.slotCapacity - used.persons;
+    if (wanted.persons > remaining) {
+      throw new errorHandler(translate("error_booking_slot_full", lang, { slot: `${slot.date} ${slot.label}`, remaining: Math.max(0, remaining) }), 409);
+    }
+    for (const [ageGroup, count] of Object.entries(wanted.ageGroups)) {
+      const capacity = listing.slotAgeGroupCapacity?.[ageGroup];
+      if (capacity === undefined) continue;
+      const groupRemaining = capacity - (used.ageGroups[ageGroup] || 0);
+      if (count > groupRemaining) {
+        throw new errorHandler(translate("error_booking_slot_age_group_full", lang, { ageGroup, slot: `${slot.date} ${slot.label}`, remaining: Math.max(0, groupRemaining) }), 409);
+      }
+    }
+    return slot;
+  },
+};
+
+export default availabilityService;
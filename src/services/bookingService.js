@@ -1,9 +1,15 @@
 import prisma from '../utils/prismaClient.js';
 import { recordAuditLog } from '../utils/auditLogHandler.js';
-import { AuditLogAction } from '@prisma/client';
+import { AuditLogAction, ListingStatus } from '@prisma/client';
 import { createClient } from "redis";
 import * as deepl from "deepl-node";
 import { sendMail } from '../utils/mailer.js';
+import { getUserLanguage, translate } from '../utils/i18n.js';
+import { calculateAge, matchAgeGroup, parseListingGender } from '../utils/ageGroups.js';
+import { OPENING_HOURS_INCLUDE, formatOpeningHours } from '../utils/openingHours.js';
+import { hasSlots } from '../utils/slots.js';
+import availabilityService from './availabilityService.js';
+import errorHandler from '../middlewares/errorHandler.js';
 import pLimit from 'p-limit';
 
 // --- DeepL Configuration ---
@@ -146,6 +152,9 @@ async function translateReviewFields(review, targetLang, sourceLang = null) {
     if (review.comment) {
         translatedReview.comment = await translateText(review.comment, targetLang, sourceLang);
     }
+    if (review.ownerReply) {
+        translatedReview.ownerReply = await translateText(review.ownerReply, targetLang, sourceLang);
+    }
     // if (review.status) {
     //     translatedReview.status = await translateText(review.status, targetLang, sourceLang);
     // }
@@ -278,6 +287,35 @@ async function sendBookingEmails(booking, listing, user, lang) {
     }
 }
 
+// Loads the user's dependants picked for a booking and checks them against the listing's
+// age group and gender restrictions on the booking date. Returns [{ dependant, ageGroup }].
+async function resolveBookingDependants(userId, dependantIds, listing, bookingDate, lang) {
+    const ids = [...new Set((Array.isArray(dependantIds) ? dependantIds : [dependantIds]).map(id => parseInt(id, 10)))];
+    if (ids.some(isNaN)) throw new errorHandler(translate('dependant_not_found', lang), 404);
+
+    const dependants = await prisma.dependant.findMany({ where: { id: { in: ids }, userId } });
+    if (dependants.length !== ids.length) throw new errorHandler(translate('dependant_not_found', lang), 404);
+
+    const onDate = bookingDate ? new Date(bookingDate) : new Date();
+    const requiredGender = parseListingGender(listing.gender);
+    const problems = [];
+    const participants = dependants.map(dependant => {
+        const age = calculateAge(dependant.birthDate, onDate);
+        const { restricted, label } = matchAgeGroup(age, listing.agegroup);
+        if (restricted && !label) {
+            problems.push(translate('error_dependant_age_not_allowed', lang, { name: dependant.name, age, ageGroups: listing.agegroup.join(', ') }));
+        }
+        if (requiredGender && dependant.gender !== requiredGender) {
+            problems.push(translate('error_dependant_gender_not_allowed', lang, { name: dependant.name, gender: listing.gender }));
+        }
+        // Unrestricted listings still get an age group on the booking, in the same "x year" form
+        return { dependant, ageGroup: label || `${age} year` };
+    });
+
+    if (problems.length > 0) throw new errorHandler(problems.join(' '), 400);
+    return participants;
+}
+
 function createFilterHash(filters) {
     const sortedFilters = Object.keys(filters).sort().reduce((result, key) => { result[key] = filters[key]; return result; }, {});
     return JSON.stringify(sortedFilters);
@@ -316,10 +354,15 @@ async function translateListingFields(listing, targetLang, sourceLang = null) {
     // Translate array fields
     const arrayFields = ['agegroup', 'location', 'facilities', 'operatingHours'];
     for (const field of arrayFields) {
-        if (Array.isArray(listing[field])) // Ensure it's an array
+        if (Array.isArray(listing[field]) && !(field === 'operatingHours' && listing.openingHours?.length > 0))
             translatedListing[field] = await translateArrayFields(listing[field], targetLang, sourceLang);
     }
 
+    // Structured hours are formatted in the target language instead of going through DeepL
+    if (Array.isArray(listing.openingHours) && listing.openingHours.length > 0) {
+        translatedListing.operatingHours = formatOpeningHours(listing.openingHours, targetLang === "AR" ? "ar" : "en");
+    }
+
     // Translate categories
     const categoryFields = ['selectedMainCategories', 'selectedSubCategories', 'selectedSpecificItems'];
     for (const field of categoryFields) {
@@ -373,13 +416,20 @@ const bookingService = {
     // 1. Create Booking
     async createBooking(data, userUid, lang = 'en', reqDetails = {}) {
         try {
-            const { listingId, bookingDate, booking_hours, additionalNote, numberOfPersons, ageGroup } = data;
+            const { listingId, bookingDate, booking_hours, additionalNote, numberOfPersons, ageGroup, dependantIds } = data;
 
-            const user = await prisma.user.findUnique({ where: { uid: userUid } });
+            const user = await prisma.user.findUnique({ where: { uid: userUid }, include: { preference: true } });
             if (!user) throw new Error('User not found');
 
-            const listing = await prisma.listing.findUnique({ where: { id: listingId } });
+            const listing = await prisma.listing.findUnique({ where: { id: listingId }, include: OPENING_HOURS_INCLUDE });
             if (!listing) throw new Error('Listing not found');
+            // Drafts, listings in review and archived listings are not public and take no bookings
+            if (listing.status !== ListingStatus.PUBLISHED) throw new errorHandler(translate('listing_not_found', lang), 404);
+
+            // With dependants picked, the age group is derived from their birth dates instead of the free-text field
+            const participants = dependantIds && (!Array.isArray(dependantIds) || dependantIds.length > 0)
+                ? await resolveBookingDependants(user.id, dependantIds, listing, bookingDate, lang)
+                : [];
 
             let dataForDb = { additionalNote, booking_hours, ageGroup };
             if (lang === 'ar' && deeplClient) {
@@ -387,35 +437,54 @@ const bookingService = {
                 dataForDb.booking_hours = await translateText(booking_hours, 'EN-US', 'AR');
                 dataForDb.ageGroup = await translateText(ageGroup, 'EN-US', 'AR');
             }
+            if (participants.length > 0) {
+                dataForDb.ageGroup = [...new Set(participants.map(p => p.ageGroup))].join(', ');
+            }
 
-            const booking = await prisma.booking.create({
-                data: {
-                    userId: user.id,
-                    listingId: listingId,
-                    bookingDate: bookingDate ? new Date(bookingDate) : null,
-                    booking_hours: dataForDb.booking_hours,
-                    additionalNote: dataForDb.additionalNote,
-                    ageGroup: dataForDb.ageGroup,
-                    numberOfPersons: numberOfPersons ? parseInt(numberOfPersons) : null,
-                    status: 'PENDING',
-                    paymentMethod: 'UNPAID',
-                    updatedAt: new Date(),
+            const bookingData = {
+                userId: user.id,
+                listingId: listingId,
+                bookingDate: bookingDate ? new Date(bookingDate) : null,
+                booking_hours: dataForDb.booking_hours,
+                additionalNote: dataForDb.additionalNote,
+                ageGroup: dataForDb.ageGroup,
+                numberOfPersons: numberOfPersons ? parseInt(numberOfPersons) : (participants.length || null),
+                status: 'PENDING',
+                paymentMethod: 'UNPAID',
+                updatedAt: new Date(),
+                dependants: {
+                    create: participants.map(p => ({ dependantId: p.dependant.id, ageGroup: p.ageGroup }))
                 },
-                include: { user: true, listing: true }
-            });
+            };
+
+            // Listings with slots only take bookings for a slot start that still has room
+            const booking = hasSlots(listing)
+                ? await prisma.$transaction(async (tx) => {
+                    const slot = await availabilityService.reserveSlot(tx, listing, {
+                        ...bookingData,
+                        dependants: participants.map(p => ({ ageGroup: p.ageGroup })),
+                    }, lang);
+                    return tx.booking.create({
+                        data: { ...bookingData, booking_hours: bookingData.booking_hours || slot.label },
+                        include: { user: true, listing: true }
+                    });
+                })
+                : await prisma.booking.create({ data: bookingData, include: { user: true, listing: true } });
 
             const immediateResponse = lang === 'ar' ? {
                 message: 'تم استلام طلب الحجز بنجاح وسنعود إليك قريباً بالتأكيد.',
                 bookingId: booking.id,
                 listingName: await translateText(listing.name, 'AR', 'EN'),
                 status: await translateText('PENDING', 'AR', 'EN'),
-                paymentMethod: await translateText('UNPAID', 'AR', 'EN')
+                paymentMethod: await translateText('UNPAID', 'AR', 'EN'),
+                dependants: participants.map(p => ({ id: p.dependant.id, name: p.dependant.name, ageGroup: p.ageGroup }))
             } : {
                 message: 'Booking request received successfully. We will get back to you with a confirmation shortly.',
                 bookingId: booking.id,
                 listingName: listing.name,
                 status: 'PENDING',
-                paymentMethod: 'UNPAID'
+                paymentMethod: 'UNPAID',
+                dependants: participants.map(p => ({ id: p.dependant.id, name: p.dependant.name, ageGroup: p.ageGroup }))
             };
 
             setImmediate(async () => {
@@ -427,7 +496,7 @@ const bookingService = {
                     await updateRewardCategory(user.id, totalPointsResult._sum.points || 0);
                     await prisma.notification.create({ data: { userId: user.id, title: 'Booking Request Received', message: `Your booking for ${listing.name} is pending confirmation.`, type: 'BOOKING', entityId: booking.id.toString(), entityType: 'Booking' } });
                     await prisma.notification.create({ data: { userId: user.id, title: 'Points Awarded!', message: `You've earned 50 points for your new booking request.`, type: 'LOYALTY', entityId: newReward.id.toString(), entityType: 'Reward' } });
-                    await sendBookingEmails(booking, listing, user, lang);
+                    await sendBookingEmails(booking, listing, user, getUserLanguage(user, lang));
 
                     if (redisClient.isReady && deeplClient) {
                         const cacheKeysToDel = [
@@ -471,6 +540,7 @@ const bookingService = {
                         const currentListing = await prisma.listing.findUnique({
                             where: { id: listingId },
                             include: {
+                                ...OPENING_HOURS_INCLUDE,
                                 selectedMainCategories: true,
                                 selectedSubCategories: true,
                                 selectedSpecificItems: true,
@@ -535,6 +605,7 @@ const bookingService = {
             return immediateResponse;
         } catch (error) {
             console.error(`Failed to create booking: ${error.message}`);
+            if (error instanceof errorHandler) throw error; // Validation errors keep their status code
             throw new Error(`Failed to create booking: ${error.message}`);
         }
     },
@@ -711,7 +782,8 @@ const bookingService = {
                 where: { id: bookingId },
                 include: { user: {
                     select: { id: true, fname: true, lname: true, email: true }
-                }, listing: true, review: true, reward: true }
+                }, listing: true, review: true, reward: true,
+                dependants: { select: { ageGroup: true, dependant: { select: { id: true, name: true, gender: true } } } } }
             });
 
             if (!booking) return null;
@@ -800,7 +872,7 @@ const bookingService = {
 
             const bookings = await prisma.booking.findMany({
                 where: { user: { uid: uid } },
-                include: { listing: true, review: true, reward: true },
+                include: { listing: true, review: true, reward: true, dependants: { select: { ageGroup: true, dependant: { select: { id: true, name: true, gender: true } } } } },
                 orderBy: { createdAt: 'desc' }
             });
 
@@ -892,7 +964,7 @@ const bookingService = {
             const bookingId = parseInt(id);
             const currentBooking = await prisma.booking.findUnique({
                 where: { id: bookingId },
-                include: { user:true, listing: true }  
+                include: { user: { include: { preference: true } }, listing: { include: OPENING_HOURS_INCLUDE }, dependants: { select: { ageGroup: true } } }
             });
             if (!currentBooking) throw new Error('Booking not found');
 
@@ -912,20 +984,41 @@ const bookingService = {
             if (data.bookingDate) updateData.bookingDate = new Date(data.bookingDate);
             if (data.numberOfPersons) updateData.numberOfPersons = parseInt(data.numberOfPersons);
 
-            const updatedBooking = await prisma.booking.update({
+            const writeBooking = (client) => client.booking.update({
                 where: { id: bookingId },
                 data: updateData,
                include: { user: { select: { id: true, fname: true, lname: true, email: true } }, listing: true, review: { select: { id: true, rating: true, comment: true, createdAt: true } }, reward: true }
             });
 
+            // Moving the booking, adding persons or reactivating it needs room in the (new) slot
+            const holdsPlace = (status) => ['PENDING', 'CONFIRMED'].includes(status);
+            const nextStatus = updateData.status || currentBooking.status;
+            const needsCapacity = hasSlots(currentBooking.listing) && holdsPlace(nextStatus)
+                && (data.bookingDate || data.numberOfPersons || data.ageGroup || !holdsPlace(currentBooking.status));
+
+            const updatedBooking = needsCapacity
+                ? await prisma.$transaction(async (tx) => {
+                    await availabilityService.reserveSlot(tx, currentBooking.listing, {
+                        bookingDate: updateData.bookingDate || currentBooking.bookingDate,
+                        numberOfPersons: updateData.numberOfPersons || currentBooking.numberOfPersons,
+                        ageGroup: updateData.ageGroup || currentBooking.ageGroup,
+                        dependants: currentBooking.dependants,
+                    }, lang, bookingId);
+                    return writeBooking(tx);
+                })
+                : await writeBooking(prisma);
+
             // Handle status and payment updates
             setImmediate(async () => {
                 try {
+                    // Usually an admin changes the booking, so mail the customer in their own language
+                    const mailLang = getUserLanguage(currentBooking.user);
+
                     // Send email notifications for status updates
                     if (data.status && data.status !== currentBooking.status) {
-                        const statusSubject = 'Booking Status Update';
-                        const statusMessage = `Hello ${currentBooking.user.fname || 'Customer'},\n\nYour booking for "${currentBooking.listing.name}" has been updated.\n\nNew Status: ${data.status}\nBooking Date: ${currentBooking.bookingDate}\nBooking ID: ${bookingId}`;
-                        await sendMail(currentBooking.user.email, statusSubject, statusMessage, 'en', {
+                        const statusSubject = mailLang === 'ar' ? 'تحديث حالة الحجز' : 'Booking Status Update';
+                        const statusMessage = mailLang === 'ar' ? `مرحباً ${currentBooking.user.fname || 'العميل'},\n\nتم تحديث حجزك لـ "${currentBooking.listing.name}".\n\nالحالة الجديدة: ${data.status}\nتاريخ الحجز: ${currentBooking.bookingDate}\nرقم الحجز: ${bookingId}` : `Hello ${currentBooking.user.fname || 'Customer'},\n\nYour booking for "${currentBooking.listing.name}" has been updated.\n\nNew Status: ${data.status}\nBooking Date: ${currentBooking.bookingDate}\nBooking ID: ${bookingId}`;
+                        await sendMail(currentBooking.user.email, statusSubject, statusMessage, mailLang, {
                             name: currentBooking.user.fname || 'Customer',
                             listingName: currentBooking.listing.name,
                             status: data.status
@@ -946,11 +1039,12 @@ const bookingService = {
 
                     // Send email notifications for payment updates
                     if (data.paymentMethod && data.paymentMethod !== currentBooking.paymentMethod) {
-                        const paymentSubject = 'Booking Payment Update';
+                        const paymentSubject = mailLang === 'ar' ? 'تحديث دفع الحجز' : 'Booking Payment Update';
                         const paymentStatus = data.paymentMethod === 'UNPAID' ? 'Payment Required' : 'Payment Confirmed';
-                        const paymentMessage = `Hello ${currentBooking.user.fname || 'Customer'},\n\nYour payment status for booking "${currentBooking.listing.name}" has been updated.\n\nPayment Status: ${paymentStatus}\nPayment Method: ${data.paymentMethod}\nBooking Date: ${currentBooking.bookingDate}\nBooking ID: ${bookingId}\nGuests: ${currentBooking.numberOfPersons || 'N/A'}\nBooking Hours: ${currentBooking.booking_hours || 'N/A'}`;
+                        const paymentStatusForMail = mailLang === 'ar' ? (data.paymentMethod === 'UNPAID' ? 'الدفع مطلوب' : 'تم تأكيد الدفع') : paymentStatus;
+                        const paymentMessage = mailLang === 'ar' ? `مرحباً ${currentBooking.user.fname || 'العميل'},\n\nتم تحديث حالة الدفع لحجزك "${currentBooking.listing.name}".\n\nحالة الدفع: ${paymentStatusForMail}\nطريقة الدفع: ${data.paymentMethod}\nتاريخ الحجز: ${currentBooking.bookingDate}\nرقم الحجز: ${bookingId}\nعدد الضيوف: ${currentBooking.numberOfPersons || 'غير محدد'}\nساعات الحجز: ${currentBooking.booking_hours || 'غير محدد'}` : `Hello ${currentBooking.user.fname || 'Customer'},\n\nYour payment status for booking "${currentBooking.listing.name}" has been updated.\n\nPayment Status: ${paymentStatus}\nPayment Method: ${data.paymentMethod}\nBooking Date: ${currentBooking.bookingDate}\nBooking ID: ${bookingId}\nGuests: ${currentBooking.numberOfPersons || 'N/A'}\nBooking Hours: ${currentBooking.booking_hours || 'N/A'}`;
                         
-                        await sendMail(currentBooking.user.email, paymentSubject, paymentMessage, 'en', {
+                        await sendMail(currentBooking.user.email, paymentSubject, paymentMessage, mailLang, {
                             name: currentBooking.user.fname || 'Customer',
                             listingName: currentBooking.listing.name,
                             paymentStatus: paymentStatus,
@@ -1046,6 +1140,7 @@ const bookingService = {
                             const currentListing = await prisma.listing.findUnique({
                                 where: { id: currentBooking.listingId },
                                 include: {
+                                    ...OPENING_HOURS_INCLUDE,
                                     selectedMainCategories: true,
                                     selectedSubCategories: true,
                                     selectedSpecificItems: true,
@@ -1115,6 +1210,7 @@ const bookingService = {
             return updatedBooking;
         } catch (error) {
             console.error(`Failed to update booking ${id}: ${error.message}`);
+            if (error instanceof errorHandler) throw error; // e.g. the slot is full
             throw new Error(`Failed to update booking ${id}: ${error.message}`);
         }
     },
@@ -1124,7 +1220,7 @@ const bookingService = {
             const bookingId = parseInt(id);
             const bookingToDelete = await prisma.booking.findUnique({ 
                 where: { id: bookingId }, 
-                include: { user: true, listing: true, review: true } 
+                include: { user: { include: { preference: true } }, listing: true, review: true }
             });
             if (!bookingToDelete) throw new Error('Booking not found');
 
@@ -1147,9 +1243,10 @@ const bookingService = {
                     await updateRewardCategory(bookingToDelete.userId, totalPointsResult._sum.points || 0);
 
                     // Send email notification for booking deletion
-                    const deletionSubject = 'Booking Cancelled';
-                    const deletionMessage = `Hello ${bookingToDelete.user.fname || 'Customer'},\n\nYour booking for "${bookingToDelete.listing.name}" has been cancelled.\n\nBooking ID: ${bookingId}\nOriginal Booking Date: ${bookingToDelete.bookingDate}`;
-                    await sendMail(bookingToDelete.user.email, deletionSubject, deletionMessage, 'en', {
+                    const mailLang = getUserLanguage(bookingToDelete.user);
+                    const deletionSubject = mailLang === 'ar' ? 'تم إلغاء الحجز' : 'Booking Cancelled';
+                    const deletionMessage = mailLang === 'ar' ? `مرحباً ${bookingToDelete.user.fname || 'العميل'},\n\nتم إلغاء حجزك لـ "${bookingToDelete.listing.name}".\n\nرقم الحجز: ${bookingId}\nتاريخ الحجز الأصلي: ${bookingToDelete.bookingDate}` : `Hello ${bookingToDelete.user.fname || 'Customer'},\n\nYour booking for "${bookingToDelete.listing.name}" has been cancelled.\n\nBooking ID: ${bookingId}\nOriginal Booking Date: ${bookingToDelete.bookingDate}`;
+                    await sendMail(bookingToDelete.user.email, deletionSubject, deletionMessage, mailLang, {
                         name: bookingToDelete.user.fname || 'Customer',
                         listingName: bookingToDelete.listing.name
                     });
@@ -1227,6 +1324,7 @@ const bookingService = {
                             const currentListing = await prisma.listing.findUnique({
                                 where: { id: bookingToDelete.listingId },
                                 include: {
+                                    ...OPENING_HOURS_INCLUDE,
                                     selectedMainCategories: true,
                                     selectedSubCategories: true,
                                     selectedSpecificItems: true,
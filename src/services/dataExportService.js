@@ -0,0 +1,267 @@
+import prisma from "../utils/prismaClient.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import { sendMail } from "../utils/mailer.js";
+import { createNotification } from "../utils/notificationHandler.js";
+import { recordAuditLog } from "../utils/auditLogHandler.js";
+import { AuditLogAction, NotificationType, DataExportStatus } from "@prisma/client";
+import { translate, getUserLanguage } from "../utils/i18n.js";
+import { toCsv } from "../utils/spreadsheet.js";
+import AdmZip from "adm-zip";
+import cron from "node-cron";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+
+// Kept outside the public /uploads directory and the source tree: files are only served through the
+// authenticated download route. The temp dir fallback may be cleared before a download window ends, so
+// production has to name a persistent directory.
+if (!process.env.DATA_EXPORT_DIR && process.env.NODE_ENV === "production") {
+  throw new Error("DATA_EXPORT_DIR must be set to a persistent directory in production.");
+}
+const EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(os.tmpdir(), "batteryqk-exports");
+const EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS, 10) || 48;
+// Above this many rows the archive is built by the background job instead of inside the request
+const EXPORT_SYNC_MAX_ROWS = parseInt(process.env.DATA_EXPORT_SYNC_MAX_ROWS, 10) || 2000;
+const EXPORT_JOB_BATCH_SIZE = 5;
+const API_BASE_URL = process.env.APP_BASE_URL || "http://localhost:3000";
+
+if (!fs.existsSync(EXPORT_DIR)) {
+  fs.mkdirSync(EXPORT_DIR, { recursive: true });
+}
+
+// Everything about the user except credentials and 2FA secrets
+const profileSelect = {
+  id: true, uid: true, fname: true, lname: true, email: true, role: true,
+  verifiedAt: true, twoFactorEnabledAt: true, createdAt: true, updatedAt: true,
+  preference: { select: { language: true, phoneNumber: true, timezone: true, marketingOptIn: true } },
+  dependants: { select: { id: true, name: true, birthDate: true, gender: true, createdAt: true } },
+};
+
+const collectUserData = async (userId) => {
+  const [profile, bookings, reviews, rewards, notifications, auditLogs] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, select: profileSelect }),
+    prisma.booking.findMany({ where: { userId }, include: { listing: { select: { id: true, name: true } } }, orderBy: { createdAt: "asc" } }),
+    prisma.review.findMany({ where: { userId }, include: { listing: { select: { id: true, name: true } } }, orderBy: { createdAt: "asc" } }),
+    prisma.reward.findMany({ where: { userId }, orderBy: { createdAt: "asc" } }),
+    prisma.notification.findMany({ where: { userId }, orderBy: { createdAt: "asc" } }),
+    prisma.auditLog.findMany({ where: { userId }, orderBy: { timestamp: "asc" } }),
+  ]);
+
+  // Flatten the listing relation so the CSV gets plain columns
+  const withListingName = ({ listing, ...row }) => ({ ...row, listingName: listing?.name ?? null });
+
+  return {
+    profile,
+    collections: {
+      bookings: bookings.map(withListingName),
+      reviews: reviews.map(withListingName),
+      rewards,
+      notifications,
+      audit_logs: auditLogs,
+    },
+  };
+};
+
+// One JSON file per collection plus a CSV copy for spreadsheet users
+const buildArchive = ({ profile, collections }) => {
+  const zip = new AdmZip();
+  zip.addFile("profile.json", Buffer.from(JSON.stringify(profile, null, 2)));
+  for (const [name, rows] of Object.entries(collections)) {
+    zip.addFile(`${name}.json`, Buffer.from(JSON.stringify(rows, null, 2)));
+    zip.addFile(`${name}.csv`, Buffer.from(toCsv(rows)));
+  }
+  return zip.toBuffer();
+};
+
+const countUserRows = async (userId) => {
+  const counts = await Promise.all([
+    prisma.booking.count({ where: { userId } }),
+    prisma.review.count({ where: { userId } }),
+    prisma.reward.count({ where: { userId } }),
+    prisma.notification.count({ where: { userId } }),
+    prisma.auditLog.count({ where: { userId } }),
+  ]);
+  return counts.reduce((total, count) => total + count, 0);
+};
+
+const archiveName = (user) => `batteryqk-data-${user.uid}-${new Date().toISOString().slice(0, 10)}.zip`;
+
+const auditExport = (user, description, reqDetails = {}) => {
+  recordAuditLog(AuditLogAction.USER_DATA_EXPORTED, {
+    userId: user.id,
+    entityName: "User",
+    entityId: user.id,
+    description,
+    ipAddress: reqDetails.ipAddress,
+    userAgent: reqDetails.userAgent,
+  });
+};
+
+let jobRunning = false;
+
+const dataExportService = {
+  /**
+   * Small accounts get the ZIP straight away ({ fileName, buffer }).
+   * Larger ones get a queued DataExport ({ export }) and are told by notification + email when it is ready.
+   */
+  async requestExport(user, lang = "en", reqDetails = {}) {
+    const totalRows = await countUserRows(user.id);
+
+    if (totalRows <= EXPORT_SYNC_MAX_ROWS) {
+      const buffer = buildArchive(await collectUserData(user.id));
+      auditExport(user, `User ${user.email} downloaded a data export (${totalRows} records).`, reqDetails);
+      return { fileName: archiveName(user), buffer };
+    }
+
+    // Only one export per user in the queue at a time
+    const existing = await prisma.dataExport.findFirst({
+      where: { userId: user.id, status: { in: [DataExportStatus.PENDING, DataExportStatus.PROCESSING] } },
+    });
+    if (existing) return { export: existing };
+
+    const dataExport = await prisma.dataExport.create({ data: { userId: user.id, lang } });
+    auditExport(user, `User ${user.email} requested a data export (${totalRows} records, export ${dataExport.id}).`, reqDetails);
+
+    setImmediate(() => this.processPendingExports());
+    return { export: dataExport };
+  },
+
+  async getUserExports(userId) {
+    return prisma.dataExport.findMany({
+      where: { userId },
+      select: { id: true, status: true, fileSize: true, expiresAt: true, completedAt: true, createdAt: true },
+      orderBy: { createdAt: "desc" },
+      take: 20,
+    });
+  },
+
+  // Resolves the file of a ready export owned by the user
+  async getExportFile(userId, exportId, lang = "en") {
+    const dataExport = await prisma.dataExport.findFirst({ where: { id: exportId, userId } });
+    if (!dataExport) throw new errorHandler(translate("data_export_not_found", lang), 404);
+    if (dataExport.status === DataExportStatus.EXPIRED
+        || (dataExport.expiresAt && dataExport.expiresAt <= new Date())) {
+      throw new errorHandler(translate("data_export_expired", lang), 410);
+    }
+    if (dataExport.status !== DataExportStatus.READY) {
+      throw new errorHandler(translate("data_export_not_ready", lang), 409);
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { uid: true } });
+    return { filePath: path.join(EXPORT_DIR, dataExport.fileName), downloadName: archiveName(user) };
+  },
+
+  // Removes every export of a user together with the files (used when the account is anonymized)
+  async deleteUserExports(userId) {
+    const exports = await prisma.dataExport.findMany({ where: { userId }, select: { fileName: true } });
+    for (const { fileName } of exports) {
+      if (fileName) await fs.promises.rm(path.join(EXPORT_DIR, fileName), { force: true });
+    }
+    await prisma.dataExport.deleteMany({ where: { userId } });
+  },
+
+  async processExport(dataExport) {
+    // Claim the row so two runs never build the same export
+    const claimed = await prisma.dataExport.updateMany({
+      where: { id: dataExport.id, status: DataExportStatus.PENDING },
+      data: { status: DataExportStatus.PROCESSING },
+    });
+    if (claimed.count === 0) return;
+
+    try {
+      const data = await collectUserData(dataExport.userId);
+      if (!data.profile) throw new Error("User no longer exists.");
+
+      const buffer = buildArchive(data);
+      const fileName = `${uuidv4()}.zip`;
+      await fs.promises.writeFile(path.join(EXPORT_DIR, fileName), buffer);
+
+      const expiresAt = new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000);
+      await prisma.dataExport.update({
+        where: { id: dataExport.id },
+        data: { status: DataExportStatus.READY, fileName, fileSize: buffer.length, expiresAt, completedAt: new Date() },
+      });
+
+      // The preference may have changed since the request was queued
+      const lang = getUserLanguage(data.profile, dataExport.lang);
+      const link = `${API_BASE_URL}/api/users/self/export/${dataExport.id}/download`;
+      await createNotification(
+        dataExport.userId,
+        NotificationType.SYSTEM,
+        "notification_title_data_export_ready",
+        "notification_message_data_export_ready",
+        lang,
+        dataExport.id,
+        "DataExport",
+        `/api/users/self/export/${dataExport.id}/download`,
+        { hours: EXPORT_TTL_HOURS }
+      );
+      sendMail(data.profile.email, "email_subject_data_export_ready", "email_body_data_export_ready", lang, {
+        name: data.profile.fname || data.profile.email,
+        link,
+        expiresAt: expiresAt.toUTCString(),
+      });
+    } catch (error) {
+      console.error(`Data export ${dataExport.id} failed:`, error.message);
+      await prisma.dataExport.update({
+        where: { id: dataExport.id },
+        data: { status: DataExportStatus.FAILED, error: error.message, completedAt: new Date() },
+      });
+    }
+  },
+
+  async processPendingExports() {
+    if (jobRunning) return;
+    jobRunning = true;
+    try {
+      const pending = await prisma.dataExport.findMany({
+        where: { status: DataExportStatus.PENDING },
+        orderBy: { createdAt: "asc" },
+        take: EXPORT_JOB_BATCH_SIZE,
+      });
+      // One at a time, archives are built in memory
+      for (const dataExport of pending) {
+        await this.processExport(dataExport);
+      }
+    } catch (error) {
+      console.error("Data export job failed:", error.message);
+    } finally {
+      jobRunning = false;
+    }
+  },
+
+  async purgeExpiredExports() {
+    try {
+      const expired = await prisma.dataExport.findMany({
+        where: { status: DataExportStatus.READY, expiresAt: { lte: new Date() } },
+      });
+      for (const dataExport of expired) {
+        if (dataExport.fileName) {
+          await fs.promises.rm(path.join(EXPORT_DIR, dataExport.fileName), { force: true });
+        }
+        await prisma.dataExport.update({
+          where: { id: dataExport.id },
+          data: { status: DataExportStatus.EXPIRED, fileName: null },
+        });
+      }
+      if (expired.length > 0) console.log(`Data exports: purged ${expired.length} expired file(s).`);
+
+      // A restart during a build leaves the row PROCESSING; fail it so the user can ask again
+      await prisma.dataExport.updateMany({
+        where: { status: DataExportStatus.PROCESSING, createdAt: { lte: new Date(Date.now() - 60 * 60 * 1000) } },
+        data: { status: DataExportStatus.FAILED, error: "Interrupted.", completedAt: new Date() },
+      });
+    } catch (error) {
+      console.error("Data export purge failed:", error.message);
+    }
+  },
+
+  start() {
+    cron.schedule("*/1 * * * *", () => this.processPendingExports(), { timezone: "UTC" });
+    cron.schedule("0 * * * *", () => this.purgeExpiredExports(), { timezone: "UTC" });
+    console.log("Data export scheduler configured");
+  },
+};
+
+export default dataExportService;
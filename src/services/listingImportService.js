@@ -0,0 +1,471 @@
+import prisma from "../utils/prismaClient.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import { MAX_SPREADSHEET_SIZE } from "../middlewares/img.js";
+import listingService from "./listingService.js";
+import { createNotification } from "../utils/notificationHandler.js";
+import { recordAuditLog } from "../utils/auditLogHandler.js";
+import { AuditLogAction, NotificationType, ListingImportStatus, ListingStatus, UserRole } from "@prisma/client";
+import { translate } from "../utils/i18n.js";
+import { readSpreadsheet, isXlsx, detectDelimiter, unescapeCsvFormula, toCsv, writeXlsx } from "../utils/spreadsheet.js";
+import { OPENING_HOURS_INCLUDE, parseOpeningHours, isValidTimezone, formatOpeningHours } from "../utils/openingHours.js";
+import { parseCoordinates } from "../utils/geo.js";
+import cron from "node-cron";
+
+const IMPORT_MAX_ROWS = parseInt(process.env.LISTING_IMPORT_MAX_ROWS, 10) || 1000;
+// Rows created between two progress updates
+const IMPORT_BATCH_SIZE = parseInt(process.env.LISTING_IMPORT_BATCH_SIZE, 10) || 25;
+const IMPORT_JOB_BATCH_SIZE = 5;
+const MAX_SUB_IMAGES = parseInt(process.env.MAX_SUB_IMAGES, 10) || 10;
+// Uncompressed size allowed for each part of an XLSX upload; spreadsheet XML compresses well but not endlessly
+const XLSX_MAX_ENTRY_SIZE = 20 * MAX_SPREADSHEET_SIZE;
+
+// Column order of the import template and of the export; list cells hold their values separated by "|"
+const LISTING_COLUMNS = [
+  "name", "description", "price", "discount", "gender", "age_groups", "location", "latitude", "longitude",
+  "facilities", "hours", "operating_hours", "timezone", "main_categories", "sub_categories", "specific_items",
+  "main_image", "sub_images",
+];
+const LIST_SEPARATOR = "|";
+// Category paths name the parents first, e.g. "Sports > Football > Boots"
+const PATH_SEPARATOR = ">";
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+// Category column -> listing relation
+const CATEGORY_COLUMNS = {
+  main_categories: "selectedMainCategories",
+  sub_categories: "selectedSubCategories",
+  specific_items: "selectedSpecificItems",
+};
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const exportInclude = {
+  selectedMainCategories: { select: { name: true } },
+  selectedSubCategories: { select: { name: true, mainCategory: { select: { name: true } } } },
+  selectedSpecificItems: { select: { name: true, mainCategory: { select: { name: true } }, subCategory: { select: { name: true } } } },
+  openingHours: OPENING_HOURS_INCLUDE.openingHours,
+};
+
+// Progress of an import without the queued rows
+const importSelect = {
+  id: true, status: true, fileName: true, format: true, ownerId: true, totalRows: true, processedRows: true,
+  createdCount: true, failedCount: true, errors: true, listingIds: true, error: true,
+  startedAt: true, completedAt: true, createdAt: true,
+};
+
+// "Age Groups" -> "age_groups"
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[\s-]+/g, "_");
+
+const splitList = (value, separator = LIST_SEPARATOR) => String(value || "")
+  .split(separator)
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const formatTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+/**
+ * "Mon-Fri 09:00-17:00 | Sat 10am-2pm" -> openingHours input ([{ day, open, close }]); day ranges may wrap
+ * around the week (Fri-Sun). Returns null for a malformed entry.
+ */
+const parseHoursCell = (value) => {
+  const entries = [];
+  for (const part of splitList(value)) {
+    const match = part.match(/^([a-z]+)(?:\s*-\s*([a-z]+))?\s*:?\s+(.+?)\s*-\s*(.+)$/i);
+    const first = match ? DAYS.indexOf(match[1].toLowerCase().slice(0, 3)) : -1;
+    const last = match ? DAYS.indexOf((match[2] || match[1]).toLowerCase().slice(0, 3)) : -1;
+    if (first === -1 || last === -1) return null;
+    for (let day = first; ; day = (day + 1) % 7) {
+      entries.push({ day, open: match[3], close: match[4] });
+      if (day === last) break;
+    }
+  }
+  return entries;
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// All category options with their full path, for the name lookups of one file
+const loadCategoryPaths = async () => {
+  const [main, sub, specific] = await Promise.all([
+    prisma.mainCategoryOption.findMany({ select: { id: true, name: true } }),
+    prisma.subCategoryOption.findMany({ select: { id: true, name: true, mainCategory: { select: { name: true } } } }),
+    prisma.specificItemOption.findMany({
+      select: { id: true, name: true, mainCategory: { select: { name: true } }, subCategory: { select: { name: true } } },
+    }),
+  ]);
+  const withPath = (option, parents) => ({ id: option.id, path: [...parents, option.name].filter(Boolean).map(name => name.trim().toLowerCase()) });
+  return {
+    main_categories: main.map(option => withPath(option, [])),
+    sub_categories: sub.map(option => withPath(option, [option.mainCategory?.name])),
+    specific_items: specific.map(option => withPath(option, [option.mainCategory?.name, option.subCategory?.name])),
+  };
+};
+
+// A name matches the options whose path ends with it: "Boots", "Football > Boots" and "Sports > Football > Boots" all work
+const findCategory = (options, name) => {
+  const wanted = splitList(name, PATH_SEPARATOR).map(part => part.toLowerCase());
+  return options.filter(option => wanted.length <= option.path.length
+    && wanted.every((part, i) => option.path[option.path.length - wanted.length + i] === part));
+};
+
+const categoryPath = (option) => [option.mainCategory?.name, option.subCategory?.name, option.name].filter(Boolean).join(` ${PATH_SEPARATOR} `);
+
+/**
+ * One spreadsheet row -> { data, errors }: data holds the listing fields and category ids,
+ * errors [{ column, message }] everything that keeps the row from being imported.
+ * With decimalComma (semicolon separated CSV) numbers may be written as "1,5".
+ */
+const validateRow = (record, categories, lang, { decimalComma = false } = {}) => {
+  const errors = [];
+  const fail = (column, key, params) => errors.push({ column, message: translate(key, lang, params) });
+  const cell = (column) => String(record[column] ?? "").trim();
+  const numberCell = (column) => (decimalComma ? cell(column).replace(/^(-?\d*),(\d+%?)$/, "$1.$2") : cell(column));
+
+  const data = {
+    name: cell("name") || null,
+    description: cell("description") || null,
+    gender: cell("gender") || null,
+    agegroup: splitList(record.age_groups),
+    location: splitList(record.location),
+    facilities: splitList(record.facilities),
+    operatingHours: splitList(record.operating_hours),
+  };
+  if (!data.name) fail("name", "listing_import_error_name_required");
+
+  for (const [column, field, max] of [["price", "price", Infinity], ["discount", "discount", 100]]) {
+    const value = numberCell(column);
+    if (!value) continue;
+    const number = Number(value.replace(/%$/, ""));
+    if (!Number.isFinite(number) || number < 0 || number > max) fail(column, `listing_import_error_invalid_${column}`);
+    else data[field] = number;
+  }
+
+  if (cell("hours")) {
+    const entries = parseHoursCell(cell("hours"));
+    try {
+      if (!entries) throw new Error(translate("listing_import_error_hours_format", lang));
+      data.openingHours = parseOpeningHours(entries);
+    } catch (error) {
+      fail("hours", "listing_import_error_invalid_hours", { error: error.message });
+    }
+  }
+  if (cell("timezone")) {
+    if (isValidTimezone(cell("timezone"))) data.timezone = cell("timezone");
+    else fail("timezone", "error_invalid_timezone");
+  }
+  if (cell("latitude") || cell("longitude")) {
+    try {
+      Object.assign(data, parseCoordinates({ latitude: numberCell("latitude"), longitude: numberCell("longitude") }));
+    } catch (error) {
+      fail("latitude", "error_invalid_coordinates", { error: error.message });
+    }
+  }
+
+  for (const column of Object.keys(CATEGORY_COLUMNS)) {
+    data[column] = [];
+    for (const name of splitList(record[column])) {
+      const matches = findCategory(categories[column], name);
+      if (matches.length === 1) data[column].push(matches[0].id);
+      else fail(column, matches.length === 0 ? "listing_import_error_unknown_category" : "listing_import_error_ambiguous_category", { name });
+    }
+  }
+
+  const mainImage = cell("main_image");
+  const subImages = splitList(record.sub_images);
+  for (const url of [mainImage, ...subImages].filter(Boolean)) {
+    if (!isHttpUrl(url)) fail(url === mainImage ? "main_image" : "sub_images", "listing_import_error_invalid_image_url", { url });
+  }
+  if (subImages.length > MAX_SUB_IMAGES) fail("sub_images", "listing_import_error_too_many_images", { max: MAX_SUB_IMAGES });
+  data.main_image = mainImage || null;
+  data.sub_images = subImages;
+
+  return { data, errors };
+};
+
+// Uploaded file -> { format, decimalComma, columns, ignoredColumns, rows: [{ row, record }] } with the file's row numbers
+const readRecords = (file, lang) => {
+  if (!file?.buffer?.length) throw new errorHandler(translate("listing_import_file_required", lang), 400);
+  const format = isXlsx(file.buffer) ? "xlsx" : "csv";
+  // Spreadsheet programs save semicolon separated CSV where the comma is the decimal separator
+  const decimalComma = format === "csv" && detectDelimiter(file.buffer.toString("utf8")) === ";";
+
+  let table;
+  try {
+    table = readSpreadsheet(file.buffer, { maxEntrySize: XLSX_MAX_ENTRY_SIZE });
+  } catch (error) {
+    throw new errorHandler(translate("listing_import_invalid_file", lang, { error: error.message }), 400);
+  }
+  const [header = [], ...lines] = table;
+  const columns = header.map(normalizeHeader);
+  if (!columns.includes("name")) throw new errorHandler(translate("listing_import_name_column_missing", lang), 400);
+
+  const rows = lines
+    .map((values, i) => ({ row: i + 2, values }))
+    .filter(({ values }) => values.some(value => String(value).trim() !== ""))
+    // CSV exports protect formula-like text with an apostrophe (see toCsv), a re-imported export drops it
+    .map(({ row, values }) => ({ row, values: format === "csv" ? values.map(unescapeCsvFormula) : values }))
+    .map(({ row, values }) => ({ row, record: Object.fromEntries(columns.map((column, index) => [column, values[index] ?? ""])) }));
+  if (rows.length === 0) throw new errorHandler(translate("listing_import_empty", lang), 400);
+  if (rows.length > IMPORT_MAX_ROWS) throw new errorHandler(translate("listing_import_too_many_rows", lang, { max: IMPORT_MAX_ROWS }), 400);
+
+  return { format, decimalComma, columns, ignoredColumns: columns.filter(column => column && !LISTING_COLUMNS.includes(column)), rows };
+};
+
+// Listing create input of a validated row; imported listings start as drafts for an admin to publish
+const buildListingData = (data, ownerId) => ({
+  name: data.name,
+  description: data.description,
+  price: data.price ?? null,
+  discount: data.discount ?? null,
+  gender: data.gender,
+  agegroup: data.agegroup,
+  location: data.location,
+  facilities: data.facilities,
+  operatingHours: data.openingHours ? formatOpeningHours(data.openingHours, "en") : data.operatingHours,
+  ...(data.openingHours && { openingHours: { create: data.openingHours } }),
+  ...(data.timezone && { timezone: data.timezone }),
+  ...(data.latitude !== undefined && { latitude: data.latitude, longitude: data.longitude }),
+  main_image: data.main_image,
+  sub_images: data.sub_images,
+  status: ListingStatus.DRAFT,
+  isActive: false,
+  ownerId: ownerId || null,
+  ...Object.fromEntries(Object.entries(CATEGORY_COLUMNS)
+    .filter(([column]) => data[column].length > 0)
+    .map(([column, relation]) => [relation, { connect: data[column].map(id => ({ id })) }])),
+});
+
+// Optional venue account the imported listings are given to
+const resolveOwner = async (ownerId, lang) => {
+  if (ownerId === undefined || ownerId === null || ownerId === "") return null;
+  const id = parseInt(ownerId, 10);
+  const owner = isNaN(id) ? null : await prisma.user.findFirst({ where: { id, role: UserRole.VENUE_OWNER, deletedAt: null }, select: { id: true } });
+  if (!owner) throw new errorHandler(translate("error_invalid_listing_owner", lang), 400);
+  return owner.id;
+};
+
+let jobRunning = false;
+
+const listingImportService = {
+  /**
+   * Validates an uploaded CSV / XLSX file. A dry run (or a file with invalid rows, unless skipInvalid is set)
+   * returns the report { report }; otherwise the valid rows are queued as a ListingImport ({ report, import })
+   * and created in the background.
+   *
+   * report: { format, totalRows, validRows, invalidRows, ignoredColumns, errors: [{ row, name, column, message }] }
+   */
+  async importListings(file, { dryRun = false, skipInvalid = false, ownerId } = {}, lang = "en", reqDetails = {}) {
+    const { format, decimalComma, ignoredColumns, rows } = readRecords(file, lang);
+    const owner = await resolveOwner(ownerId, lang);
+    const categories = await loadCategoryPaths();
+
+    const valid = [];
+    const errors = [];
+    for (const { row, record } of rows) {
+      const result = validateRow(record, categories, lang, { decimalComma });
+      if (result.errors.length === 0) valid.push({ row, data: result.data });
+      else errors.push(...result.errors.map(error => ({ row, name: record.name || null, ...error })));
+    }
+    const report = {
+      format,
+      totalRows: rows.length,
+      validRows: valid.length,
+      invalidRows: rows.length - valid.length,
+      ignoredColumns,
+      errors,
+    };
+
+    if (dryRun) return { report };
+    if (valid.length === 0 || (errors.length > 0 && !skipInvalid)) {
+      throw Object.assign(new errorHandler(translate("listing_import_has_errors", lang, { count: report.invalidRows }), 422), { report });
+    }
+
+    const listingImport = await prisma.listingImport.create({
+      data: {
+        userId: reqDetails.actorUserId || null,
+        ownerId: owner,
+        fileName: file.originalname || null,
+        format,
+        lang,
+        rows: valid,
+        totalRows: valid.length,
+        listingIds: [],
+      },
+      select: importSelect,
+    });
+    recordAuditLog(AuditLogAction.GENERAL_UPDATE, {
+      userId: reqDetails.actorUserId,
+      entityName: "ListingImport",
+      entityId: listingImport.id,
+      description: `Listing import ${listingImport.id} queued: ${valid.length} row(s) from ${file.originalname || format}${report.invalidRows ? `, ${report.invalidRows} invalid row(s) skipped` : ""}.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+
+    setImmediate(() => this.processPendingImports());
+    return { report, import: listingImport };
+  },
+
+  async getImport(importId, lang = "en") {
+    const id = parseInt(importId, 10);
+    const listingImport = isNaN(id) ? null : await prisma.listingImport.findUnique({ where: { id }, select: importSelect });
+    if (!listingImport) throw new errorHandler(translate("listing_import_not_found", lang), 404);
+    const done = listingImport.processedRows;
+    return { ...listingImport, progress: listingImport.totalRows ? Math.round((done / listingImport.totalRows) * 100) : 100 };
+  },
+
+  // Creates the queued rows batch by batch, saving the progress after each batch so a resumed run skips them
+  // (rows of a batch cut short by a restart are created again)
+  async processImport(listingImport) {
+    const claimed = await prisma.listingImport.updateMany({
+      where: { id: listingImport.id, status: ListingImportStatus.PENDING },
+      data: { status: ListingImportStatus.PROCESSING, startedAt: new Date() },
+    });
+    if (claimed.count === 0) return;
+
+    const { rows, lang } = listingImport;
+    let { processedRows, createdCount, failedCount } = listingImport;
+    const errors = [...listingImport.errors];
+    const listingIds = [...listingImport.listingIds];
+
+    try {
+      while (processedRows < rows.length) {
+        const batch = rows.slice(processedRows, processedRows + IMPORT_BATCH_SIZE);
+        for (const { row, data } of batch) {
+          try {
+            const listing = await prisma.listing.create({ data: buildListingData(data, listingImport.ownerId), select: { id: true, name: true } });
+            listingIds.push(listing.id);
+            createdCount++;
+
+            // The Arabic search text is filled in by the hourly search index job
+            await listingService.recordListingRevision(listing.id, listingImport.userId, `Imported from row ${row}.`);
+            recordAuditLog(AuditLogAction.LISTING_CREATED, {
+              userId: listingImport.userId,
+              entityName: "Listing",
+              entityId: listing.id,
+              description: `Listing '${listing.name}' created by import ${listingImport.id} (row ${row}).`,
+            });
+          } catch (error) {
+            // e.g. a category deleted after the file was checked
+            console.error(`Listing import ${listingImport.id}: row ${row} failed:`, error.message);
+            errors.push({ row, name: data.name, column: null, message: translate("listing_import_error_row_failed", lang) });
+            failedCount++;
+          }
+        }
+        processedRows += batch.length;
+        await prisma.listingImport.update({
+          where: { id: listingImport.id },
+          data: { processedRows, createdCount, failedCount, errors, listingIds },
+        });
+      }
+
+      await prisma.listingImport.update({
+        where: { id: listingImport.id },
+        data: { status: ListingImportStatus.COMPLETED, rows: [], completedAt: new Date() },
+      });
+      if (listingImport.userId) {
+        await createNotification(
+          listingImport.userId,
+          NotificationType.SYSTEM,
+          "notification_title_listing_import_done",
+          "notification_message_listing_import_done",
+          lang,
+          listingImport.id,
+          "ListingImport",
+          `/api/listings/import/${listingImport.id}`,
+          { created: createdCount, failed: failedCount }
+        );
+      }
+    } catch (error) {
+      console.error(`Listing import ${listingImport.id} failed:`, error.message);
+      await prisma.listingImport.update({
+        where: { id: listingImport.id },
+        data: { status: ListingImportStatus.FAILED, error: error.message, completedAt: new Date() },
+      });
+    }
+  },
+
+  async processPendingImports() {
+    if (jobRunning) return;
+    jobRunning = true;
+    try {
+      // A restart during an import leaves it PROCESSING; queue it again, it resumes after the last saved batch
+      await prisma.listingImport.updateMany({
+        where: { status: ListingImportStatus.PROCESSING, updatedAt: { lte: new Date(Date.now() - 10 * 60 * 1000) } },
+        data: { status: ListingImportStatus.PENDING },
+      });
+
+      const pending = await prisma.listingImport.findMany({
+        where: { status: ListingImportStatus.PENDING },
+        orderBy: { createdAt: "asc" },
+        take: IMPORT_JOB_BATCH_SIZE,
+      });
+      for (const listingImport of pending) {
+        await this.processImport(listingImport);
+      }
+    } catch (error) {
+      console.error("Listing import job failed:", error.message);
+    } finally {
+      jobRunning = false;
+    }
+  },
+
+  /**
+   * All listings (optionally of one status / owner) in the import format, so an export can be edited
+   * and imported again. Returns { fileName, contentType, buffer }.
+   */
+  async exportListings({ format = "csv", status, ownerId } = {}, lang = "en") {
+    if (!EXPORT_FORMATS.includes(format)) throw new errorHandler(translate("listing_export_invalid_format", lang), 400);
+    if (status && !Object.values(ListingStatus).includes(status)) {
+      throw new errorHandler(translate("error_invalid_listing_status", lang), 400);
+    }
+    const owner = parseInt(ownerId, 10);
+    const listings = await prisma.listing.findMany({
+      where: { ...(status && { status }), ...(!isNaN(owner) && { ownerId: owner }) },
+      include: exportInclude,
+      orderBy: { id: "asc" },
+    });
+
+    const joinList = (values) => (values || []).join(` ${LIST_SEPARATOR} `);
+    const rows = listings.map(listing => ({
+      name: listing.name,
+      description: listing.description,
+      price: listing.price === null ? null : Number(listing.price),
+      discount: listing.discount === null ? null : Number(listing.discount),
+      gender: listing.gender,
+      age_groups: joinList(listing.agegroup),
+      location: joinList(listing.location),
+      latitude: listing.latitude,
+      longitude: listing.longitude,
+      facilities: joinList(listing.facilities),
+      hours: joinList(listing.openingHours.map(({ dayOfWeek, opensAt, closesAt }) => `${DAY_LABELS[dayOfWeek]} ${formatTime(opensAt)}-${formatTime(closesAt)}`)),
+      // Free-text hours only matter when there are no structured ones
+      operating_hours: listing.openingHours.length > 0 ? null : joinList(listing.operatingHours),
+      timezone: listing.timezone,
+      main_categories: joinList(listing.selectedMainCategories.map(categoryPath)),
+      sub_categories: joinList(listing.selectedSubCategories.map(categoryPath)),
+      specific_items: joinList(listing.selectedSpecificItems.map(categoryPath)),
+      main_image: listing.main_image,
+      sub_images: joinList(listing.sub_images),
+    }));
+
+    const fileName = `listings-${new Date().toISOString().slice(0, 10)}.${format}`;
+    if (format === "xlsx") {
+      return { fileName, contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", buffer: writeXlsx(rows, LISTING_COLUMNS) };
+    }
+    // BOM so spreadsheet programs read the file as UTF-8 (Arabic text)
+    return { fileName, contentType: "text/csv; charset=utf-8", buffer: Buffer.from(`\uFEFF${toCsv(rows, LISTING_COLUMNS)}`) };
+  },
+
+  start() {
+    cron.schedule("*/1 * * * *", () => this.processPendingImports(), { timezone: "UTC" });
+    console.log("Listing import job configured");
+  },
+};
+
+export default listingImportService;
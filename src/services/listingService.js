@@ -1,15 +1,23 @@
 
 import prisma from '../utils/prismaClient.js';
 import { recordAuditLog } from '../utils/auditLogHandler.js';
-import { AuditLogAction } from '@prisma/client';
-import { getFileUrl, deleteFile } from '../middlewares/multer.js';
+import { AuditLogAction, ImageUploadStatus, ListingStatus, NotificationType, UserRole, Prisma } from '@prisma/client';
+import storage from '../utils/storage/index.js';
+import { processImage } from '../utils/imageProcessor.js';
+import { OPENING_HOURS_INCLUDE, parseOpeningHours, parseHoursExceptions, isValidTimezone, formatOpeningHours, isOpenAt, isOpenOn } from '../utils/openingHours.js';
+import { parseSlotSettings } from '../utils/slots.js';
+import { parsePoint, parseCoordinates, distanceKm, boundingBoxWhere } from '../utils/geo.js';
+import { normalizeArabic, buildSearchQuery } from '../utils/searchText.js';
+import errorHandler from '../middlewares/errorHandler.js';
+import { translate } from '../utils/i18n.js';
 import path from 'path';
 import { createClient } from "redis";
 import * as deepl from "deepl-node";
 import { sendMail } from '../utils/mailer.js';
-import axios from 'axios';
-import FormData from 'form-data';
+import { createNotification } from '../utils/notificationHandler.js';
+import { getUserLanguage } from '../utils/i18n.js';
 import pLimit from 'p-limit';
+import cron from 'node-cron';
 
 
 // --- Helper Functions ---
@@ -132,6 +140,9 @@ async function translateReviewFields(review, targetLang, sourceLang = null) {
     if (review.comment) {
         translatedReview.comment = await translateText(review.comment, targetLang, sourceLang);
     }
+    if (review.ownerReply) {
+        translatedReview.ownerReply = await translateText(review.ownerReply, targetLang, sourceLang);
+    }
     if (review.status) {
         translatedReview.status = await translateText(review.status, targetLang, sourceLang);
     }
@@ -268,10 +279,15 @@ async function translateListingFields(listing, targetLang, sourceLang = null) {
     // Translate array fields
     const arrayFields = ['agegroup', 'location', 'facilities', 'operatingHours'];
     for (const field of arrayFields) {
-        if (Array.isArray(listing[field])) // Ensure it's an array
+        if (Array.isArray(listing[field]) && !(field === 'operatingHours' && listing.openingHours?.length > 0))
             translatedListing[field] = await translateArrayFields(listing[field], targetLang, sourceLang);
     }
 
+    // Structured hours are formatted in the target language instead of going through DeepL
+    if (Array.isArray(listing.openingHours) && listing.openingHours.length > 0) {
+        translatedListing.operatingHours = formatOpeningHours(listing.openingHours, targetLang === "AR" ? "ar" : "en");
+    }
+
     // Translate categories
     const categoryFields = ['selectedMainCategories', 'selectedSubCategories', 'selectedSpecificItems'];
     for (const field of categoryFields) {
@@ -320,6 +336,270 @@ async function translateListingFields(listing, targetLang, sourceLang = null) {
 }
 
 
+// --- Venue settings: opening hours (operatingHours keeps the English lines generated from them), slots, coordinates ---
+
+// Reads opening hours, timezone, slot settings and coordinates from create or update input; only keys that were sent are returned
+const parseVenueSettings = (data, lang) => {
+    const settings = {};
+    try {
+        if (data.openingHours !== undefined) settings.openingHours = parseOpeningHours(data.openingHours);
+        if (data.hoursExceptions !== undefined) settings.hoursExceptions = parseHoursExceptions(data.hoursExceptions);
+    } catch (error) {
+        throw new errorHandler(translate('error_invalid_opening_hours', lang, { error: error.message }), 400);
+    }
+    if (data.timezone !== undefined) {
+        if (!isValidTimezone(data.timezone)) throw new errorHandler(translate('error_invalid_timezone', lang), 400);
+        settings.timezone = data.timezone;
+    }
+    try {
+        Object.assign(settings, parseSlotSettings(data));
+    } catch (error) {
+        throw new errorHandler(translate('error_invalid_slot_settings', lang, { error: error.message }), 400);
+    }
+    try {
+        Object.assign(settings, parseCoordinates(data));
+    } catch (error) {
+        throw new errorHandler(translate('error_invalid_coordinates', lang, { error: error.message }), 400);
+    }
+    return settings;
+};
+
+const MAX_SEARCH_RADIUS_KM = 500;
+const SEARCH_INDEX_BATCH_SIZE = 50;
+
+// Adds distanceKm from the search point, drops listings outside the radius and puts the nearest first.
+// Listings without coordinates get distanceKm null and follow the located ones (or are dropped when a radius is set).
+const sortByDistance = (listings, center, radiusKm = null) => listings
+    .map(listing => {
+        const located = listing.latitude !== null && listing.latitude !== undefined
+            && listing.longitude !== null && listing.longitude !== undefined;
+        return { ...listing, distanceKm: located ? Math.round(distanceKm(center, listing) * 100) / 100 : null };
+    })
+    .filter(listing => !radiusKm || (listing.distanceKm !== null && listing.distanceKm <= radiusKm))
+    .sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity) || a.id - b.id);
+
+// --- Listing search: sort options and facet counts, applied to the filtered listings in memory ---
+const LISTING_SORT_OPTIONS = ['relevance', 'price_asc', 'price_desc', 'rating', 'reviews', 'popular', 'newest', 'distance'];
+const POPULAR_WINDOW_DAYS = 30;
+// Upper bounds of the price facet buckets; the last bucket is open-ended
+const PRICE_BUCKET_LIMITS = [50, 100, 200, 500];
+
+const toNumberOrNull = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+// Missing values go last in either direction (direction 1 = ascending, -1 = descending)
+const compareNullsLast = (a, b, direction = 1) => {
+    if (a === null || b === null) return (a === null) - (b === null);
+    return (a - b) * direction;
+};
+
+const recentBookingCount = (listing, since) =>
+    (listing.bookings || []).filter(booking => new Date(booking.createdAt) >= since).length;
+
+const sortListings = (listings, order, searchRanks = null) => {
+    const since = new Date(Date.now() - POPULAR_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const comparators = {
+        relevance: (a, b) => (searchRanks ? (searchRanks.get(b.id) || 0) - (searchRanks.get(a.id) || 0) : 0),
+        price_asc: (a, b) => compareNullsLast(toNumberOrNull(a.price), toNumberOrNull(b.price)),
+        price_desc: (a, b) => compareNullsLast(toNumberOrNull(a.price), toNumberOrNull(b.price), -1),
+        rating: (a, b) => b.averageRating - a.averageRating || b.totalReviews - a.totalReviews,
+        reviews: (a, b) => b.totalReviews - a.totalReviews || b.averageRating - a.averageRating,
+        popular: (a, b) => recentBookingCount(b, since) - recentBookingCount(a, since),
+        newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+        distance: (a, b) => compareNullsLast(a.distanceKm ?? null, b.distanceKm ?? null),
+    };
+    const compare = comparators[order];
+    return [...listings].sort((a, b) => compare(a, b) || a.id - b.id);
+};
+
+/**
+ * Counts per main category, subcategory, specific item, age group, facility and price bucket,
+ * e.g. { mainCategories: [{ id, name, count }], ageGroups: [{ value, count }], priceBuckets: [{ min, max, count }] }.
+ * Lists are ordered by count; price buckets keep their order.
+ */
+const buildFacets = (listings) => {
+    const countBy = (keyOf) => {
+        const counts = new Map();
+        for (const listing of listings) {
+            // A listing counts once per value, even if it repeats a value
+            for (const [key, entry] of new Map(keyOf(listing))) {
+                const current = counts.get(key) || { ...entry, count: 0 };
+                current.count += 1;
+                counts.set(key, current);
+            }
+        }
+        return [...counts.values()].sort((a, b) => b.count - a.count);
+    };
+    const categories = (field) => (listing) => (listing[field] || []).map(({ id, name }) => [id, { id, name }]);
+    const values = (field) => (listing) => (listing[field] || []).filter(Boolean).map(value => [value, { value }]);
+
+    const limits = [0, ...PRICE_BUCKET_LIMITS];
+    const priceBuckets = limits.map((min, index) => ({ min, max: limits[index + 1] ?? null, count: 0 }));
+    for (const listing of listings) {
+        const price = toNumberOrNull(listing.price);
+        if (price === null) continue;
+        const bucket = priceBuckets.find(({ max }) => max === null || price < max);
+        bucket.count += 1;
+    }
+
+    return {
+        mainCategories: countBy(categories('selectedMainCategories')),
+        subCategories: countBy(categories('selectedSubCategories')),
+        specificItems: countBy(categories('selectedSpecificItems')),
+        ageGroups: countBy(values('agegroup')),
+        facilities: countBy(values('facilities')),
+        priceBuckets,
+    };
+};
+
+// --- Lifecycle: DRAFT -> PENDING_REVIEW -> PUBLISHED -> ARCHIVED ---
+
+// Moves an admin may make; PUBLISHED -> DRAFT takes a listing offline for editing
+const LISTING_STATUS_TRANSITIONS = {
+    [ListingStatus.DRAFT]: [ListingStatus.PENDING_REVIEW, ListingStatus.PUBLISHED, ListingStatus.ARCHIVED],
+    [ListingStatus.PENDING_REVIEW]: [ListingStatus.PUBLISHED, ListingStatus.DRAFT, ListingStatus.ARCHIVED],
+    [ListingStatus.PUBLISHED]: [ListingStatus.DRAFT, ListingStatus.ARCHIVED],
+    [ListingStatus.ARCHIVED]: [ListingStatus.DRAFT, ListingStatus.PUBLISHED],
+};
+const LISTING_LIFECYCLE_BATCH_SIZE = 50;
+const LISTING_LIFECYCLE_SELECT = {
+    id: true, name: true, status: true, publishAt: true, unpublishAt: true, publishedAt: true,
+    reviewNote: true, imageUploadStatus: true, createdAt: true, updatedAt: true,
+};
+
+// publishAt / unpublishAt from create, update or status input: undefined = not sent, null = cleared.
+// `current` holds the stored values so a new unpublishAt is checked against the stored publishAt.
+const parsePublishWindow = (data, current = {}, lang) => {
+    const parseDate = (value) => {
+        if (value === undefined) return undefined;
+        if (value === null || value === '') return null;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) throw new errorHandler(translate('error_invalid_publish_window', lang), 400);
+        return date;
+    };
+    const window = { publishAt: parseDate(data.publishAt), unpublishAt: parseDate(data.unpublishAt) };
+
+    const publishAt = window.publishAt !== undefined ? window.publishAt : current.publishAt;
+    if (window.unpublishAt && window.unpublishAt <= (publishAt || new Date())) {
+        throw new errorHandler(translate('error_invalid_publish_window', lang), 400);
+    }
+    return window;
+};
+
+// A listing waiting for its background image upload is not published yet, the lifecycle job does it afterwards
+const isWaitingForImages = (listing) => listing.imageUploadStatus === ImageUploadStatus.PENDING;
+
+// Admins may hand a listing to a venue account; null or '' removes the owner
+const resolveListingOwner = async (ownerId, lang) => {
+    if (ownerId === null || ownerId === '') return null;
+    const id = parseInt(ownerId, 10);
+    const owner = isNaN(id) ? null : await prisma.user.findFirst({
+        where: { id, role: UserRole.VENUE_OWNER, deletedAt: null },
+        select: { id: true },
+    });
+    if (!owner) throw new errorHandler(translate('error_invalid_listing_owner', lang), 400);
+    return owner.id;
+};
+
+// --- Revisions: a snapshot per create, update, gallery change and revert ---
+const LISTING_REVISION_LIMIT = parseInt(process.env.LISTING_REVISION_LIMIT, 10) || 50;
+const LISTING_REVISION_FIELDS = [
+    'name', 'price', 'description', 'agegroup', 'location', 'facilities', 'operatingHours', 'gender', 'discount',
+    'timezone', 'latitude', 'longitude', 'slotDuration', 'slotCapacity', 'slotAgeGroupCapacity',
+    'main_image', 'sub_images', 'imageVariants', 'imageCaptions',
+];
+const LISTING_REVISION_JSON_FIELDS = ['slotAgeGroupCapacity', 'imageVariants', 'imageCaptions'];
+// Snapshot key -> listing relation and the model its ids point to
+const LISTING_REVISION_CATEGORIES = {
+    mainCategoryIds: { relation: 'selectedMainCategories', model: 'mainCategoryOption' },
+    subCategoryIds: { relation: 'selectedSubCategories', model: 'subCategoryOption' },
+    specificItemIds: { relation: 'selectedSpecificItems', model: 'specificItemOption' },
+};
+const LISTING_REVISION_INCLUDE = {
+    selectedMainCategories: { select: { id: true } },
+    selectedSubCategories: { select: { id: true } },
+    selectedSpecificItems: { select: { id: true } },
+    ...OPENING_HOURS_INCLUDE,
+};
+
+// Plain JSON of the revisioned parts of a listing (Decimals become strings, dates ISO strings)
+const buildRevisionSnapshot = (listing) => JSON.parse(JSON.stringify({
+    ...Object.fromEntries(LISTING_REVISION_FIELDS.map(field => [field, listing[field] ?? null])),
+    ...Object.fromEntries(Object.entries(LISTING_REVISION_CATEGORIES).map(([key, { relation }]) =>
+        [key, (listing[relation] || []).map(({ id }) => id).sort((a, b) => a - b)])),
+    openingHours: (listing.openingHours || []).map(({ dayOfWeek, opensAt, closesAt }) => ({ dayOfWeek, opensAt, closesAt })),
+    hoursExceptions: (listing.hoursExceptions || []).map(({ date, closed, opensAt, closesAt, note }) => ({
+        date: date.toISOString().slice(0, 10), closed, opensAt, closesAt, note,
+    })),
+}));
+
+const snapshotImageUrls = (snapshot) => [snapshot.main_image, ...(snapshot.sub_images || [])].filter(Boolean);
+
+/**
+ * Field-level changes between two snapshots: [{ field, from, to }], plus `added` / `removed`
+ * for lists of plain values (e.g. facilities, sub_images, category ids).
+ */
+const diffRevisionSnapshots = (before = {}, after = {}) => [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => {
+        const from = before[field] ?? null;
+        const to = after[field] ?? null;
+        const change = { field, from, to };
+        const isPlainList = (value) => Array.isArray(value) && value.every(item => item === null || typeof item !== 'object');
+        if (isPlainList(from) && isPlainList(to)) {
+            change.added = to.filter(item => !from.includes(item));
+            change.removed = from.filter(item => !to.includes(item));
+        }
+        return change;
+    });
+
+// --- Gallery helpers: main_image + sub_images as one ordered list of images ---
+const MAX_SUB_IMAGES = parseInt(process.env.MAX_SUB_IMAGES, 10) || 10;
+
+// Images are addressed by their file name in the gallery routes (storage names are unique)
+const imageKey = (url) => {
+    try {
+        return path.basename(new URL(url).pathname);
+    } catch {
+        return path.basename(String(url));
+    }
+};
+
+const buildGallery = (listing) => {
+    const captions = listing.imageCaptions || {};
+    const variants = listing.imageVariants || {};
+    return [listing.main_image, ...(listing.sub_images || [])].filter(Boolean).map((url, position) => ({
+        key: imageKey(url),
+        url,
+        isPrimary: url === listing.main_image,
+        position,
+        caption: { en: captions[url]?.en ?? null, ar: captions[url]?.ar ?? null },
+        variants: variants[url] || null,
+    }));
+};
+
+const findGalleryImage = (listing, key, lang) => {
+    const url = [listing.main_image, ...(listing.sub_images || [])].find(imageUrl => imageUrl && imageKey(imageUrl) === key);
+    if (!url) throw new errorHandler(translate('listing_image_not_found', lang), 404);
+    return url;
+};
+
+// Captions are plain text in both languages, empty strings clear them
+const normalizeCaption = (value) => {
+    if (value === undefined) return undefined;
+    const text = String(value ?? '').trim();
+    return text ? text.slice(0, 300) : null;
+};
+
+async function invalidateListingArCache(listingId) {
+    if (!redisClient.isReady) return;
+    try {
+        const keys = [cacheKeys.listingAr(listingId), ...await redisClient.keys(cacheKeys.allListingsAr('*'))];
+        await redisClient.del(keys);
+    } catch (error) {
+        console.error(`Redis: AR Cache - Error invalidating listing ${listingId} ->`, error.message);
+    }
+}
+
 function createFilterHash(filters) {
     const sortedFilters = Object.keys(filters).sort().reduce((result, key) => {
         result[key] = filters[key];
@@ -336,6 +616,19 @@ async createListing(data, files, lang = "en", reqDetails = {}) {
         name, price, description, agegroup, location, facilities, operatingHours, 
         mainCategoryIds, subCategoryIds, specificItemIds, gender, discount
     } = data;
+    const settings = parseVenueSettings(data, lang);
+    const schedule = parsePublishWindow(data, {}, lang);
+
+    // Venue owners submit their own listing for review; admins publish right away unless they ask for a DRAFT
+    let status = ListingStatus.PENDING_REVIEW;
+    let ownerId = reqDetails.actorRole === UserRole.VENUE_OWNER ? reqDetails.actorUserId : null;
+    if (reqDetails.actorRole === UserRole.ADMIN) {
+        status = data.status || ListingStatus.PUBLISHED;
+        if (![ListingStatus.DRAFT, ListingStatus.PUBLISHED].includes(status)) {
+            throw new errorHandler(translate('error_invalid_listing_status', lang), 400);
+        }
+        if (data.ownerId !== undefined) ownerId = await resolveListingOwner(data.ownerId, lang);
+    }
 
     console.log('Received category data:', {
         mainCategoryIds,
@@ -382,6 +675,22 @@ async createListing(data, files, lang = "en", reqDetails = {}) {
             operatingHours ? translateArrayFields(Array.isArray(operatingHours) ? operatingHours : [operatingHours], "EN-US", "AR") : [],
         ]);
     }
+
+    if (settings.timezone) listingDataForDb.timezone = settings.timezone;
+    if (settings.latitude !== undefined) {
+        listingDataForDb.latitude = settings.latitude;
+        listingDataForDb.longitude = settings.longitude;
+    }
+    if (settings.slotDuration !== undefined) listingDataForDb.slotDuration = settings.slotDuration;
+    if (settings.slotCapacity !== undefined) listingDataForDb.slotCapacity = settings.slotCapacity;
+    if (settings.slotAgeGroupCapacity !== undefined) listingDataForDb.slotAgeGroupCapacity = settings.slotAgeGroupCapacity ?? Prisma.DbNull;
+    if (settings.openingHours) {
+        listingDataForDb.openingHours = { create: settings.openingHours };
+        listingDataForDb.operatingHours = formatOpeningHours(settings.openingHours, "en");
+    }
+    if (settings.hoursExceptions) {
+        listingDataForDb.hoursExceptions = { create: settings.hoursExceptions };
+    }
     
     // --- 2. Connect Category Relationships (FIXED) ---
     const processCategories = (categoryIds) => {
@@ -431,6 +740,23 @@ async createListing(data, files, lang = "en", reqDetails = {}) {
         };
     }
 
+    // Clients can see on the listing whether the background upload is still running or failed
+    if (files && (files.main_image || files.sub_images)) {
+        listingDataForDb.imageUploadStatus = ImageUploadStatus.PENDING;
+    }
+
+    // Publishing waits for the images and for publishAt: until then the listing is a scheduled draft
+    if (status === ListingStatus.PUBLISHED && (isWaitingForImages(listingDataForDb) || schedule.publishAt > new Date())) {
+        status = ListingStatus.DRAFT;
+        schedule.publishAt = schedule.publishAt || new Date();
+    }
+    listingDataForDb.status = status;
+    listingDataForDb.ownerId = ownerId;
+    listingDataForDb.isActive = status === ListingStatus.PUBLISHED;
+    if (status === ListingStatus.PUBLISHED) listingDataForDb.publishedAt = new Date();
+    if (schedule.publishAt) listingDataForDb.publishAt = schedule.publishAt;
+    if (schedule.unpublishAt) listingDataForDb.unpublishAt = schedule.unpublishAt;
+
     // --- 3. Create the Listing First ---
     const newListingWithRelations = await prisma.listing.create({
         data: listingDataForDb,
@@ -438,6 +764,7 @@ async createListing(data, files, lang = "en", reqDetails = {}) {
             selectedMainCategories: true,
             selectedSubCategories: true,
             selectedSpecificItems: true,
+            ...OPENING_HOURS_INCLUDE,
         },
     });
 
@@ -458,36 +785,45 @@ async createListing(data, files, lang = "en", reqDetails = {}) {
                     console.log(`Starting background image upload for listing ${newListingWithRelations.id}`);
                     
                     const uploadResult = await this.uploadImageFromClient(files);
-                    
-                    if (uploadResult.success) {
-                        const updateData = {};
-                        
-                        if (uploadResult.data.main_image) {
-                            updateData.main_image = uploadResult.data.main_image.url;
-                        }
-                        
-                        if (uploadResult.data.sub_images && uploadResult.data.sub_images.length > 0) {
-                            updateData.sub_images = uploadResult.data.sub_images.map(img => img.url);
+
+                    // Whatever was stored is kept, failures are recorded on the listing
+                    const updateData = {
+                        imageUploadStatus: uploadResult.success ? ImageUploadStatus.COMPLETED : ImageUploadStatus.FAILED,
+                        imageUploadError: uploadResult.success ? null : uploadResult.error,
+                    };
+
+                    if (uploadResult.data.main_image) {
+                        updateData.main_image = uploadResult.data.main_image.url;
+                    }
+
+                    if (uploadResult.data.sub_images.length > 0) {
+                        updateData.sub_images = uploadResult.data.sub_images.map(img => img.url);
+                    }
+
+                    updateData.imageVariants = Object.fromEntries(
+                        [uploadResult.data.main_image, ...uploadResult.data.sub_images].filter(Boolean).map(img => [img.url, img.variants])
+                    );
+
+                    // Update listing with image URLs and get final listing with all relations
+                    finalListing = await prisma.listing.update({
+                        where: { id: newListingWithRelations.id },
+                        data: updateData,
+                        include: {
+                            selectedMainCategories: true,
+                            selectedSubCategories: true,
+                            selectedSpecificItems: true,
+                            reviews: {
+                                where: { status: 'ACCEPTED' },
+                                select: { rating: true, comment: true, createdAt: true, user: { select: { fname: true, lname: true } } }
+                            },
+                            bookings: {
+                                select: { id: true, status: true, createdAt: true, user: { select: { fname: true, lname: true } }, bookingDate: true, booking_hours: true, additionalNote: true, ageGroup: true, numberOfPersons: true, paymentMethod: true }
+                            },
+                            ...OPENING_HOURS_INCLUDE
                         }
-                        
-                        // Update listing with image URLs and get final listing with all relations
-                        finalListing = await prisma.listing.update({
-                            where: { id: newListingWithRelations.id },
-                            data: updateData,
-                            include: {
-                                selectedMainCategories: true,
-                                selectedSubCategories: true,
-                                selectedSpecificItems: true,
-                                reviews: {
-                                    where: { status: 'ACCEPTED' },
-                                    select: { rating: true, comment: true, createdAt: true, user: { select: { fname: true, lname: true } } }
-                                },
-                                bookings: {
-                                    select: { id: true, status: true, createdAt: true, user: { select: { fname: true, lname: true } }, bookingDate: true, booking_hours: true, additionalNote: true, ageGroup: true, numberOfPersons: true, paymentMethod: true }
-                                }
-                            }
-                        });
-                        
+                    });
+
+                    if (uploadResult.success) {
                         console.log(`Background image upload completed for listing ${newListingWithRelations.id}`);
                     } else {
                         console.error(`Background image upload failed for listing ${newListingWithRelations.id}:`, uploadResult.error);
@@ -518,6 +854,8 @@ async createListing(data, files, lang = "en", reqDetails = {}) {
                     confirmedBookings: (finalListing.bookings || []).filter(b => b.status === 'CONFIRMED').length
                 };
 
+                await this.refreshArabicSearchText(enhancedFinalListing.id);
+
                 // Create Arabic cache for individual listing in background
                 if (deeplClient && redisClient.isReady) {
                     try {
@@ -544,54 +882,19 @@ async createListing(data, files, lang = "en", reqDetails = {}) {
                     }
                 }
 
-                // Handle notifications and emails
-                const allUsers = await prisma.user.findMany({
-                    select: { id: true, email: true, fname: true },
-                });
-
-                const notificationPromises = allUsers.map(user => 
-                    prisma.notification.create({
-                        data: {
-                            userId: user.id,
-                            title: "New Listing Available",
-                            message: `A new listing "${enhancedFinalListing.name || 'Untitled'}" has been added.`,
-                            type: 'GENERAL',
-                            entityId: enhancedFinalListing.id.toString(),
-                            entityType: 'Listing'
-                        }
-                    })
-                );
-                await Promise.all(notificationPromises);
-
-                const listingDetails = `
-    Name: ${enhancedFinalListing.name || 'N/A'}
-    Price: ${enhancedFinalListing.price ? `$${enhancedFinalListing.price}` : 'N/A'}
-    Description: ${enhancedFinalListing.description || 'No description available.'}
-    Location: ${enhancedFinalListing.location?.join(', ') || 'N/A'}
-    Facilities: ${enhancedFinalListing.facilities?.join(', ') || 'N/A'}
-    Operating Hours: ${enhancedFinalListing.operatingHours?.join(', ') || 'N/A'}
-    Gender: ${enhancedFinalListing.gender || 'N/A'}
-    Discount: ${enhancedFinalListing.discount ? `${enhancedFinalListing.discount}%` : 'N/A'}
-    Main Categories: ${enhancedFinalListing.selectedMainCategories?.map(cat => cat.name).join(', ') || 'N/A'}
-    Sub Categories: ${enhancedFinalListing.selectedSubCategories?.map(cat => cat.name).join(', ') || 'N/A'}
-    Specific Items: ${enhancedFinalListing.selectedSpecificItems?.map(item => item.name).join(', ') || 'N/A'}
-                `.trim();
-
-                const emailPromises = allUsers.map(user => sendMail(
-                    user.email,
-                    "New Listing Available - Full Details",
-                    `Hello ${user.fname || 'there'},\n\nA new listing has been added. Here are the details:\n\n${listingDetails}\n\nBest regards,\nBatteryqk team`,
-                    "en",
-                    { name: user.fname || 'there', listingDetails: listingDetails }
-                ).catch(err => console.error(`Failed to send email to ${user.email}:`, err)));
-                
-                await Promise.allSettled(emailPromises);
+                // Published right away, or a scheduled draft that was only waiting for its images
+                if (enhancedFinalListing.status === ListingStatus.PUBLISHED) {
+                    await this.announceListing(enhancedFinalListing.id);
+                } else {
+                    await this.applyListingSchedules(enhancedFinalListing.id);
+                }
                 console.log(`Background tasks completed for new listing ${enhancedFinalListing.id}`);
 
             } catch (error) {
                 console.error(`Error in background task for listing ${newListingWithRelations.id}:`, error);
             }
 
+            await this.recordListingRevision(newListingWithRelations.id, reqDetails.actorUserId);
             recordAuditLog(AuditLogAction.LISTING_CREATED, {
                 userId: reqDetails.actorUserId,
                 entityName: 'Listing',
@@ -614,73 +917,75 @@ async createListing(data, files, lang = "en", reqDetails = {}) {
             agegroup: data.agegroup || [],
             location: data.location || [],
             facilities: data.facilities || [],
-            operatingHours: data.operatingHours || [],
+            operatingHours: settings.openingHours ? formatOpeningHours(settings.openingHours, "ar") : data.operatingHours || [],
             gender: data.gender || 'N/A',
             discount: data.discount ? `${data.discount}%` : 'N/A',
         } : newListingWithRelations
     };
 },
 
-uploadImageFromClient: async function(files) {
+// Processes one uploaded image and stores the cleaned original plus its size variants.
+// Returns { url, variants } with variants shaped { thumbnail: { url, webp, width, height }, medium, large }.
+storeImage: async function(file) {
+    const { original, variants } = await processImage(file);
+    const stored = [];
     try {
-        const formData = new FormData();
-        
-        // Handle main image
-        if (files.main_image && files.main_image[0]) {
-            const mainFile = files.main_image[0];
-            if (mainFile.buffer) {
-                formData.append('main_image', mainFile.buffer, {
-                    filename: mainFile.originalname,
-                    contentType: mainFile.mimetype,
-                });
-            } else {
-                formData.append('main_image', mainFile);
-            }
-        }
-        
-        // Handle sub images with same name as main image
-        if (files.sub_images && files.main_image && files.main_image[0]) {
-            const mainImageName = files.main_image[0].originalname;
-            const mainImageBaseName = mainImageName.split('.')[0];
-            
-            files.sub_images.forEach((subFile, index) => {
-                const extension = subFile.originalname.split('.').pop();
-                const newName = `${mainImageBaseName}_sub_${index + 1}.${extension}`;
-                
-                if (subFile.buffer) {
-                    formData.append('sub_images', subFile.buffer, {
-                        filename: newName,
-                        contentType: subFile.mimetype,
-                    });
-                } else {
-                    formData.append('sub_images', subFile, newName);
-                }
-            });
+        const { url } = await storage.save(original.file);
+        stored.push(url);
+
+        const storedVariants = {};
+        for (const variant of variants) {
+            const saved = await storage.save(variant.file);
+            stored.push(saved.url);
+            const entry = storedVariants[variant.name] || (storedVariants[variant.name] = { width: variant.width, height: variant.height });
+            if (variant.format === 'webp') entry.webp = saved.url;
+            if (variant.format !== 'webp' || !entry.url) entry.url = saved.url; // WebP sources have no other format
         }
-        
-        console.log('Uploading images with main image name base');
-
-        const response = await axios.post(
-            'http://u8c040k0kgggogk8g0coosww-032347850067:3001/upload',
-            formData,
-            {
-                headers: formData.getHeaders(),
-                maxContentLength: Infinity,
-                maxBodyLength: Infinity,
-            }
-        );
-        
-        return {
-            success: true,
-            data: response.data
-        };
+        return { url, variants: storedVariants };
     } catch (error) {
-        console.error('Upload failed:', error.response?.data || error.message);
-        return {
-            success: false,
-            error: error.message
-        };
+        // Do not leave a half-stored image behind
+        await Promise.all(stored.map(url => this.deleteImage(url)));
+        throw error;
+    }
+},
+
+// Stores the main image and sub-images with the configured storage driver (see utils/storage).
+// A failing file does not stop the others: what was stored is returned in `data`, the failures in `error`.
+// data.files maps every stored image back to its upload position (main image first, then sub-images).
+uploadImageFromClient: async function(files) {
+    const data = { main_image: null, sub_images: [], files: [] };
+    const errors = [];
+    let index = 0;
+
+    if (files.main_image && files.main_image[0]) {
+        try {
+            data.main_image = await this.storeImage(files.main_image[0]);
+            data.files.push({ index, image: data.main_image });
+        } catch (error) {
+            errors.push(`main_image ${files.main_image[0].originalname}: ${error.message}`);
+        }
+        index++;
+    }
+
+    for (const subFile of files.sub_images || []) {
+        try {
+            const image = await this.storeImage(subFile);
+            data.sub_images.push(image);
+            data.files.push({ index, image });
+        } catch (error) {
+            errors.push(`sub_images ${subFile.originalname}: ${error.message}`);
+        }
+        index++;
     }
+
+    if (errors.length > 0) {
+        console.error(`Upload to ${storage.name} storage failed:`, errors);
+    }
+    return {
+        success: errors.length === 0,
+        data,
+        error: errors.length > 0 ? errors.join('; ') : undefined
+    };
 },
 
 
@@ -735,24 +1040,19 @@ uploadImageFromClient: async function(files) {
 
 
 async getAllListings(filters = {}, lang = "en") {
-    const { page = 1, limit = 8, search, rating, ...otherFilters } = filters;
+    const { page = 1, limit = 8, search, rating, openNow, openOn, near, radiusKm, sort, facets, ...otherFilters } = filters;
     const pageNum = parseInt(page, 10) || 1;
     const limitNum = parseInt(limit, 10) || 8;
     const offset = (pageNum - 1) * limitNum;
 
-    // Build where clause for filtering
-    let whereClause = { isActive: true };
-    let usingSimilaritySearch = false;
+    // Build where clause for filtering; id restrictions (search, opening hours) are collected in AND
+    let whereClause = { status: ListingStatus.PUBLISHED, AND: [] };
 
-    // Search functionality - enhanced to include facilities and multiple field search
+    // Full-text search over name, categories, facilities, location, description and the Arabic translation
+    let searchRanks = null;
     if (search) {
-        const searchTerms = Array.isArray(search) ? search : [search];
-        whereClause.OR = [
-            { name: { contains: search, mode: 'insensitive' } },
-            { description: { contains: search, mode: 'insensitive' } },
-            { location: { hasSome: searchTerms } },
-            { facilities: { hasSome: searchTerms } }
-        ];
+        searchRanks = await this.searchListingRanks(search);
+        whereClause.AND.push({ id: { in: [...searchRanks.keys()] } });
     }
 
     // Filter by main categories
@@ -790,6 +1090,12 @@ async getAllListings(filters = {}, lang = "en") {
         if (otherFilters.price) whereClause.price.equals = parseFloat(otherFilters.price);
     }
 
+    // Facilities filter
+    if (otherFilters.facilities) {
+        const facilities = Array.isArray(otherFilters.facilities) ? otherFilters.facilities : [otherFilters.facilities];
+        whereClause.facilities = { hasSome: facilities };
+    }
+
     // Location filter
     if (otherFilters.location) {
         const locations = Array.isArray(otherFilters.location) ? otherFilters.location : [otherFilters.location];
@@ -826,7 +1132,6 @@ async getAllListings(filters = {}, lang = "en") {
 
 
                 }
-                // This will be handled in the similarity search if no exact matches
             } else {
                 // Handle regular age ranges like "20-25 years"
                 processedAgeGroups.push(ageGroup);
@@ -836,6 +1141,30 @@ async getAllListings(filters = {}, lang = "en") {
         whereClause.agegroup = { hasSome: processedAgeGroups };
     }
 
+    // near=lat,lng adds distanceKm and sorts by it; with radiusKm only listings inside the radius remain
+    const center = near ? parsePoint(near) : null;
+    const radius = radiusKm !== undefined ? parseFloat(radiusKm) : null;
+    if (near && !center) throw new errorHandler(translate('error_invalid_near', lang), 400);
+    if (radius !== null && (!center || !(radius > 0) || radius > MAX_SEARCH_RADIUS_KM)) {
+        throw new errorHandler(translate('error_invalid_radius', lang, { max: MAX_SEARCH_RADIUS_KM }), 400);
+    }
+    if (center && radius) {
+        Object.assign(whereClause, boundingBoxWhere(center, radius));
+    }
+
+    if (sort && !LISTING_SORT_OPTIONS.includes(sort)) {
+        throw new errorHandler(translate('error_invalid_listing_sort', lang, { options: LISTING_SORT_OPTIONS.join(', ') }), 400);
+    }
+    if (sort === 'distance' && !center) {
+        throw new errorHandler(translate('error_listing_sort_needs_near', lang), 400);
+    }
+
+    // Opening hours depend on each venue's timezone, so they are checked in code and narrowed down by id
+    if (openNow || openOn) {
+        const openListingIds = await this.findOpenListingIds({ openNow, openOn }, lang);
+        whereClause.AND.push({ id: { in: openListingIds } });
+    }
+
     // Get all listing IDs first to check cache
     const allListingIds = await prisma.listing.findMany({
         where: whereClause,
@@ -889,7 +1218,8 @@ async getAllListings(filters = {}, lang = "en") {
                     },
                     bookings: {
                         select: { id: true, status: true, createdAt: true, user: { select: { fname: true, lname: true } }, status: true, bookingDate: true, booking_hours: true, additionalNote: true, ageGroup: true, numberOfPersons: true, paymentMethod: true }
-                    }
+                    },
+                    ...OPENING_HOURS_INCLUDE
                 },
                 orderBy: { id: 'asc' }
             });
@@ -957,7 +1287,8 @@ async getAllListings(filters = {}, lang = "en") {
                 },
                 bookings: {
                     select: { id: true, status: true, createdAt: true, user: { select: { fname: true, lname: true } }, status: true, bookingDate: true, booking_hours: true, additionalNote: true, ageGroup: true, numberOfPersons: true, paymentMethod: true }
-                }
+                },
+                ...OPENING_HOURS_INCLUDE
             },
             orderBy: { id: 'asc' }
         });
@@ -999,6 +1330,11 @@ async getAllListings(filters = {}, lang = "en") {
         });
     }
 
+    if (center) {
+        listings = sortByDistance(listings, center, radius);
+        totalCount = listings.length;
+    }
+
     // Apply rating filter if specified
     if (rating) {
         const minRating = parseFloat(rating);
@@ -1006,78 +1342,17 @@ async getAllListings(filters = {}, lang = "en") {
         totalCount = listings.length;
     }
 
-    // If no results found, use intelligent similarity search
-    if (listings.length === 0 && this.hasSearchCriteria(filters)) {
-        console.log("No exact matches found, attempting intelligent similarity search...");
-        usingSimilaritySearch = true;
-        
-        // Get all active listings for similarity comparison
-        const allListings = await prisma.listing.findMany({
-            where: { isActive: true },
-            include: {
-                selectedMainCategories: true,
-                selectedSubCategories: true,
-                selectedSpecificItems: true,
-                reviews: {
-                    where: { status: 'ACCEPTED' },
-                    select: { rating: true, comment: true, createdAt: true, user: { select: { fname: true, lname: true } } }
-                },
-                bookings: {
-                    select: { id: true, status: true, createdAt: true, user: { select: { fname: true, lname: true } }, status: true, bookingDate: true, booking_hours: true, additionalNote: true, ageGroup: true, numberOfPersons: true, paymentMethod: true }
-                }
-            },
-            orderBy: { id: 'asc' }
-        });
-
-
-        // review user names  must marze fname+lname
-        allListings.forEach(listing => {
-            listing.reviews.forEach(review => {
-                review.user = `${review.user.fname} ${review.user.lname}`;
-            });
-            listing.bookings.forEach(booking => {
-                booking.user = `${booking.user.fname} ${booking.user.lname}`;
-            });
-        });
-        
-
-        // Calculate similarity scores
-        const scoredListings = allListings.map(listing => ({
-            ...listing,
-            similarityScore: this.calculateIntelligentSimilarityScore(listing, filters)
-        }));
+    // Without an explicit sort: best matches first when searching, nearest first with a near point, else by id
+    const order = sort || (center ? 'distance' : searchRanks ? 'relevance' : null);
+    if (order) {
+        listings = sortListings(listings, order, searchRanks);
+    }
 
-        const similarityThreshold = 0.2;
-        
-        const filteredScoredListings = scoredListings
-            .filter(listing => listing.similarityScore > similarityThreshold)
-            .sort((a, b) => {
-                if (b.similarityScore !== a.similarityScore) {
-                    return b.similarityScore - a.similarityScore;
-                }
-                return a.id - b.id;
-            });
+    // Counts over the whole filtered set, before pagination
+    const facetCounts = facets ? buildFacets(listings) : undefined;
 
-        totalCount = filteredScoredListings.length;
-        listings = filteredScoredListings.slice(offset, offset + limitNum);
-        
-        console.log(`Similarity search found ${listings.length} matches out of ${allListings.length} total listings`);
-        
-        if (listings.length === 0) {
-            return {
-                listings: [],
-                totalCount: 0,
-                totalPages: 0,
-                currentPage: pageNum,
-                hasNextPage: false,
-                hasPrevPage: pageNum > 1,
-                usingSimilaritySearch: true
-            };
-        }
-    } else {
-        // Apply pagination to the results
-        listings = listings.slice(offset, offset + limitNum);
-    }
+    // Apply pagination to the results
+    listings = listings.slice(offset, offset + limitNum);
 
     // Calculate final pagination
     const totalPages = Math.ceil(totalCount / limitNum);
@@ -1089,388 +1364,482 @@ async getAllListings(filters = {}, lang = "en") {
         currentPage: pageNum,
         hasNextPage: pageNum < totalPages,
         hasPrevPage: pageNum > 1,
-        usingSimilaritySearch
+        // Full-text search ranks matches itself and has no similarity fallback; kept for existing clients
+        usingSimilaritySearch: false,
+        facets: facetCounts
     };
 },
 
 
 
-// Check if any search criteria is provided
-hasSearchCriteria(filters) {
-    return !!(filters.search || filters.facilities || filters.location || 
-              filters.agegroup || filters.mainCategoryIds || filters.subCategoryIds || 
-              filters.specificItemIds || filters.minPrice || filters.maxPrice);
+// Stores the normalized Arabic translation of the searchable fields, which the search triggers index.
+// Without DeepL the column stays empty and Arabic queries only match words that are the same in both languages.
+async refreshArabicSearchText(listingId) {
+    if (!deeplClient) return;
+    try {
+        const listing = await prisma.listing.findUnique({
+            where: { id: listingId },
+            select: {
+                name: true, description: true, location: true, facilities: true,
+                selectedMainCategories: { select: { name: true } },
+                selectedSubCategories: { select: { name: true } },
+                selectedSpecificItems: { select: { name: true } },
+            },
+        });
+        if (!listing) return;
+
+        const parts = [
+            listing.name, listing.description, ...listing.location, ...listing.facilities,
+            ...[...listing.selectedMainCategories, ...listing.selectedSubCategories, ...listing.selectedSpecificItems].map(category => category.name),
+        ].filter(Boolean);
+        const translated = await translateArrayFields(parts, "AR", "EN");
+        await prisma.listing.update({ where: { id: listingId }, data: { searchTextAr: normalizeArabic(translated.join(' ')) } });
+    } catch (error) {
+        console.error(`Search: could not store the Arabic search text of listing ${listingId} ->`, error.message);
+    }
 },
 
-// Enhanced intelligent similarity calculation with all filter types
-calculateIntelligentSimilarityScore(listing, filters) {
-    let score = 0;
-    let maxScore = 0;
+// Fills the Arabic search text of listings that do not have one yet (created before search existed or while DeepL was down)
+startSearchIndexJob() {
+    cron.schedule("15 * * * *", async () => {
+        if (!deeplClient) return;
+        try {
+            const pending = await prisma.listing.findMany({ where: { searchTextAr: null }, select: { id: true }, take: SEARCH_INDEX_BATCH_SIZE });
+            for (const { id } of pending) {
+                await this.refreshArabicSearchText(id);
+            }
+            if (pending.length > 0) console.log(`Search: stored the Arabic search text of ${pending.length} listing(s).`);
+        } catch (error) {
+            console.error("Search index job failed:", error.message);
+        }
+    }, { timezone: "UTC" });
+    console.log("Listing search index job configured");
+},
 
-    // Text similarity for search terms
-    if (filters.search) {
-        maxScore += 1;
-        const searchLower = filters.search.toLowerCase();
-        
-        const nameMatch = listing.name?.toLowerCase().includes(searchLower) ? 0.4 : 0;
-        const descMatch = listing.description?.toLowerCase().includes(searchLower) ? 0.3 : 0;
-        const semanticMatch = this.calculateSemanticSimilarity(searchLower, listing);
-        
-        score += nameMatch + descMatch + semanticMatch;
+// Full-text search: id -> relevance of the active listings matching every word of the query (as a prefix).
+// English words are stemmed, Arabic words are matched against the normalized stored translation.
+async searchListingRanks(search) {
+    const query = buildSearchQuery(Array.isArray(search) ? search.join(' ') : search);
+    if (!query) return new Map();
+
+    const rows = await prisma.$queryRaw`
+        SELECT id, ts_rank(search_vector, query) AS rank
+        FROM "Listing", (SELECT to_tsquery('english', ${query}) || to_tsquery('simple', ${query}) AS query) q
+        WHERE status = 'PUBLISHED' AND search_vector @@ query`;
+    return new Map(rows.map(row => [row.id, Number(row.rank)]));
+},
+
+// Ids of active listings that are open right now (openNow) and/or at some point on a date (openOn, YYYY-MM-DD).
+// Listings without structured opening hours never match.
+async findOpenListingIds({ openNow, openOn }, lang = "en") {
+    if (openOn && (!/^\d{4}-\d{2}-\d{2}$/.test(openOn) || isNaN(new Date(`${openOn}T00:00:00Z`).getTime()))) {
+        throw new errorHandler(translate('error_invalid_open_on_date', lang), 400);
     }
 
-    // Facilities matching
-    if (filters.facilities) {
-        maxScore += 1.2;
-        const filterFacilities = Array.isArray(filters.facilities) ? filters.facilities : [filters.facilities];
-        
-        let facilitiesScore = 0;
-        filterFacilities.forEach(filterFacility => {
-            const components = this.analyzeFacilityComponents(filterFacility);
-            const matchScore = this.matchFacilityComponents(components, listing.facilities || []);
-            facilitiesScore += matchScore;
-        });
-        
-        score += (facilitiesScore / filterFacilities.length) * 1.2;
+    const listings = await prisma.listing.findMany({
+        where: { status: ListingStatus.PUBLISHED, openingHours: { some: {} } },
+        select: { id: true, timezone: true, ...OPENING_HOURS_INCLUDE },
+    });
+    const now = new Date();
+    return listings
+        .filter(listing => (!openNow || isOpenAt(listing, now)) && (!openOn || isOpenOn(listing, openOn)))
+        .map(listing => listing.id);
+},
+
+// --- Lifecycle ---
+
+// Only published listings are public; admins and the owning venue also see the other states
+canViewListing(listing, user) {
+    return listing.status === ListingStatus.PUBLISHED || user?.role === UserRole.ADMIN
+        || Boolean(listing.ownerId && listing.ownerId === user?.id);
+},
+
+// Admin move to another status, e.g. approving (PUBLISHED) or sending back (DRAFT, with a note) a venue submission.
+// PUBLISHED with a future publishAt, or while images are uploading, leaves a scheduled DRAFT for the lifecycle job.
+async changeListingStatus(id, { status, note, ...window }, lang = "en", reqDetails = {}) {
+    const listingId = parseInt(id, 10);
+    const listing = isNaN(listingId) ? null : await prisma.listing.findUnique({ where: { id: listingId }, select: LISTING_LIFECYCLE_SELECT });
+    if (!listing) throw new errorHandler(translate('listing_not_found', lang), 404);
+    if (!Object.values(ListingStatus).includes(status)) {
+        throw new errorHandler(translate('error_invalid_listing_status', lang), 400);
+    }
+    if (!LISTING_STATUS_TRANSITIONS[listing.status].includes(status)) {
+        throw new errorHandler(translate('error_listing_status_transition', lang, { from: listing.status, to: status }), 409);
     }
 
-    // Location similarity
-    if (filters.location) {
-        maxScore += 0.8;
-        const filterLocations = Array.isArray(filters.location) ? filters.location : [filters.location];
-        const locationScore = this.calculateLocationSimilarity(filterLocations, listing.location || []);
-        score += locationScore * 0.8;
+    const changes = parsePublishWindow(window, listing, lang);
+    const publishAt = changes.publishAt !== undefined ? changes.publishAt : listing.publishAt;
+    let target = status;
+    if (status === ListingStatus.PUBLISHED) {
+        changes.reviewNote = null;
+        if (isWaitingForImages(listing) || publishAt > new Date()) {
+            target = ListingStatus.DRAFT;
+            changes.publishAt = publishAt || new Date();
+        } else {
+            changes.publishAt = null;
+        }
+    } else if (status === ListingStatus.DRAFT) {
+        // A plain draft must not be picked up by the lifecycle job
+        changes.publishAt = null;
+        if (listing.status === ListingStatus.PENDING_REVIEW) changes.reviewNote = note || null;
     }
 
-    // Enhanced Age group similarity
-    if (filters.agegroup) {
-        maxScore += 0.9; // Increased weight for age group matching
-        const filterAgeGroups = Array.isArray(filters.agegroup) ? filters.agegroup : [filters.agegroup];
-        const ageScore = this.calculateAgeGroupSimilarity(filterAgeGroups, listing.agegroup || []);
-        score += ageScore * 0.9;
+    const updated = await this.setListingStatus(listing, target, changes, note, reqDetails);
+    if (!updated) {
+        throw new errorHandler(translate('error_listing_status_transition', lang, { from: listing.status, to: status }), 409);
     }
+    return updated;
+},
 
-    // Price range similarity - reduce weight for price matching
-    if (filters.minPrice || filters.maxPrice || filters.price) {
-        maxScore += 0.3; // Reduced from 0.5
-        const priceScore = this.calculatePriceSimilarity(filters, listing.price);
-        score += priceScore * 0.3;
+// Venue owner hands a draft (new, or sent back with a review note) to the admins for approval
+async submitListingForReview(id, lang = "en", reqDetails = {}) {
+    const listingId = parseInt(id, 10);
+    const listing = isNaN(listingId) ? null : await prisma.listing.findUnique({ where: { id: listingId }, select: LISTING_LIFECYCLE_SELECT });
+    if (!listing) throw new errorHandler(translate('listing_not_found', lang), 404);
+
+    // A draft with publishAt is already approved and waiting for its date
+    const updated = listing.status === ListingStatus.DRAFT && !listing.publishAt
+        ? await this.setListingStatus(listing, ListingStatus.PENDING_REVIEW, {}, 'submitted for review', reqDetails)
+        : null;
+    if (!updated) {
+        throw new errorHandler(translate('error_listing_status_transition', lang, { from: listing.status, to: ListingStatus.PENDING_REVIEW }), 409);
     }
+    return updated;
+},
 
-    // Main category similarity
-    if (filters.mainCategoryIds && filters.mainCategoryIds.length > 0) {
-        maxScore += 0.6;
-        const categoryScore = this.calculateCategorySimilarity(
-            filters.mainCategoryIds, 
-            listing.selectedMainCategories || []
-        );
-        score += categoryScore * 0.6;
+// Content changed by a venue account (edit or revert) needs approval again: a published listing, or a draft an admin
+// already scheduled for publication, goes back to the review queue. Returns null when the listing was not approved.
+async returnListingToReview(id, reason, reqDetails = {}) {
+    const listing = await prisma.listing.findUnique({ where: { id }, select: LISTING_LIFECYCLE_SELECT });
+    const approved = listing && (listing.status === ListingStatus.PUBLISHED || (listing.status === ListingStatus.DRAFT && listing.publishAt));
+    if (!approved) return null;
+    return this.setListingStatus(listing, ListingStatus.PENDING_REVIEW, { publishAt: null }, reason, reqDetails);
+},
+
+// Writes a status change (only if the listing still has the status it was read with) and audits it.
+// Returns null when another request or the lifecycle job changed the listing first.
+async setListingStatus(listing, status, changes = {}, reason = null, reqDetails = {}) {
+    const data = { ...changes, status, isActive: status === ListingStatus.PUBLISHED };
+    if (status === ListingStatus.PUBLISHED && !listing.publishedAt) data.publishedAt = new Date();
+
+    const result = await prisma.listing.updateMany({ where: { id: listing.id, status: listing.status }, data });
+    if (result.count === 0) return null;
+    const updated = await prisma.listing.findUnique({ where: { id: listing.id }, select: LISTING_LIFECYCLE_SELECT });
+
+    const summary = ({ status, publishAt, unpublishAt }) => ({ status, publishAt, unpublishAt });
+    recordAuditLog(AuditLogAction.LISTING_UPDATED, {
+        userId: reqDetails.actorUserId,
+        entityName: 'Listing',
+        entityId: listing.id,
+        oldValues: summary(listing),
+        newValues: summary(updated),
+        description: `Listing '${listing.name || listing.id}' moved from ${listing.status} to ${status}${reason ? `: ${reason}` : ''}.`,
+        ipAddress: reqDetails.ipAddress,
+        userAgent: reqDetails.userAgent,
+    });
+
+    await invalidateListingArCache(listing.id);
+    if (data.publishedAt) {
+        setImmediate(() => this.announceListing(listing.id).catch(error => {
+            console.error(`Error announcing listing ${listing.id}:`, error);
+        }));
     }
+    return updated;
+},
 
-    // Sub category similarity
-    if (filters.subCategoryIds && filters.subCategoryIds.length > 0) {
-        maxScore += 0.5;
-        const subCategoryScore = this.calculateCategorySimilarity(
-            filters.subCategoryIds, 
-            listing.selectedSubCategories || []
-        );
-        score += subCategoryScore * 0.5;
+// Publishes scheduled drafts whose publishAt has passed (once their images are uploaded) and archives
+// published listings whose unpublishAt has passed. listingId limits the run to one listing.
+async applyListingSchedules(listingId = null) {
+    const now = new Date();
+    const scope = listingId ? { id: listingId } : {};
+
+    const due = await prisma.listing.findMany({
+        where: {
+            ...scope,
+            status: ListingStatus.DRAFT,
+            publishAt: { lte: now },
+            OR: [{ imageUploadStatus: null }, { imageUploadStatus: { not: ImageUploadStatus.PENDING } }],
+        },
+        select: LISTING_LIFECYCLE_SELECT,
+        take: LISTING_LIFECYCLE_BATCH_SIZE,
+    });
+    for (const listing of due) {
+        await this.setListingStatus(listing, ListingStatus.PUBLISHED, { publishAt: null }, 'scheduled publication');
     }
 
-    // Specific items similarity
-    if (filters.specificItemIds && filters.specificItemIds.length > 0) {
-        maxScore += 0.4;
-        const specificScore = this.calculateCategorySimilarity(
-            filters.specificItemIds, 
-            listing.selectedSpecificItems || []
-        );
-        score += specificScore * 0.4;
+    const expired = await prisma.listing.findMany({
+        where: { ...scope, status: ListingStatus.PUBLISHED, unpublishAt: { lte: now } },
+        select: LISTING_LIFECYCLE_SELECT,
+        take: LISTING_LIFECYCLE_BATCH_SIZE,
+    });
+    for (const listing of expired) {
+        await this.setListingStatus(listing, ListingStatus.ARCHIVED, { unpublishAt: null }, 'scheduled unpublication');
     }
 
-    return maxScore > 0 ? Math.min(score / maxScore, 1) : 0;
+    return { published: due.length, archived: expired.length };
 },
 
-// Enhanced age group similarity with better "25+" handling
-calculateAgeGroupSimilarity(filterAgeGroups, listingAgeGroups) {
-    if (!listingAgeGroups || listingAgeGroups.length === 0) return 0;
-    
-    const parseAgeRange = (ageStr) => {
-        const cleanAgeStr = ageStr.toString().toLowerCase().trim();
-        
-        // Handle "25+ years" or "25+" format
-        const plusMatch = cleanAgeStr.match(/(\d+)\+\s*years?/);
-        if (plusMatch) {
-            const minAge = parseInt(plusMatch[1]);
-            return { min: minAge, max: 100, isPlus: true }; // Use 100 as upper bound for "+"
-        }
-        
-        // Handle regular ranges like "20-25 years"
-        const rangeMatch = cleanAgeStr.match(/(\d+)[-–](\d+)\s*years?/);
-        if (rangeMatch) {
-            const min = parseInt(rangeMatch[1]);
-            const max = parseInt(rangeMatch[2]);
-            return { min, max, isPlus: false };
-        }
-        
-        // Handle single age like "25 years"
-        const singleMatch = cleanAgeStr.match(/(\d+)\s*years?/);
-        if (singleMatch) {
-            const age = parseInt(singleMatch[1]);
-            return { min: age, max: age, isPlus: false };
+startLifecycleJob() {
+    let running = false;
+    cron.schedule("*/1 * * * *", async () => {
+        if (running) return;
+        running = true;
+        try {
+            const { published, archived } = await this.applyListingSchedules();
+            if (published + archived > 0) console.log(`Listings: published ${published}, archived ${archived} on schedule.`);
+        } catch (error) {
+            console.error("Listing lifecycle job failed:", error.message);
+        } finally {
+            running = false;
         }
-        
-        return null;
-    };
+    }, { timezone: "UTC" });
+    console.log("Listing lifecycle job configured");
+},
 
-    const filterRanges = filterAgeGroups.map(parseAgeRange).filter(Boolean);
-    const listingRanges = listingAgeGroups.flatMap(ageGroupStr => {
-        // Handle comma-separated age groups like "12-16 years, 20-25 years,30+ years"
-        return ageGroupStr.split(',').map(ageStr => parseAgeRange(ageStr.trim())).filter(Boolean);
+// Review queue and scheduled drafts for admins, e.g. status=PENDING_REVIEW (the default)
+async getListingsByStatus(status = ListingStatus.PENDING_REVIEW, lang = "en") {
+    if (!Object.values(ListingStatus).includes(status)) {
+        throw new errorHandler(translate('error_invalid_listing_status', lang), 400);
+    }
+    return prisma.listing.findMany({
+        where: { status },
+        select: LISTING_LIFECYCLE_SELECT,
+        orderBy: status === ListingStatus.PENDING_REVIEW ? { createdAt: 'asc' } : { updatedAt: 'desc' },
     });
-    
-    if (filterRanges.length === 0 || listingRanges.length === 0) return 0;
+},
 
-    let bestScore = 0;
-    
-    filterRanges.forEach(filterRange => {
-        listingRanges.forEach(listingRange => {
-            let similarity = 0;
-            
-            // Special handling for "+" ranges
-            if (filterRange.isPlus && listingRange.isPlus) {
-                // Both are "+" ranges - check if they overlap
-                const overlapStart = Math.max(filterRange.min, listingRange.min);
-                if (overlapStart <= Math.min(filterRange.max, listingRange.max)) {
-                    similarity = 1.0; // Perfect match for overlapping "+" ranges
-                }
-            } else if (filterRange.isPlus) {
-                // Filter is "+" range, listing is regular range
-                if (listingRange.max >= filterRange.min) {
-                    // If listing's max age is >= filter's min age, it's a match
-                    const overlap = Math.min(listingRange.max, filterRange.max) - Math.max(listingRange.min, filterRange.min) + 1;
-                    const listingSize = listingRange.max - listingRange.min + 1;
-                    similarity = Math.max(0, overlap) / listingSize;
-                }
-            } else if (listingRange.isPlus) {
-                // Listing is "+" range, filter is regular range
-                if (filterRange.max >= listingRange.min) {
-                    // If filter's max age is >= listing's min age, it's a match
-                    const overlap = Math.min(filterRange.max, listingRange.max) - Math.max(filterRange.min, listingRange.min) + 1;
-                    const filterSize = filterRange.max - filterRange.min + 1;
-                    similarity = Math.max(0, overlap) / filterSize;
-                }
-            } else {
-                // Both are regular ranges
-                const overlapStart = Math.max(filterRange.min, listingRange.min);
-                const overlapEnd = Math.min(filterRange.max, listingRange.max);
-                
-                if (overlapStart <= overlapEnd) {
-                    const overlapSize = overlapEnd - overlapStart + 1;
-                    const filterSize = filterRange.max - filterRange.min + 1;
-                    similarity = overlapSize / filterSize;
-                }
-            }
-            
-            bestScore = Math.max(bestScore, similarity);
-        });
+// Tells every user about a listing the first time it is published; emails only go to users who opted in
+async announceListing(listingId) {
+    const listing = await prisma.listing.findUnique({
+        where: { id: listingId },
+        include: { selectedMainCategories: true, selectedSubCategories: true, selectedSpecificItems: true },
     });
-    
-    return bestScore;
-},
+    if (!listing) return;
 
-// Calculate price similarity with stricter tolerance
-calculatePriceSimilarity(filters, listingPrice) {
-    if (!listingPrice) return 0;
-    
-    const minPrice = filters.minPrice ? parseFloat(filters.minPrice) : 0;
-    const maxPrice = filters.maxPrice ? parseFloat(filters.maxPrice) : Infinity;
-    const price = filters.price ? parseFloat(filters.price) : null;
-    
-    // If within range, perfect match
-    if (listingPrice >= minPrice && listingPrice <= maxPrice || (price && listingPrice === price)) {
-        return 1;
-    }
-    
-    // Calculate similarity based on how close the price is to the range
-    let distance = 0;
-    if (listingPrice < minPrice) {
-        distance = minPrice - listingPrice;
-    } else if (listingPrice > maxPrice) {
-        distance = listingPrice - maxPrice;
-    } else if (price && listingPrice !== price) {
-        distance = Math.abs(listingPrice - price);
-    }
-
-    // Use stricter tolerance for price matching
-    const rangeSize = maxPrice === Infinity ? minPrice : maxPrice - minPrice;
-    if (rangeSize <= 0) return 0;
-    
-    const tolerance = Math.max(rangeSize * 0.15, 50); // Reduced from 30% to 15% tolerance and from $100 to $50
-    
-    const similarity = Math.exp(-distance / tolerance);
-    
-    // Only return similarity if it's above 0.7 (stricter price matching)
-    return similarity > 0.7 ? similarity : 0;
-},
+    const allUsers = await prisma.user.findMany({
+        where: { deletedAt: null },
+        select: { id: true, email: true, fname: true, preference: { select: { language: true, marketingOptIn: true } } },
+    });
 
-// Calculate category similarity (works for main, sub, and specific categories)
-calculateCategorySimilarity(filterCategoryIds, listingCategories) {
-    if (!listingCategories || listingCategories.length === 0) return 0;
-    
-    const listingCategoryIds = listingCategories.map(cat => cat.id.toString());
-    const filterIds = filterCategoryIds.map(id => id.toString());
-    
-    // Calculate Jaccard similarity (intersection over union)
-    const intersection = filterIds.filter(id => listingCategoryIds.includes(id)).length;
-    const union = new Set([...filterIds, ...listingCategoryIds]).size;
-    
-    return union > 0 ? intersection / union : 0;
+    const notificationPromises = allUsers.map(user => createNotification(
+        user.id,
+        NotificationType.GENERAL,
+        'notification_title_new_listing',
+        'notification_message_new_listing',
+        getUserLanguage(user),
+        listing.id,
+        'Listing',
+        null,
+        { name: listing.name || 'Untitled' }
+    ));
+    await Promise.all(notificationPromises);
+
+    const listingDetails = `
+    Name: ${listing.name || 'N/A'}
+    Price: ${listing.price ? `$${listing.price}` : 'N/A'}
+    Description: ${listing.description || 'No description available.'}
+    Location: ${listing.location?.join(', ') || 'N/A'}
+    Facilities: ${listing.facilities?.join(', ') || 'N/A'}
+    Operating Hours: ${listing.operatingHours?.join(', ') || 'N/A'}
+    Gender: ${listing.gender || 'N/A'}
+    Discount: ${listing.discount ? `${listing.discount}%` : 'N/A'}
+    Main Categories: ${listing.selectedMainCategories?.map(cat => cat.name).join(', ') || 'N/A'}
+    Sub Categories: ${listing.selectedSubCategories?.map(cat => cat.name).join(', ') || 'N/A'}
+    Specific Items: ${listing.selectedSpecificItems?.map(item => item.name).join(', ') || 'N/A'}
+    `.trim();
+
+    // Announcement mails are promotional, only users who opted in receive them
+    const emailPromises = allUsers.filter(user => user.preference?.marketingOptIn).map(user => {
+        const mailLang = getUserLanguage(user);
+        return sendMail(
+            user.email,
+            mailLang === 'ar' ? "قائمة جديدة متاحة - التفاصيل الكاملة" : "New Listing Available - Full Details",
+            mailLang === 'ar'
+                ? `مرحباً ${user.fname || ''},\n\nتمت إضافة قائمة جديدة. إليك التفاصيل:\n\n${listingDetails}\n\nمع أطيب التحيات،\nفريق Batteryqk`
+                : `Hello ${user.fname || 'there'},\n\nA new listing has been added. Here are the details:\n\n${listingDetails}\n\nBest regards,\nBatteryqk team`,
+            mailLang,
+            { name: user.fname || 'there', listingDetails: listingDetails }
+        ).catch(err => console.error(`Failed to send email to ${user.email}:`, err));
+    });
+
+    await Promise.allSettled(emailPromises);
 },
 
-// Analyze facility components for intelligent matching
-analyzeFacilityComponents(facility) {
-    const facilityLower = facility.toLowerCase();
-    
-    const componentMappings = {
-        gym: ['gym', 'fitness', 'workout', 'exercise', 'training'],
-        pool: ['pool', 'swimming', 'water', 'aquatic'],
-        court: ['court', 'tennis', 'basketball', 'badminton', 'volleyball'],
-        field: ['field', 'football', 'soccer', 'cricket', 'rugby'],
-        parking: ['parking', 'garage', 'valet'],
-        wifi: ['wifi', 'internet', 'broadband', 'connection'],
-        ac: ['ac', 'air conditioning', 'climate', 'cooling'],
-        playground: ['playground', 'play area', 'kids', 'children'],
-        garden: ['garden', 'park', 'outdoor', 'green space'],
-        restaurant: ['restaurant', 'cafe', 'dining', 'food', 'kitchen'],
-        spa: ['spa', 'massage', 'wellness', 'relaxation']
-    };
-    
-    const components = [];
-    
-    Object.keys(componentMappings).forEach(key => {
-        if (componentMappings[key].some(term => facilityLower.includes(term))) {
-            components.push(key);
+// --- Revisions ---
+
+// Stores a revision when the listing differs from its latest one (a note, e.g. of a revert, always gets one).
+// Never throws: a missing revision must not fail the write it follows.
+async recordListingRevision(listingId, actorUserId = null, note = null) {
+    try {
+        const listing = await prisma.listing.findUnique({ where: { id: listingId }, include: LISTING_REVISION_INCLUDE });
+        if (!listing) return null;
+        const snapshot = buildRevisionSnapshot(listing);
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const latest = await prisma.listingRevision.findFirst({ where: { listingId }, orderBy: { revision: 'desc' } });
+            const changedFields = latest ? diffRevisionSnapshots(latest.snapshot, snapshot).map(change => change.field) : Object.keys(snapshot);
+            if (latest && changedFields.length === 0 && !note) return latest;
+            try {
+                const revision = await prisma.listingRevision.create({
+                    data: {
+                        listingId, revision: (latest?.revision || 0) + 1, snapshot, changedFields,
+                        imageUrls: snapshotImageUrls(snapshot), note, actorUserId: actorUserId || null,
+                    },
+                });
+                await this.pruneListingRevisions(listingId);
+                return revision;
+            } catch (error) {
+                // A concurrent write took the number, read the latest revision again
+                if (error.code !== 'P2002') throw error;
+            }
         }
-    });
-    
-    if (components.length === 0) {
-        components.push(...facilityLower.split(/\s+/).filter(word => word.length > 2));
+    } catch (error) {
+        console.error(`Revisions: could not record a revision of listing ${listingId} ->`, error.message);
     }
-    
-    return components;
+    return null;
 },
 
-// Match facility components against listing facilities
-matchFacilityComponents(components, listingFacilities) {
-    if (!listingFacilities || listingFacilities.length === 0) return 0;
-    
-    const listingFacilitiesFlat = listingFacilities.flatMap(fac => 
-        fac.split(',').map(f => f.trim().toLowerCase())
-    );
-    
-    let matchScore = 0;
-    const totalComponents = components.length;
-    
-    components.forEach(component => {
-        const directMatch = listingFacilitiesFlat.some(lf => 
-            lf.includes(component) || component.includes(lf)
-        );
-        
-        if (directMatch) {
-            matchScore += 1;
-        } else {
-            const bestSimilarity = Math.max(
-                ...listingFacilitiesFlat.map(lf => 
-                    this.calculateStringSimilarity(component, lf)
-                )
-            );
-            if (bestSimilarity > 0.6) {
-                matchScore += bestSimilarity;
-            }
+// Keeps the newest LISTING_REVISION_LIMIT revisions and deletes images only the dropped ones referred to
+async pruneListingRevisions(listingId) {
+    const stale = await prisma.listingRevision.findMany({
+        where: { listingId },
+        orderBy: { revision: 'desc' },
+        skip: LISTING_REVISION_LIMIT,
+        select: { id: true, snapshot: true },
+    });
+    if (stale.length === 0) return;
+    await prisma.listingRevision.deleteMany({ where: { id: { in: stale.map(revision => revision.id) } } });
+
+    const listing = await prisma.listing.findUnique({ where: { id: listingId }, select: { main_image: true, sub_images: true } });
+    const shown = new Set(listing ? snapshotImageUrls(listing) : []);
+    for (const { snapshot } of stale) {
+        for (const url of snapshotImageUrls(snapshot).filter(url => !shown.has(url))) {
+            await this.releaseImage(listingId, url, snapshot.imageVariants);
         }
+    }
+},
+
+// Deletes an image the listing no longer shows, unless a kept revision still refers to it (a revert may bring it back)
+async releaseImage(listingId, url, imageVariants = {}) {
+    const referenced = await prisma.listingRevision.findFirst({ where: { listingId, imageUrls: { has: url } }, select: { id: true } });
+    if (referenced) return false;
+    return this.deleteImage(url, imageVariants);
+},
+
+// Newest first, without the snapshots
+async getListingRevisions(id, lang = "en") {
+    const listingId = parseInt(id, 10);
+    const listing = isNaN(listingId) ? null : await prisma.listing.findUnique({ where: { id: listingId }, select: { id: true } });
+    if (!listing) throw new errorHandler(translate('listing_not_found', lang), 404);
+
+    return prisma.listingRevision.findMany({
+        where: { listingId },
+        select: {
+            revision: true, changedFields: true, note: true, createdAt: true,
+            actor: { select: { id: true, fname: true, lname: true } },
+        },
+        orderBy: { revision: 'desc' },
     });
-    
-    return totalComponents > 0 ? matchScore / totalComponents : 0;
 },
 
-// Calculate semantic similarity for search terms
-calculateSemanticSimilarity(searchTerm, listing) {
-    const semanticMappings = {
-        'gym': ['fitness', 'workout', 'exercise', 'training', 'health club'],
-        'pool': ['swimming', 'water', 'aquatic center', 'swim'],
-        'restaurant': ['dining', 'food', 'cafe', 'kitchen', 'eatery'],
-        'parking': ['garage', 'valet', 'car park'],
-        'spa': ['wellness', 'massage', 'relaxation', 'beauty'],
-        'outdoor': ['garden', 'park', 'open air', 'terrace'],
-        'kids': ['children', 'family', 'playground', 'child-friendly']
+// Changes from revision `from` to revision `to`; by default the latest revision against the one before it
+async diffListingRevisions(id, { from, to } = {}, lang = "en") {
+    const listingId = parseInt(id, 10);
+    const parseRevision = (value) => {
+        if (value === undefined || value === '') return undefined;
+        const revision = Number(value);
+        if (!Number.isInteger(revision) || revision < 1) throw new errorHandler(translate('error_invalid_listing_revision', lang), 400);
+        return revision;
     };
-    
-    let semanticScore = 0;
-    const allText = `${listing.name || ''} ${listing.description || ''} ${listing.facilities?.join(' ') || ''}`.toLowerCase();
-    
-    Object.keys(semanticMappings).forEach(key => {
-        if (searchTerm.includes(key)) {
-            const relatedTerms = semanticMappings[key];
-            const hasRelatedTerm = relatedTerms.some(term => allText.includes(term));
-            if (hasRelatedTerm) {
-                semanticScore += 0.2;
-            }
-        }
+    let toRevision = parseRevision(to);
+    let fromRevision = parseRevision(from);
+
+    if (toRevision === undefined) {
+        const latest = isNaN(listingId) ? null : await prisma.listingRevision.findFirst({ where: { listingId }, orderBy: { revision: 'desc' } });
+        if (!latest) throw new errorHandler(translate('error_listing_revision_not_found', lang), 404);
+        toRevision = latest.revision;
+    }
+    if (fromRevision === undefined) fromRevision = toRevision - 1;
+
+    const revisions = isNaN(listingId) ? [] : await prisma.listingRevision.findMany({
+        where: { listingId, revision: { in: [fromRevision, toRevision] } },
+        select: { revision: true, snapshot: true, createdAt: true },
     });
-    
-    return Math.min(semanticScore, 0.3);
+    const before = revisions.find(revision => revision.revision === fromRevision);
+    const after = revisions.find(revision => revision.revision === toRevision);
+    if (!before || !after) throw new errorHandler(translate('error_listing_revision_not_found', lang), 404);
+
+    return {
+        from: { revision: before.revision, createdAt: before.createdAt },
+        to: { revision: after.revision, createdAt: after.createdAt },
+        changes: diffRevisionSnapshots(before.snapshot, after.snapshot),
+    };
 },
 
-// Calculate location similarity
-calculateLocationSimilarity(filterLocations, listingLocations) {
-    if (!listingLocations || listingLocations.length === 0) return 0;
-    
-    let bestScore = 0;
-    
-    filterLocations.forEach(filterLoc => {
-        listingLocations.forEach(listingLoc => {
-            if (listingLoc.toLowerCase().includes(filterLoc.toLowerCase()) || 
-                filterLoc.toLowerCase().includes(listingLoc.toLowerCase())) {
-                bestScore = Math.max(bestScore, 1);
-            } else {
-                const similarity = this.calculateStringSimilarity(
-                    filterLoc.toLowerCase(), 
-                    listingLoc.toLowerCase()
-                );
-                bestScore = Math.max(bestScore, similarity);
-            }
-        });
+// Restores the content, categories, opening hours and images of a revision; status, schedule and owner stay as they are,
+// except that a revert by the owning venue sends an approved listing back to review like any other venue edit
+async revertListingToRevision(id, rev, lang = "en", reqDetails = {}) {
+    const listingId = parseInt(id, 10);
+    const revisionNumber = Number(rev);
+    const target = isNaN(listingId) || !Number.isInteger(revisionNumber) ? null : await prisma.listingRevision.findUnique({
+        where: { listingId_revision: { listingId, revision: revisionNumber } },
     });
-    
-    return bestScore;
-},
+    if (!target) throw new errorHandler(translate('error_listing_revision_not_found', lang), 404);
 
-// Levenshtein distance based string similarity
-calculateStringSimilarity(str1, str2) {
-    const len1 = str1.length;
-    const len2 = str2.length;
-    const matrix = Array(len2 + 1).fill().map(() => Array(len1 + 1).fill(0));
+    const current = await prisma.listing.findUnique({ where: { id: listingId }, include: LISTING_REVISION_INCLUDE });
+    // The running upload would overwrite the restored images when it finishes
+    if (isWaitingForImages(current)) throw new errorHandler(translate('error_listing_images_uploading', lang), 409);
 
-    for (let i = 0; i <= len1; i++) matrix[0][i] = i;
-    for (let j = 0; j <= len2; j++) matrix[j][0] = j;
+    const { snapshot } = target;
+    const data = {};
+    for (const field of LISTING_REVISION_FIELDS.filter(field => field in snapshot)) {
+        data[field] = snapshot[field] === null && LISTING_REVISION_JSON_FIELDS.includes(field) ? Prisma.DbNull : snapshot[field];
+    }
+    // Categories deleted since the revision cannot come back
+    for (const [key, { relation, model }] of Object.entries(LISTING_REVISION_CATEGORIES)) {
+        const existing = await prisma[model].findMany({ where: { id: { in: snapshot[key] || [] } }, select: { id: true } });
+        data[relation] = { set: existing.map(({ id }) => ({ id })) };
+    }
 
-    for (let j = 1; j <= len2; j++) {
-        for (let i = 1; i <= len1; i++) {
-            if (str1[i - 1] === str2[j - 1]) {
-                matrix[j][i] = matrix[j - 1][i - 1];
-            } else {
-                matrix[j][i] = Math.min(
-                    matrix[j - 1][i] + 1,
-                    matrix[j][i - 1] + 1,
-                    matrix[j - 1][i - 1] + 1
-                );
-            }
+    await prisma.$transaction([
+        prisma.listing.update({ where: { id: listingId }, data }),
+        prisma.listingOpeningHours.deleteMany({ where: { listingId } }),
+        prisma.listingOpeningHours.createMany({ data: (snapshot.openingHours || []).map(row => ({ ...row, listingId })) }),
+        prisma.listingHoursException.deleteMany({ where: { listingId } }),
+        prisma.listingHoursException.createMany({
+            data: (snapshot.hoursExceptions || []).map(row => ({ ...row, date: new Date(`${row.date}T00:00:00Z`), listingId })),
+        }),
+    ]);
+
+    const note = `Reverted to revision ${target.revision}.`;
+    const revision = await this.recordListingRevision(listingId, reqDetails.actorUserId, note);
+    recordAuditLog(AuditLogAction.LISTING_UPDATED, {
+        userId: reqDetails.actorUserId,
+        entityName: 'Listing',
+        entityId: listingId,
+        oldValues: buildRevisionSnapshot(current),
+        newValues: snapshot,
+        description: `Listing '${current.name || listingId}' reverted to revision ${target.revision}.`,
+        ipAddress: reqDetails.ipAddress,
+        userAgent: reqDetails.userAgent,
+    });
+
+    // Rebuild the Arabic copies from the restored English fields
+    setImmediate(async () => {
+        try {
+            await this.refreshArabicSearchText(listingId);
+            await invalidateListingArCache(listingId);
+            await this.getListingById(listingId, "ar");
+        } catch (error) {
+            console.error(`Error refreshing the Arabic cache of reverted listing ${listingId}:`, error);
         }
-    }
+    });
+
+    const resubmitted = reqDetails.actorRole === UserRole.ADMIN
+        ? null
+        : await this.returnListingToReview(listingId, `reverted to revision ${target.revision} by the venue`, reqDetails);
 
-    const distance = matrix[len2][len1];
-    const maxLen = Math.max(len1, len2);
-    return maxLen === 0 ? 1 : (maxLen - distance) / maxLen;
+    return { revision: revision?.revision ?? null, revertedTo: target.revision, ...(resubmitted && { status: resubmitted.status }) };
 },
 
 
@@ -1478,6 +1847,7 @@ calculateStringSimilarity(str1, str2) {
 
 
 
+
   async getListingById(id, lang = "en") {
     const listingId = parseInt(id, 10);
 
@@ -1512,7 +1882,8 @@ calculateStringSimilarity(str1, str2) {
             },
             bookings: {
                 select: { id: true, status: true, createdAt: true, user: { select: { fname: true, lname: true } }, status: true, bookingDate: true, booking_hours: true, additionalNote: true, ageGroup: true, numberOfPersons: true, paymentMethod: true }
-            }
+            },
+            ...OPENING_HOURS_INCLUDE
         }
     });
     // review user names  must marze fname+lname
@@ -1592,8 +1963,11 @@ async updateListing(id, data, files, lang = "en", reqDetails = {}) {
     const safeData = data || {};
     const { name, price, description, agegroup, location, facilities, operatingHours, 
             mainCategoryIds, subCategoryIds, specificItemIds, gender, discount } = safeData;
+    const settings = parseVenueSettings(safeData, lang);
+    const schedule = parsePublishWindow(safeData, currentListing, lang);
 
     let updateData = {};
+    if (safeData.ownerId !== undefined) updateData.ownerId = await resolveListingOwner(safeData.ownerId, lang);
 
     // Handle price
     if (price !== undefined) updateData.price = parseFloat(price);
@@ -1621,11 +1995,38 @@ async updateListing(id, data, files, lang = "en", reqDetails = {}) {
         if (discount !== undefined) updateData.discount = discount;
     }
 
-    // Update listing with basic data first (without images)
-    await prisma.listing.update({
-        where: { id: listingId },
-        data: updateData
-    });
+    if (settings.timezone) updateData.timezone = settings.timezone;
+    if (settings.latitude !== undefined) {
+        updateData.latitude = settings.latitude;
+        updateData.longitude = settings.longitude;
+    }
+    if (settings.slotDuration !== undefined) updateData.slotDuration = settings.slotDuration;
+    if (settings.slotCapacity !== undefined) updateData.slotCapacity = settings.slotCapacity;
+    if (settings.slotAgeGroupCapacity !== undefined) updateData.slotAgeGroupCapacity = settings.slotAgeGroupCapacity ?? Prisma.DbNull;
+    if (settings.openingHours) updateData.operatingHours = formatOpeningHours(settings.openingHours, "en");
+    // The status itself only changes through changeListingStatus; a publishAt on a DRAFT schedules it
+    if (schedule.publishAt !== undefined) updateData.publishAt = schedule.publishAt;
+    if (schedule.unpublishAt !== undefined) updateData.unpublishAt = schedule.unpublishAt;
+
+    if (files && (files.main_image || files.sub_images)) {
+        updateData.imageUploadStatus = ImageUploadStatus.PENDING;
+    }
+
+    // Update listing with basic data first (without images); sent hours replace the stored ones
+    await prisma.$transaction([
+        prisma.listing.update({
+            where: { id: listingId },
+            data: updateData
+        }),
+        ...(settings.openingHours ? [
+            prisma.listingOpeningHours.deleteMany({ where: { listingId } }),
+            prisma.listingOpeningHours.createMany({ data: settings.openingHours.map(row => ({ ...row, listingId })) }),
+        ] : []),
+        ...(settings.hoursExceptions ? [
+            prisma.listingHoursException.deleteMany({ where: { listingId } }),
+            prisma.listingHoursException.createMany({ data: settings.hoursExceptions.map(row => ({ ...row, listingId })) }),
+        ] : []),
+    ]);
 
     // Handle category connections
     if (mainCategoryIds !== undefined) {
@@ -1667,80 +2068,66 @@ async updateListing(id, data, files, lang = "en", reqDetails = {}) {
     // Handle background tasks for images and other operations
     setImmediate(async () => {
         try {
-            let imageUpdateData = {};
-            let currentSubImages = [...(currentListing.sub_images || [])];
-
-            // Handle main image - delete old and upload new if provided
-            if (files && files.main_image && files.main_image[0]) {
-                // Delete old main image first
-                if (currentListing.main_image) {
-                    try {
-                        const oldMainImageFilename = path.basename(new URL(currentListing.main_image).pathname);
-                        const deleteSuccess = await this.deleteImageFromServer(oldMainImageFilename);
-                        if (deleteSuccess) {
-                            console.log(`Successfully deleted old main image for listing ${listingId}`);
-                        } else {
-                            console.error(`Failed to delete old main image for listing ${listingId}`);
-                        }
-                    } catch (err) {
-                        console.error(`Error parsing old main image URL for listing ${listingId}:`, err);
-                    }
+            const searchableChanged = [name, description, location, facilities, mainCategoryIds, subCategoryIds, specificItemIds]
+                .some(value => value !== undefined);
+            if (searchableChanged) await this.refreshArabicSearchText(listingId);
+
+            // New files are stored first; old ones are only removed once their replacement is in place
+            if (files && (files.main_image || files.sub_images)) {
+                const uploadErrors = [];
+                let newMainImage = null;
+                let newSubImages = null;
+
+                if (files.main_image && files.main_image[0]) {
+                    const mainImageUploadResult = await this.uploadImageFromClient({ main_image: files.main_image });
+                    if (mainImageUploadResult.data.main_image) newMainImage = mainImageUploadResult.data.main_image;
+                    else uploadErrors.push(mainImageUploadResult.error);
                 }
 
-                // Upload new main image
-                const mainImageUploadResult = await this.uploadImageFromClient({ main_image: files.main_image });
-                if (mainImageUploadResult.success && mainImageUploadResult.data.main_image) {
-                    imageUpdateData.main_image = mainImageUploadResult.data.main_image.url;
-                    console.log(`Main image updated for listing ${listingId}`);
-                } else {
-                    console.error(`Main image upload failed for listing ${listingId}:`, mainImageUploadResult.error);
+                // Uploaded sub-images replace the previous ones
+                if (files.sub_images && files.sub_images.length > 0) {
+                    const subImageUploadResult = await this.uploadImageFromClient({ sub_images: files.sub_images });
+                    if (!subImageUploadResult.success) uploadErrors.push(subImageUploadResult.error);
+                    if (subImageUploadResult.data.sub_images.length > 0) newSubImages = subImageUploadResult.data.sub_images;
                 }
 
-                // Handle removed sub-images - delete all previous sub-images from current listing
-                if (currentListing.sub_images && currentListing.sub_images.length > 0 && files.sub_images && files.sub_images.length > 0) {
-                    console.log(`Deleting all previous sub-images for listing ${listingId}`);
-                    
-                    for (const imgUrl of currentListing.sub_images) {
-                        try {
-                            const filename = path.basename(new URL(imgUrl).pathname);
-                            const deleteSuccess = await this.deleteImageFromServer(filename);
-                            
-                            if (deleteSuccess) {
-                                console.log(`Successfully deleted previous sub-image: ${imgUrl}`);
-                            } else {
-                                console.error(`Failed to delete previous sub-image file: ${filename}`);
-                            }
-                        } catch (err) {
-                            console.error(`Error processing previous sub-image deletion for ${imgUrl}:`, err);
-                        }
+                // The uploads take a while: the replaced images are the ones of the gallery as it is now
+                let replaced = [];
+                const { listing: previous } = await this.lockedImageUpdate(listingId, 'en', (current) => {
+                    const imageUpdateData = {};
+                    const imageVariants = { ...(current.imageVariants || {}) };
+                    const imageCaptions = { ...(current.imageCaptions || {}) };
+                    replaced = [];
+
+                    if (newMainImage) {
+                        imageUpdateData.main_image = newMainImage.url;
+                        imageVariants[newMainImage.url] = newMainImage.variants;
+                        if (current.main_image) replaced.push(current.main_image);
                     }
-                    
-                    // Clear the current sub images array
-                    currentSubImages = [];
-                }
-
-                // Handle new sub-images upload
-                if (files && files.sub_images && files.sub_images.length > 0) {
-                    const subImageUploadResult = await this.uploadSubImagesOnly(files.sub_images, currentListing.name || `listing_${listingId}`);
-                    console.log(`Sub-image upload result for listing ${listingId}:`, subImageUploadResult);
-                    
-                    if (subImageUploadResult.success && subImageUploadResult.data.sub_images) {
-                        const newSubImageUrls = subImageUploadResult.data.sub_images.map(img => img.url);
-                        currentSubImages = newSubImageUrls;
-                        console.log(`New sub images uploaded for listing ${listingId}`);
-                    } else {
-                        console.error(`Sub images upload failed for listing ${listingId}:`, subImageUploadResult.error);
+                    if (newSubImages) {
+                        imageUpdateData.sub_images = newSubImages.map(img => img.url);
+                        for (const { url, variants } of newSubImages) imageVariants[url] = variants;
+                        replaced.push(...(current.sub_images || []));
+                    }
+                    for (const url of replaced) {
+                        delete imageVariants[url];
+                        delete imageCaptions[url];
                     }
-                }
 
-                // Update listing with new image URLs if any changes
-                if (Object.keys(imageUpdateData).length > 0 || currentListing.sub_images.length > 0 || (files && files.sub_images)) {
-                    imageUpdateData.sub_images = currentSubImages;
-                    await prisma.listing.update({
-                        where: { id: listingId },
-                        data: imageUpdateData
-                    });
-                    console.log(`Image URLs updated for listing ${listingId}. New sub_images:`, currentSubImages);
+                    imageUpdateData.imageVariants = imageVariants;
+                    imageUpdateData.imageCaptions = imageCaptions;
+                    imageUpdateData.imageUploadStatus = uploadErrors.length > 0 ? ImageUploadStatus.FAILED : ImageUploadStatus.COMPLETED;
+                    imageUpdateData.imageUploadError = uploadErrors.length > 0 ? uploadErrors.join('; ') : null;
+                    return imageUpdateData;
+                });
+
+                for (const url of replaced) {
+                    await this.releaseImage(listingId, url, previous.imageVariants);
+                }
+                if (newMainImage) console.log(`Main image updated for listing ${listingId}`);
+                if (newSubImages) console.log(`New sub images uploaded for listing ${listingId}`);
+                if (uploadErrors.length > 0) {
+                    console.error(`Image upload failed for listing ${listingId}:`, uploadErrors.join('; '));
                 }
             }
 
@@ -1757,7 +2144,8 @@ async updateListing(id, data, files, lang = "en", reqDetails = {}) {
                     },
                     bookings: {
                         select: { id: true, status: true, createdAt: true, user: { select: { fname: true, lname: true } }, bookingDate: true, booking_hours: true, additionalNote: true, ageGroup: true, numberOfPersons: true, paymentMethod: true }
-                    }
+                    },
+                    ...OPENING_HOURS_INCLUDE
                 }
             });
 
@@ -1940,6 +2328,8 @@ async updateListing(id, data, files, lang = "en", reqDetails = {}) {
                 }
             }
 
+            await this.recordListingRevision(listingId, reqDetails.actorUserId);
+
             // Record audit log
             recordAuditLog(AuditLogAction.LISTING_UPDATED, {
                 userId: reqDetails.actorUserId,
@@ -1963,85 +2353,224 @@ async updateListing(id, data, files, lang = "en", reqDetails = {}) {
     return true;
 },
 
-// // New helper function to upload sub-images only
-uploadSubImagesOnly: async function(subImageFiles, baseName) {
-    try {
-        const formData = new FormData();
-        
-        // Handle sub images with custom naming
-        subImageFiles.forEach((subFile, index) => {
-            const extension = subFile.originalname.split('.').pop();
-            const newName = `${baseName}_sub_${Date.now()}_${index + 1}.${extension}`;
-            
-            if (subFile.buffer) {
-                formData.append('sub_images', subFile.buffer, {
-                    filename: newName,
-                    contentType: subFile.mimetype,
-                });
-            } else {
-                formData.append('sub_images', subFile, newName);
+// Removes a stored image and its size variants (listing.imageVariants) through the storage driver; never throws
+deleteImage: async function(url, imageVariants = {}) {
+    const variantUrls = Object.values(imageVariants?.[url] || {}).flatMap(variant => [variant.url, variant.webp]);
+    let deletedAll = true;
+    for (const fileUrl of [...new Set([url, ...variantUrls])].filter(Boolean)) {
+        try {
+            const deleted = await storage.remove(fileUrl);
+            if (!deleted) {
+                console.warn(`Image is not managed by the ${storage.name} storage, left in place: ${fileUrl}`);
+                deletedAll = false;
             }
+        } catch (error) {
+            console.error(`Error deleting image ${fileUrl}:`, error.message);
+            deletedAll = false;
+        }
+    }
+    return deletedAll;
+},
+
+
+
+
+// --- Gallery management (/api/listings/:id/images) ---
+async getGalleryListing(id, lang = 'en') {
+    const listingId = parseInt(id, 10);
+    const listing = isNaN(listingId) ? null : await prisma.listing.findUnique({ where: { id: listingId } });
+    if (!listing) throw new errorHandler(translate('listing_not_found', lang), 404);
+    return listing;
+},
+
+// Read-modify-write of the image fields while holding the listing row, so concurrent gallery calls and the
+// background upload of updateListing never write over each other. buildChanges(listing) gets the current row
+// and returns the fields to write, or null to leave the listing as it is. Returns { listing, updated }.
+async lockedImageUpdate(listingId, lang, buildChanges) {
+    return prisma.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM "Listing" WHERE id = ${listingId} FOR UPDATE`;
+        const listing = await tx.listing.findUnique({ where: { id: listingId } });
+        if (!listing) throw new errorHandler(translate('listing_not_found', lang), 404);
+        const changes = await buildChanges(listing);
+        const updated = changes ? await tx.listing.update({ where: { id: listingId }, data: changes }) : listing;
+        return { listing, updated, changed: Boolean(changes) };
+    });
+},
+
+// Writes the new gallery state (see lockedImageUpdate), records it and drops the AR caches that embed the images.
+// Returns { listing, updated } with the listing as it was before the change.
+async saveGallery(id, lang, buildChanges, description, reqDetails = {}) {
+    const listingId = parseInt(id, 10);
+    if (isNaN(listingId)) throw new errorHandler(translate('listing_not_found', lang), 404);
+    const { listing, updated, changed } = await this.lockedImageUpdate(listingId, lang, buildChanges);
+    if (!changed) return { listing, updated };
+
+    await this.recordListingRevision(listing.id, reqDetails.actorUserId);
+
+    recordAuditLog(AuditLogAction.LISTING_UPDATED, {
+        userId: reqDetails.actorUserId,
+        entityName: 'Listing',
+        entityId: listing.id,
+        oldValues: { main_image: listing.main_image, sub_images: listing.sub_images, imageCaptions: listing.imageCaptions },
+        newValues: { main_image: updated.main_image, sub_images: updated.sub_images, imageCaptions: updated.imageCaptions },
+        description: `Gallery of listing '${listing.name || listing.id}': ${description}`,
+        ipAddress: reqDetails.ipAddress,
+        userAgent: reqDetails.userAgent,
+    });
+
+    await invalidateListingArCache(listing.id);
+    return { listing, updated };
+},
+
+// `viewer` (req.user) decides whether an unpublished listing's gallery is visible, see canViewListing
+async getGallery(id, lang = 'en', viewer = null) {
+    const listing = await this.getGalleryListing(id, lang);
+    if (!this.canViewListing(listing, viewer)) throw new errorHandler(translate('listing_not_found', lang), 404);
+    return buildGallery(listing);
+},
+
+/**
+ * Adds uploaded images to the gallery. A `main_image` file becomes the primary image and the
+ * previous primary moves to the front of the sub-images; `sub_images` are appended.
+ * caption_en / caption_ar may be a string or an array following the file order (main first).
+ * Returns { gallery, error } where error lists the files that could not be stored.
+ */
+async addImages(id, files, captions = {}, lang = 'en', reqDetails = {}) {
+    const listing = await this.getGalleryListing(id, lang);
+    const mainFiles = files?.main_image || [];
+    const subFiles = files?.sub_images || [];
+    if (mainFiles.length === 0 && subFiles.length === 0) throw new errorHandler(translate('error_no_images_uploaded', lang), 400);
+
+    const subCountAfter = (listing.sub_images || []).length + subFiles.length + (mainFiles.length > 0 && listing.main_image ? 1 : 0);
+    if (subCountAfter > MAX_SUB_IMAGES) {
+        throw new errorHandler(translate('error_too_many_images', lang, { max: MAX_SUB_IMAGES }), 400);
+    }
+
+    const uploadResult = await this.uploadImageFromClient({ main_image: mainFiles, sub_images: subFiles });
+    if (uploadResult.data.files.length === 0) throw new errorHandler(translate('error_image_upload_failed', lang, { error: uploadResult.error }), 502);
+
+    // Captions follow the order of the uploaded files (main first), failed files keep their slot
+    const uploadedFiles = [...mainFiles, ...subFiles];
+    const captionAt = (value, index) => normalizeCaption(Array.isArray(value) ? value[index] : (uploadedFiles.length === 1 ? value : undefined));
+
+    // The gallery may have changed during the upload: the new images are added to its current state
+    const addToGallery = (current) => {
+        const imageVariants = { ...(current.imageVariants || {}) };
+        const imageCaptions = { ...(current.imageCaptions || {}) };
+        let mainImage = current.main_image;
+        let subImages = [...(current.sub_images || [])];
+
+        uploadResult.data.files.forEach(({ index, image }) => {
+            imageVariants[image.url] = image.variants;
+            const en = captionAt(captions.caption_en, index);
+            const ar = captionAt(captions.caption_ar, index);
+            if (en || ar) imageCaptions[image.url] = { en: en ?? null, ar: ar ?? null };
         });
-        
-        console.log('Uploading sub-images only');
-
-        const response = await axios.post(
-            'http://u8c040k0kgggogk8g0coosww-032347850067:3001/upload',
-            formData,
-            {
-                headers: formData.getHeaders(),
-                maxContentLength: Infinity,
-                maxBodyLength: Infinity,
-            }
-        );
-        
+
+        if (uploadResult.data.main_image) {
+            if (mainImage) subImages.unshift(mainImage);
+            mainImage = uploadResult.data.main_image.url;
+        }
+        subImages.push(...uploadResult.data.sub_images.map(image => image.url));
+        if (!mainImage) mainImage = subImages.shift(); // the first image of an empty gallery becomes primary
+        if (subImages.length > MAX_SUB_IMAGES) {
+            throw new errorHandler(translate('error_too_many_images', lang, { max: MAX_SUB_IMAGES }), 400);
+        }
+
         return {
-            success: true,
-            data: response.data
+            main_image: mainImage,
+            sub_images: subImages,
+            imageVariants,
+            imageCaptions,
+            imageUploadStatus: uploadResult.success ? ImageUploadStatus.COMPLETED : ImageUploadStatus.FAILED,
+            imageUploadError: uploadResult.success ? null : uploadResult.error,
         };
+    };
+
+    let updated;
+    try {
+        ({ updated } = await this.saveGallery(listing.id, lang, addToGallery, `${uploadResult.data.files.length} image(s) added.`, reqDetails));
     } catch (error) {
-        console.error('Sub-images upload failed:', error.response?.data || error.message);
-        return {
-            success: false,
-            error: error.message
-        };
+        // Nothing refers to the stored files when the gallery could not take them
+        const variants = Object.fromEntries(uploadResult.data.files.map(({ image }) => [image.url, image.variants]));
+        await Promise.all(Object.keys(variants).map(url => this.deleteImage(url, variants)));
+        throw error;
     }
+
+    return { gallery: buildGallery(updated), error: uploadResult.error || null };
 },
 
-// Helper function to delete image from server
-deleteImageFromServer: async function(filename) {
-    try {
-        console.log(`Attempting to delete image: ${filename}`);
-        const deleteUrl = `http://u8c040k0kgggogk8g0coosww-032347850067:3001/delete/${filename}`;
-        console.log(`Delete URL: ${deleteUrl}`);
-        
-        const response = await fetch(deleteUrl, {
-            method: 'DELETE'
-        });
-        
-        const result = await response.json();
-        console.log(`Delete response for ${filename}:`, result);
-        
-        if (response.ok && result.success) {
-            console.log(`Successfully deleted image: ${filename}`);
-            return true;
-        } else {
-            console.error(`Failed to delete image ${filename}:`, result.error || 'Unknown error');
-            return false;
+// Removes one image and its files; removing the primary image promotes the first sub-image
+async removeImage(id, key, lang = 'en', reqDetails = {}) {
+    let url;
+    const { listing, updated } = await this.saveGallery(id, lang, (current) => {
+        url = findGalleryImage(current, key, lang);
+
+        let mainImage = current.main_image;
+        const subImages = (current.sub_images || []).filter(imageUrl => imageUrl !== url);
+        if (url === mainImage) mainImage = subImages.shift() || null;
+
+        const imageVariants = { ...(current.imageVariants || {}) };
+        const imageCaptions = { ...(current.imageCaptions || {}) };
+        delete imageVariants[url];
+        delete imageCaptions[url];
+        return { main_image: mainImage, sub_images: subImages, imageVariants, imageCaptions };
+    }, `image ${key} removed.`, reqDetails);
+
+    await this.releaseImage(listing.id, url, listing.imageVariants);
+    return buildGallery(updated);
+},
+
+// `order` lists the keys of all sub-images in their new order
+async reorderImages(id, order, lang = 'en', reqDetails = {}) {
+    const { updated } = await this.saveGallery(id, lang, (current) => {
+        const subImages = current.sub_images || [];
+        const byKey = new Map(subImages.map(url => [imageKey(url), url]));
+
+        if (!Array.isArray(order) || order.length !== subImages.length || new Set(order).size !== order.length
+            || order.some(key => !byKey.has(key))) {
+            throw new errorHandler(translate('error_invalid_image_order', lang), 400);
         }
-    } catch (error) {
-        console.error(`Error deleting image ${filename}:`, error.message);
-        return false;
-    }
+        return { sub_images: order.map(key => byKey.get(key)) };
+    }, 'sub-images reordered.', reqDetails);
+    return buildGallery(updated);
 },
 
+// The chosen sub-image and the current primary image swap places
+async setPrimaryImage(id, key, lang = 'en', reqDetails = {}) {
+    const { updated } = await this.saveGallery(id, lang, (current) => {
+        const url = findGalleryImage(current, key, lang);
+        if (url === current.main_image) return null;
 
+        const subImages = (current.sub_images || []).map(imageUrl => imageUrl === url ? current.main_image : imageUrl).filter(Boolean);
+        return { main_image: url, sub_images: subImages };
+    }, `image ${key} set as primary.`, reqDetails);
+    return buildGallery(updated);
+},
 
+async updateImageCaption(id, key, { en, ar }, lang = 'en', reqDetails = {}) {
+    const { updated } = await this.saveGallery(id, lang, (listing) => {
+        const url = findGalleryImage(listing, key, lang);
+
+        const imageCaptions = { ...(listing.imageCaptions || {}) };
+        const current = imageCaptions[url] || { en: null, ar: null };
+        const caption = {
+            en: en !== undefined ? normalizeCaption(en) : current.en,
+            ar: ar !== undefined ? normalizeCaption(ar) : current.ar,
+        };
+        if (caption.en || caption.ar) imageCaptions[url] = caption;
+        else delete imageCaptions[url];
+        return { imageCaptions };
+    }, `caption of image ${key} updated.`, reqDetails);
+    return buildGallery(updated);
+},
 
 async deleteListing(id, reqDetails = {}) {
     const listingId = parseInt(id, 10);
     const listing = await prisma.listing.findUnique({ where: { id: listingId }});
     if (!listing) return null;
+    // Revisions go with the listing, remember the images only they still refer to
+    const revisions = await prisma.listingRevision.findMany({ where: { listingId }, select: { snapshot: true } });
 
     // Delete the listing from database first
     const deletedListing = await prisma.listing.delete({ where: { id: listingId } });
@@ -2049,35 +2578,14 @@ async deleteListing(id, reqDetails = {}) {
     // Handle background tasks for image deletion and cache clearing
     setImmediate(async () => {
         try {
-            // Delete associated images from server
-            if (listing.main_image) {
-                try {
-                    const mainImageFilename = path.basename(new URL(listing.main_image).pathname);
-                    const deleteSuccess = await this.deleteImageFromServer(mainImageFilename);
-                    if (deleteSuccess) {
-                        console.log(`Successfully deleted main image for listing ${listingId}`);
-                    } else {
-                        console.error(`Failed to delete main image for listing ${listingId}`);
-                    }
-                } catch (err) {
-                    console.error(`Error parsing main image URL for listing ${listingId}:`, err);
-                }
+            // Delete associated images from storage
+            const shownImages = snapshotImageUrls(listing);
+            for (const imageUrl of shownImages) {
+                await this.deleteImage(imageUrl, listing.imageVariants);
             }
-            
-            if (listing.sub_images && listing.sub_images.length > 0) {
-                for (const imageUrl of listing.sub_images) {
-                    try {
-                        const filename = path.basename(new URL(imageUrl).pathname);
-                        const deleteSuccess = await this.deleteImageFromServer(filename);
-                        if (deleteSuccess) {
-                            console.log(`Successfully deleted sub-image: ${imageUrl}`);
-                        } else {
-                            console.error(`Failed to delete sub-image: ${filename}`);
-                        }
-                    } catch (err) {
-                        console.error(`Error processing sub-image deletion for ${imageUrl}:`, err);
-                    }
-                }
+            const revisionImages = new Map(revisions.flatMap(({ snapshot }) => snapshotImageUrls(snapshot).map(url => [url, snapshot.imageVariants])));
+            for (const [imageUrl, imageVariants] of revisionImages) {
+                if (!shownImages.includes(imageUrl)) await this.deleteImage(imageUrl, imageVariants);
             }
 
             // Clear Redis cache for related entities
@@ -4,6 +4,7 @@ import { AuditLogAction } from '@prisma/client';
 import { createClient } from "redis";
 import * as deepl from "deepl-node";
 import { sendMail } from '../utils/mailer.js';
+import { getUserLanguage } from '../utils/i18n.js';
 import pLimit from 'p-limit';
 // --- DeepL Configuration ---
 const DEEPL_AUTH_KEY = process.env.DEEPL_AUTH_KEY;
@@ -405,10 +406,10 @@ const notificationService = {
             let user;
             if (typeof userId === 'string' && userId.length > 10) {
                 // Assuming it's a UID
-                user = await prisma.user.findUnique({ where: { uid: userId } });
+                user = await prisma.user.findUnique({ where: { uid: userId }, include: { preference: true } });
             } else {
                 // Assuming it's a numeric user ID
-                user = await prisma.user.findUnique({ where: { id: parseInt(userId) } });
+                user = await prisma.user.findUnique({ where: { id: parseInt(userId) }, include: { preference: true } });
             }
 
             if (!user) throw new Error('User not found');
@@ -480,14 +481,21 @@ const notificationService = {
                     // Send email notification if it's important
                     if (['BOOKING', 'SYSTEM', 'CANCELLATION'].includes(type)) {
                         try {
-                            const emailSubject = lang === 'ar' ? title : notification.title;
-                            const emailMessage = lang === 'ar' ? message : notification.message;
+                            // The request language is the sender's; mail the recipient in their stored language.
+                            // notification.title/message are always English (see dataForDb above).
+                            const mailLang = getUserLanguage(user, lang);
+                            let emailSubject = notification.title;
+                            let emailMessage = notification.message;
+                            if (mailLang === 'ar') {
+                                emailSubject = lang === 'ar' ? title : await translateText(notification.title, 'AR', 'EN');
+                                emailMessage = lang === 'ar' ? message : await translateText(notification.message, 'AR', 'EN');
+                            }
                             
                             await sendMail(
                                 user.email, 
                                 emailSubject, 
                                 emailMessage, 
-                                lang, 
+                                mailLang, 
                                 { name: user.fname || 'Customer' }
                             );
                         } catch (emailError) {
@@ -4,6 +4,9 @@ import { AuditLogAction } from '@prisma/client';
 import { createClient } from "redis";
 import * as deepl from "deepl-node";
 import { sendMail } from '../utils/mailer.js';
+import { getUserLanguage, translate } from '../utils/i18n.js';
+import errorHandler from '../middlewares/errorHandler.js';
+import { OPENING_HOURS_INCLUDE, formatOpeningHours } from '../utils/openingHours.js';
 import pLimit from 'p-limit';
 
 
@@ -197,6 +200,9 @@ async function translateReviewFields(review, targetLang, sourceLang = null) {
     if (review.comment) {
         translatedReview.comment = await translateText(review.comment, targetLang, sourceLang);
     }
+    if (review.ownerReply) {
+        translatedReview.ownerReply = await translateText(review.ownerReply, targetLang, sourceLang);
+    }
     // if (review.status) {
     //     translatedReview.status = await translateText(review.status, targetLang, sourceLang);
     // }
@@ -263,10 +269,15 @@ async function translateListingFields(listing, targetLang, sourceLang = null) {
     // Translate array fields
     const arrayFields = ['agegroup', 'location', 'facilities', 'operatingHours'];
     for (const field of arrayFields) {
-        if (Array.isArray(listing[field]))
+        if (Array.isArray(listing[field]) && !(field === 'operatingHours' && listing.openingHours?.length > 0))
             translatedListing[field] = await translateArrayFields(listing[field], targetLang, sourceLang);
     }
 
+    // Structured hours are formatted in the target language instead of going through DeepL
+    if (Array.isArray(listing.openingHours) && listing.openingHours.length > 0) {
+        translatedListing.operatingHours = formatOpeningHours(listing.openingHours, targetLang === "AR" ? "ar" : "en");
+    }
+
     // Translate categories
     const categoryFields = ['selectedMainCategories', 'selectedSubCategories', 'selectedSpecificItems'];
     for (const field of categoryFields) {
@@ -328,7 +339,7 @@ const reviewService = {
         try {
             const { bookingId, rating, comment } = data;
 
-            const user = await prisma.user.findUnique({ where: { uid: userUid } });
+            const user = await prisma.user.findUnique({ where: { uid: userUid }, include: { preference: true } });
             if (!user) throw new Error('User not found');
 
             const booked = await prisma.booking.findUnique({
@@ -438,12 +449,13 @@ const reviewService = {
                     });
 
                     // Send email to user
-                    const userSubject = lang === 'ar' ? 'تم استلام تقييمك' : 'Review Received';
-                    const userMessage = lang === 'ar' ? 
+                    const mailLang = getUserLanguage(user, lang);
+                    const userSubject = mailLang === 'ar' ? 'تم استلام تقييمك' : 'Review Received';
+                    const userMessage = mailLang === 'ar' ? 
                         `مرحباً ${user.fname || 'العميل'},\n\nشكراً لك على تقييمك لـ: ${listing.name}. تقييمك الآن قيد المراجعة وسيتم نشره قريباً.` :
                         `Hello ${user.fname || 'Customer'},\n\nThank you for your review of: ${listing.name}. Your review is now pending approval and will be published soon.`;
                     
-                    await sendMail(user.email, userSubject, userMessage, lang, { 
+                    await sendMail(user.email, userSubject, userMessage, mailLang, { 
                         name: user.fname || 'Customer', 
                         listingName: listing.name 
                     });
@@ -507,6 +519,7 @@ const reviewService = {
                         const currentListing = await prisma.listing.findUnique({
                             where: { id: booked.listingId },
                             include: {
+                                ...OPENING_HOURS_INCLUDE,
                                 selectedMainCategories: true,
                                 selectedSubCategories: true,
                                 selectedSpecificItems: true,
@@ -767,7 +780,7 @@ const reviewService = {
             const currentReview = await prisma.review.findUnique({
                 where: { id: reviewId },
                 include: { 
-                    user: true, 
+                    user: { include: { preference: true } }, 
                     listing: { select: { name: true, id: true } } 
                 }
             });
@@ -844,10 +857,16 @@ const reviewService = {
                             }
                         });
 
-                        // Send email notification
-                        const emailSubject = 'Review Status Update';
-                        const emailMessage = `Hello ${currentReview.user.fname || 'Customer'},\n\n${statusMessage}\n\nThank you for your feedback.`;
-                        await sendMail(currentReview.user.email, emailSubject, emailMessage, 'en', {
+                        // Send email notification (status changes come from admins, use the reviewer's language)
+                        const mailLang = getUserLanguage(currentReview.user);
+                        const arStatusMessage = updateData.status === 'ACCEPTED' ?
+                            `تمت الموافقة على تقييمك لـ ${currentReview.listing.name} وهو منشور الآن.` :
+                            `تم تغيير حالة تقييمك لـ ${currentReview.listing.name} إلى ${updateData.status}.`;
+                        const emailSubject = mailLang === 'ar' ? 'تحديث حالة التقييم' : 'Review Status Update';
+                        const emailMessage = mailLang === 'ar' ?
+                            `مرحباً ${currentReview.user.fname || 'العميل'},\n\n${arStatusMessage}\n\nشكراً لك على ملاحظاتك.` :
+                            `Hello ${currentReview.user.fname || 'Customer'},\n\n${statusMessage}\n\nThank you for your feedback.`;
+                        await sendMail(currentReview.user.email, emailSubject, emailMessage, mailLang, {
                             name: currentReview.user.fname || 'Customer',
                             listingName: currentReview.listing.name,
                             status: updateData.status
@@ -898,6 +917,7 @@ const reviewService = {
                         const currentListing = await prisma.listing.findUnique({
                             where: { id: currentReview.listingId },
                             include: {
+                                ...OPENING_HOURS_INCLUDE,
                                 selectedMainCategories: true,
                                 selectedSubCategories: true,
                                 selectedSpecificItems: true,
@@ -1008,7 +1028,7 @@ const reviewService = {
             const reviewToDelete = await prisma.review.findUnique({ 
                 where: { id: reviewId }, 
                 include: { 
-                    user: true, 
+                    user: { include: { preference: true } }, 
                     listing: { select: { name: true, id: true } },
                     booking: true
                 } 
@@ -1037,15 +1057,18 @@ const reviewService = {
 
             setImmediate(async () => {
                 try {
+                    // An admin may be the one deleting, so use the reviewer's stored language
+                    const mailLang = getUserLanguage(reviewToDelete.user, lang);
+
                     // Send notification to user about review deletion
-                    const notificationMessage = lang === 'ar' ? 
+                    const notificationMessage = mailLang === 'ar' ? 
                         `تم حذف تقييمك لـ ${reviewToDelete.listing.name}.` :
                         `Your review for ${reviewToDelete.listing.name} has been deleted.`;
                     
                     await prisma.notification.create({
                         data: {
                             userId: reviewToDelete.user.id,
-                            title: lang === 'ar' ? 'تم حذف التقييم' : 'Review Deleted',
+                            title: mailLang === 'ar' ? 'تم حذف التقييم' : 'Review Deleted',
                             message: notificationMessage,
                             type: 'GENERAL',
                             entityId: reviewId.toString(),
@@ -1054,12 +1077,12 @@ const reviewService = {
                     });
 
                     // Send email notification
-                    const emailSubject = lang === 'ar' ? 'تم حذف التقييم' : 'Review Deleted';
-                    const emailMessage = lang === 'ar' ? 
+                    const emailSubject = mailLang === 'ar' ? 'تم حذف التقييم' : 'Review Deleted';
+                    const emailMessage = mailLang === 'ar' ? 
                         `مرحباً ${reviewToDelete.user.fname || 'العميل'},\n\nتم حذف تقييمك لـ: ${reviewToDelete.listing.name}.\n\nشكراً لك.` :
                         `Hello ${reviewToDelete.user.fname || 'Customer'},\n\nYour review for: ${reviewToDelete.listing.name} has been deleted.\n\nThank you.`;
                     
-                    await sendMail(reviewToDelete.user.email, emailSubject, emailMessage, lang, {
+                    await sendMail(reviewToDelete.user.email, emailSubject, emailMessage, mailLang, {
                         name: reviewToDelete.user.fname || 'Customer',
                         listingName: reviewToDelete.listing.name
                     });
@@ -1104,6 +1127,7 @@ const reviewService = {
                         const currentListing = await prisma.listing.findUnique({
                             where: { id: reviewToDelete.listingId },
                             include: {
+                                ...OPENING_HOURS_INCLUDE,
                                 selectedMainCategories: true,
                                 selectedSubCategories: true,
                                 selectedSpecificItems: true,
@@ -1204,6 +1228,73 @@ const reviewService = {
             console.error(`Failed to delete review ${id}: ${error.message}`);
             throw new Error(`Failed to delete review ${id}: ${error.message}`);
         }
+    },
+
+    // 7. Venue reply: the caller checks that the user owns the review's listing; an empty reply removes it
+    async replyToReview(id, reply, lang = 'en', reqDetails = {}) {
+        const reviewId = parseInt(id);
+        const currentReview = isNaN(reviewId) ? null : await prisma.review.findUnique({
+            where: { id: reviewId },
+            include: { user: { select: { id: true, uid: true } }, listing: { select: { id: true, name: true } } }
+        });
+        if (!currentReview) throw new errorHandler(translate('review_not_found', lang), 404);
+
+        const text = typeof reply === 'string' ? reply.trim() : '';
+        let ownerReply = text || null;
+        if (ownerReply && lang === 'ar' && deeplClient) ownerReply = await translateText(ownerReply, 'EN-US', 'AR');
+
+        const updatedReview = await prisma.review.update({
+            where: { id: reviewId },
+            data: { ownerReply, ownerRepliedAt: ownerReply ? new Date() : null },
+            include: {
+                user: { select: { uid: true, fname: true, lname: true } },
+                listing: { select: { name: true, id: true } }
+            }
+        });
+
+        setImmediate(async () => {
+            try {
+                if (ownerReply && !currentReview.ownerReply) {
+                    await prisma.notification.create({
+                        data: {
+                            userId: currentReview.user.id,
+                            title: 'Reply to Your Review',
+                            message: `${currentReview.listing?.name || 'The venue'} replied to your review.`,
+                            type: 'GENERAL',
+                            entityId: reviewId.toString(),
+                            entityType: 'Review'
+                        }
+                    });
+                }
+
+                if (redisClient.isReady) {
+                    const keysToDel = [
+                        cacheKeys.reviewAr(reviewId),
+                        cacheKeys.userReviewsAr(currentReview.user.uid),
+                        cacheKeys.listingReviewsAr(currentReview.listingId),
+                        cacheKeys.listingAr(currentReview.listingId)
+                    ];
+                    const allReviewsKeys = await redisClient.keys(cacheKeys.allReviewsAr('*'));
+                    if (allReviewsKeys.length) keysToDel.push(...allReviewsKeys);
+                    await redisClient.del(keysToDel);
+                }
+            } catch (bgError) {
+                console.error(`Background task error for review reply ${reviewId}:`, bgError);
+            }
+        });
+
+        recordAuditLog(AuditLogAction.GENERAL_UPDATE, {
+            userId: reqDetails.actorUserId,
+            entityName: 'Review',
+            entityId: reviewId.toString(),
+            oldValues: { ownerReply: currentReview.ownerReply },
+            newValues: { ownerReply: updatedReview.ownerReply },
+            description: `Venue ${ownerReply ? 'replied to' : 'removed its reply to'} review ${reviewId}.`,
+            ipAddress: reqDetails.ipAddress,
+            userAgent: reqDetails.userAgent,
+        });
+
+        return lang === 'ar' && deeplClient ? await translateReviewFields(updatedReview, 'AR', 'EN') : updatedReview;
     }
 };
 
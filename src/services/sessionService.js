@@ -0,0 +1,99 @@
+import prisma from "../utils/prismaClient.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import { generateRefreshToken } from "../middlewares/jwt.js";
+import { translate } from "../utils/i18n.js";
+import crypto from "crypto";
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashRefreshToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Fields safe to hand back to the client when listing sessions
+const sessionSelect = {
+  id: true,
+  deviceName: true,
+  userAgent: true,
+  ipAddress: true,
+  lastUsedAt: true,
+  expiresAt: true,
+  createdAt: true,
+};
+
+const sessionService = {
+  // Called on login. Returns the new session and the raw refresh token (shown to the client once).
+  async createSession(userId, details = {}) {
+    const refreshToken = generateRefreshToken();
+    const session = await prisma.userSession.create({
+      data: {
+        userId,
+        refreshTokenHash: hashRefreshToken(refreshToken),
+        deviceName: details.deviceName || null,
+        userAgent: details.userAgent || null,
+        ipAddress: details.ipAddress || null,
+        expiresAt: refreshExpiry(),
+      },
+    });
+    return { session, refreshToken };
+  },
+
+  // Exchanges a refresh token for a new one on the same session (rotation).
+  // The old token stops working as soon as the new one is issued.
+  async rotateRefreshToken(refreshToken, details = {}, lang = "en") {
+    if (!refreshToken) throw new errorHandler(translate("error_refresh_token_required", lang), 400);
+
+    const session = await prisma.userSession.findUnique({
+      where: { refreshTokenHash: hashRefreshToken(refreshToken) },
+      include: { user: true },
+    });
+    if (!session || session.revokedAt) throw new errorHandler(translate("unauthorized_invalid_token", lang), 401);
+    if (session.expiresAt <= new Date()) throw new errorHandler(translate("unauthorized_token_expired", lang), 401);
+
+    const newRefreshToken = generateRefreshToken();
+    const updated = await prisma.userSession.updateMany({
+      // Matching on the old hash makes concurrent refreshes with the same token fail instead of forking the session
+      where: { id: session.id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+      data: {
+        refreshTokenHash: hashRefreshToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ipAddress: details.ipAddress || session.ipAddress,
+        userAgent: details.userAgent || session.userAgent,
+      },
+    });
+    if (updated.count === 0) throw new errorHandler(translate("unauthorized_invalid_token", lang), 401);
+
+    return { session, user: session.user, refreshToken: newRefreshToken };
+  },
+
+  async getActiveSessions(userId) {
+    return prisma.userSession.findMany({
+      where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: sessionSelect,
+      orderBy: { lastUsedAt: "desc" },
+    });
+  },
+
+  // Revokes one of the user's sessions. Returns null if it is not theirs or already revoked.
+  async revokeSession(sessionId, userId) {
+    const id = parseInt(sessionId, 10);
+    if (isNaN(id)) return null;
+    const result = await prisma.userSession.updateMany({
+      where: { id, userId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    if (result.count === 0) return null;
+    return prisma.userSession.findUnique({ where: { id }, select: sessionSelect });
+  },
+
+  // Used on password reset and "log out everywhere"; keeps exceptSessionId alive when given.
+  async revokeAllSessions(userId, exceptSessionId = null) {
+    const result = await prisma.userSession.updateMany({
+      where: { userId, revokedAt: null, ...(exceptSessionId ? { NOT: { id: exceptSessionId } } : {}) },
+      data: { revokedAt: new Date() },
+    });
+    return result.count;
+  },
+};
+
+export default sessionService;
@@ -0,0 +1,183 @@
+import prisma from "../utils/prismaClient.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import { recordAuditLog } from "../utils/auditLogHandler.js";
+import { AuditLogAction, UserRole } from "@prisma/client";
+import { translate } from "../utils/i18n.js";
+import { generateSecret, verifyCode, buildOtpauthUri } from "../utils/totp.js";
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+
+const BACKUP_CODE_COUNT = 10;
+const POLICY_KEY = "twoFactorPolicy";
+const POLICY_CACHE_MS = 60 * 1000;
+
+// Secrets are encrypted at rest; the key falls back to the JWT secret so no extra setup is needed
+const encryptionKey = crypto
+  .createHash("sha256")
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.SECRET_CODE || "")
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString("base64")).join(".");
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(".").map(part => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+const hashBackupCode = (code) => crypto.createHash("sha256").update(code.replace(/-/g, "").toLowerCase()).digest("hex");
+
+// Codes look like "a1b2c-3d4e5" so they are easy to type from a printout
+const generateBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString("hex");
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+let cachedPolicy = null;
+let cachedPolicyAt = 0;
+
+const twoFactorService = {
+  // Starts (or restarts) enrollment. 2FA stays off until enable() confirms a first code.
+  async setup(user, lang = "en") {
+    if (user.twoFactorEnabledAt) throw new errorHandler(translate("error_two_factor_already_enabled", lang), 400);
+
+    const secret = generateSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: encryptSecret(secret), twoFactorBackupCodes: [], twoFactorLastStep: null },
+    });
+
+    return { secret, otpauthUri: buildOtpauthUri(secret, user.email) };
+  },
+
+  // Confirms enrollment with a code from the app and hands out the backup codes (shown once).
+  async enable(userId, code, lang = "en", reqDetails = {}) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user?.twoFactorSecret) throw new errorHandler(translate("error_two_factor_not_set_up", lang), 400);
+    if (user.twoFactorEnabledAt) throw new errorHandler(translate("error_two_factor_already_enabled", lang), 400);
+
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+    if (step === null) throw new errorHandler(translate("error_two_factor_invalid_code", lang), 400);
+
+    const backupCodes = generateBackupCodes();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabledAt: new Date(),
+        twoFactorBackupCodes: backupCodes.map(hashBackupCode),
+        twoFactorLastStep: step,
+      },
+    });
+
+    recordAuditLog(AuditLogAction.TWO_FACTOR_ENABLED, {
+      userId: user.id,
+      entityName: "User",
+      entityId: user.id,
+      description: `Two-factor authentication enabled for ${user.email}.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+
+    return { backupCodes };
+  },
+
+  // Turning 2FA off needs the password plus a current code or a backup code.
+  async disable(userId, { password, code }, lang = "en", reqDetails = {}) {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user?.twoFactorEnabledAt) throw new errorHandler(translate("error_two_factor_not_enabled", lang), 400);
+    if (!password || !(await bcrypt.compare(password, user.password || ""))) {
+      throw new errorHandler(translate("login_failed_invalid_credentials", lang), 401);
+    }
+    if (!(await this.verifyLoginCode(user, code))) {
+      throw new errorHandler(translate("error_two_factor_invalid_code", lang), 400);
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorBackupCodes: [], twoFactorLastStep: null },
+    });
+
+    recordAuditLog(AuditLogAction.TWO_FACTOR_DISABLED, {
+      userId: reqDetails.actorUserId || user.id,
+      entityName: "User",
+      entityId: user.id,
+      description: `Two-factor authentication disabled for ${user.email}.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+  },
+
+  // Accepts either a TOTP code or an unused backup code (which is then consumed).
+  async verifyLoginCode(user, code) {
+    if (!user.twoFactorSecret || !code) return false;
+
+    const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+    if (step !== null) {
+      // Conditional update: a code (or an older one) that was already used cannot be replayed
+      const result = await prisma.user.updateMany({
+        where: { id: user.id, OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }] },
+        data: { twoFactorLastStep: step },
+      });
+      return result.count === 1;
+    }
+
+    const hashed = hashBackupCode(String(code));
+    if (!user.twoFactorBackupCodes.includes(hashed)) return false;
+    // Removed in one statement, only while still stored: of two logins racing with the same code one wins
+    const removed = await prisma.$executeRaw`
+      UPDATE "User" SET "two_factor_backup_codes" = array_remove("two_factor_backup_codes", ${hashed}), "updated_at" = CURRENT_TIMESTAMP
+      WHERE "id" = ${user.id} AND ${hashed} = ANY("two_factor_backup_codes")`;
+    return removed === 1;
+  },
+
+  // --- Admin policy: which roles must have 2FA before they may use their privileges ---
+  async getPolicy() {
+    if (cachedPolicy && Date.now() - cachedPolicyAt < POLICY_CACHE_MS) return cachedPolicy;
+    const setting = await prisma.appSetting.findUnique({ where: { key: POLICY_KEY } });
+    cachedPolicy = { requiredRoles: setting?.value?.requiredRoles || [] };
+    cachedPolicyAt = Date.now();
+    return cachedPolicy;
+  },
+
+  async setPolicy(requiredRoles, lang = "en", reqDetails = {}) {
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !Object.values(UserRole).includes(role))) {
+      throw new errorHandler(translate("error_invalid_role", lang), 400);
+    }
+
+    const previous = await this.getPolicy();
+    const value = { requiredRoles: [...new Set(requiredRoles)] };
+    await prisma.appSetting.upsert({
+      where: { key: POLICY_KEY },
+      update: { value },
+      create: { key: POLICY_KEY, value },
+    });
+    cachedPolicy = value;
+    cachedPolicyAt = Date.now();
+
+    recordAuditLog(AuditLogAction.ADMIN_ACTION, {
+      userId: reqDetails.actorUserId,
+      entityName: "AppSetting",
+      entityId: POLICY_KEY,
+      oldValues: previous,
+      newValues: value,
+      description: `Two-factor policy now required for: ${value.requiredRoles.join(", ") || "no roles"}.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+
+    return value;
+  },
+
+  async isRequiredForRole(role) {
+    const policy = await this.getPolicy();
+    return policy.requiredRoles.includes(role);
+  },
+};
+
+export default twoFactorService;
@@ -1,15 +1,19 @@
 import prisma from "../utils/prismaClient.js";
-import { sendMail } from "../utils/mailer.js";
+import { sendMail, sendBilingualMail } from "../utils/mailer.js";
 import { createNotification } from "../utils/notificationHandler.js"; // Assumes this saves EN to DB
 import { recordAuditLog } from "../utils/auditLogHandler.js";
-import { NotificationType, AuditLogAction } from "@prisma/client";
-import { translate } from "../utils/i18n.js"; // For general i18n messages
+import { NotificationType, AuditLogAction, UserRole, Gender, Prisma } from "@prisma/client";
+import { translate, getUserLanguage } from "../utils/i18n.js"; // For general i18n messages
 import errorHandler from "../middlewares/errorHandler.js";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 import { v4 as uuidv4 } from "uuid";
 import * as deepl from "deepl-node";
 import { createClient } from "redis";
 import pLimit from "p-limit";
+import cron from "node-cron";
+import sessionService from "./sessionService.js";
+import dataExportService from "./dataExportService.js";
 
 // --- DeepL Configuration ---
 const DEEPL_AUTH_KEY = process.env.DEEPL_AUTH_KEY;
@@ -31,6 +35,18 @@ const deeplClient = getActiveDeepLClient();
 
 
 const SALT_ROUNDS = 10;
+const PASSWORD_RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10) || 30;
+const PASSWORD_RESET_MAX_REQUESTS = parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS, 10) || 3; // per email, per window
+const PASSWORD_RESET_RATE_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+const CLIENT_BASE_URL = process.env.CLIENT_BASE_URL || process.env.APP_BASE_URL || "http://localhost:3000";
+const API_BASE_URL = process.env.APP_BASE_URL || "http://localhost:3000";
+const EMAIL_VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS, 10) || 24;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000; // at most one resend per minute
+const EMAIL_VERIFICATION_MAX_PER_HOUR = 5;
+const SUPPORTED_LANGUAGES = ["en", "ar"];
+const dependantSelect = { id: true, name: true, birthDate: true, gender: true, createdAt: true, updatedAt: true };
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
 const REDIS_URL = process.env.REDIS_URL;
 const AR_CACHE_EXPIRATION = 365 * 24 * 60 * 60; // 365 days in seconds
 const AR_NOTIFICATION_CACHE_EXPIRATION = 365 * 24 * 60 * 60; // 365 days in seconds
@@ -260,12 +276,82 @@ async function translateBookingFields(booking, targetLang, sourceLang = null) {
     return translatedBooking;
 }
 
+// Emailed tokens (password reset, email verification) are stored hashed so a database leak does not hand out live tokens
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Creates a verification token for the user's current email and mails the confirmation link.
+// The link carries the language so the confirmation response and welcome mail match it.
+async function issueEmailVerification(user, lang = "en") {
+    const rawToken = crypto.randomBytes(32).toString("hex");
+    const now = new Date();
+
+    // Only the newest link stays valid
+    await prisma.emailVerificationToken.updateMany({
+        where: { userId: user.id, usedAt: null, expiresAt: { gt: now } },
+        data: { expiresAt: now },
+    });
+    await prisma.emailVerificationToken.create({
+        data: {
+            userId: user.id,
+            email: user.email,
+            tokenHash: hashToken(rawToken),
+            expiresAt: new Date(now.getTime() + EMAIL_VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000),
+        },
+    });
+
+    const verifyLink = `${API_BASE_URL}/api/users/verify-email?token=${rawToken}&lang=${lang}`;
+    sendMail(user.email, "email_subject_verify_email", "email_body_verify_email", lang, {
+        name: user.fname || user.email,
+        verifyLink,
+        hours: EMAIL_VERIFICATION_TOKEN_TTL_HOURS,
+    });
+}
+
 // Helper to create user object for cache (without password), with specific names
 const createUserObjectWithNames = (userFromDb, fname, lname) => {
     const { password, ...userBase } = userFromDb; // userFromDb has DB structure (ID, UID etc.)
     return { ...userBase, fname, lname };
 };
 
+// --- Admin user directory helpers ---
+const USER_DIRECTORY_MAX_LIMIT = 100;
+const REWARD_TIERS = ["BRONZE", "SILVER", "GOLD", "PLATINUM"]; // Same order as the reward_category enum, so MAX() gives the highest tier
+const USER_SORT_COLUMNS = {
+  createdAt: Prisma.sql`u.created_at`,
+  name: Prisma.sql`LOWER(CONCAT_WS(' ', u.fname, u.lname))`,
+  email: Prisma.sql`LOWER(u.email)`,
+  totalRewardPoints: Prisma.sql`s.total_points`,
+  bookingCount: Prisma.sql`s.booking_count`,
+};
+
+const parseDateFilter = (value, name, lang) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new errorHandler(translate("error_invalid_filter", lang, { filter: name }), 400);
+  return date;
+};
+
+const parseIntFilter = (value, name, lang) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = parseInt(value, 10);
+  if (isNaN(number) || number < 0) throw new errorHandler(translate("error_invalid_filter", lang, { filter: name }), 400);
+  return number;
+};
+
+// Opaque cursor carrying the sort value and id of the last row of a page
+const encodeUserCursor = (sortBy, value, id) =>
+  Buffer.from(JSON.stringify({ s: sortBy, v: value instanceof Date ? value.toISOString() : value, id })).toString("base64url");
+
+const decodeUserCursor = (cursor, sortBy, lang) => {
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (s !== sortBy || !Number.isInteger(id)) throw new Error("cursor does not match the sort");
+    return { value: sortBy === "createdAt" ? new Date(v) : v, id };
+  } catch {
+    throw new errorHandler(translate("error_invalid_filter", lang, { filter: "cursor" }), 400);
+  }
+};
+
 // Helper to cache AR version of a notification
 async function cacheArNotification(arNotificationObject) {
     if (!redisClient.isReady || !arNotificationObject || !arNotificationObject.id || !arNotificationObject.userId) {
@@ -319,7 +405,8 @@ const userService = {
 
     // DB stores English names
     const newUserInDb = await prisma.user.create({
-      data: { fname: fnEnglish, lname: lnEnglish, email, uid: userUid, password: hashedPassword, createdAt: new Date(), updatedAt: new Date()
+      data: { fname: fnEnglish, lname: lnEnglish, email, uid: userUid, password: hashedPassword, createdAt: new Date(), updatedAt: new Date(),
+        preference: { create: { language: lang } } // Registration language until the user changes it
       },
     });
 
@@ -331,6 +418,8 @@ const userService = {
         fname: true,
         lname: true,
         uid: true,
+        role: true,
+        verifiedAt: true,
         createdAt: true,
         updatedAt: true,
         rewards: {
@@ -408,12 +497,10 @@ const userService = {
     } catch (e) { console.error(`Notification processing error (createUser ${newUserInDb.id}): ${e.message}`); }
 
     // --- Ancillary actions (email, audit log) ---
+    // The welcome mail goes out once the address is confirmed (see verifyEmail)
     try {
-      sendMail(newUserInDb.email, translate("email_subject_welcome", lang),
-        translate("email_body_welcome", lang, { name: originalFname || newUserInDb.email }), // Use original name for salutation if AR
-        lang, { name: originalFname || newUserInDb.email }
-      );
-    } catch (e) { console.error(`Email send error (createUser ${newUserInDb.id}): ${e.message}`); }
+      await issueEmailVerification({ ...newUserInDb, fname: originalFname || newUserInDb.fname }, lang); // Use original name for salutation if AR
+    } catch (e) { console.error(`Email verification error (createUser ${newUserInDb.id}): ${e.message}`); }
     
     try {
       // --- Corrected Audit Log Details ---
@@ -445,199 +532,143 @@ const userService = {
   },
 
   // ... rest of the userService methods (getAllUsers, getUserById, etc.)
-  async getAllUsers(lang = "en") {
-    const allUsers = await prisma.user.findMany({
-      select: {
-        id: true,
-        email: true,
-        fname: true,
-        lname: true,
-        uid: true,
-        createdAt: true,
-        updatedAt: true,
-        rewards: {
-          select: {
-            points: true,
-            category: true,
-          },
-        },
-      },
-    });
+  /**
+   * Admin user directory. All filtering, counting and reward aggregation happens in SQL.
+   *
+   * filters: search, tier (one or more of BRONZE/SILVER/GOLD/PLATINUM, comma separated),
+   *          registeredFrom, registeredTo, minBookings, maxBookings,
+   *          sortBy (createdAt|name|email|totalRewardPoints|bookingCount), sortOrder (asc|desc),
+   *          page + limit, or cursor (nextCursor of the previous page) + limit.
+   */
+  async getAllUsers(filters = {}, lang = "en") {
+    const sortBy = USER_SORT_COLUMNS[filters.sortBy] ? filters.sortBy : "createdAt";
+    const sortOrder = filters.sortOrder === "asc" ? "asc" : "desc";
+    const limitNum = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), USER_DIRECTORY_MAX_LIMIT);
+    const pageNum = Math.max(parseInt(filters.page, 10) || 1, 1);
+
+    const conditions = [Prisma.sql`u.deleted_at IS NULL`];
+    if (filters.search && String(filters.search).trim()) {
+      const term = `%${String(filters.search).trim().replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+      conditions.push(Prisma.sql`(u.fname ILIKE ${term} OR u.lname ILIKE ${term} OR u.email ILIKE ${term}
+        OR CONCAT_WS(' ', u.fname, u.lname) ILIKE ${term})`);
+    }
+    if (filters.tier) {
+      const tiers = String(filters.tier).split(",").map(t => t.trim().toUpperCase());
+      if (tiers.some(t => !REWARD_TIERS.includes(t))) throw new errorHandler(translate("error_invalid_filter", lang, { filter: "tier" }), 400);
+      conditions.push(Prisma.sql`s.tier IN (${Prisma.join(tiers)})`);
+    }
+    const registeredFrom = parseDateFilter(filters.registeredFrom, "registeredFrom", lang);
+    const registeredTo = parseDateFilter(filters.registeredTo, "registeredTo", lang);
+    if (registeredFrom) conditions.push(Prisma.sql`u.created_at >= ${registeredFrom}`);
+    if (registeredTo) conditions.push(Prisma.sql`u.created_at <= ${registeredTo}`);
+    const minBookings = parseIntFilter(filters.minBookings, "minBookings", lang);
+    const maxBookings = parseIntFilter(filters.maxBookings, "maxBookings", lang);
+    if (minBookings !== null) conditions.push(Prisma.sql`s.booking_count >= ${minBookings}`);
+    if (maxBookings !== null) conditions.push(Prisma.sql`s.booking_count <= ${maxBookings}`);
+
+    const sortColumn = USER_SORT_COLUMNS[sortBy];
+    const direction = sortOrder === "asc" ? Prisma.sql`ASC` : Prisma.sql`DESC`;
+
+    // Keyset pagination: rows strictly after (sort value, id) of the last row of the previous page
+    const pageConditions = [...conditions];
+    const cursor = filters.cursor ? decodeUserCursor(filters.cursor, sortBy, lang) : null;
+    if (cursor) {
+      pageConditions.push(sortOrder === "asc"
+        ? Prisma.sql`(${sortColumn}, u.id) > (${cursor.value}, ${cursor.id})`
+        : Prisma.sql`(${sortColumn}, u.id) < (${cursor.value}, ${cursor.id})`);
+    }
 
-    // Calculate total reward points and highest category for each user
-    const usersWithRewards = allUsers.map(user => {
-      const totalRewardPoints = user.rewards.reduce((sum, reward) => sum + (reward.points || 0), 0);
-      const categories = user.rewards.map(reward => reward.category).filter(Boolean);
-      const categoryHierarchy = { BRONZE: 1, SILVER: 2, GOLD: 3, PLATINUM: 4 };
-      const highestCategory = categories.length > 0 
-        ? categories.reduce((highest, current) => 
-            categoryHierarchy[current] > categoryHierarchy[highest] ? current : highest
-          ) 
-        : 'BRONZE';
-      
-      const { rewards, ...userWithoutRewards } = user;
-      return { ...userWithoutRewards, totalRewardPoints, highestRewardCategory: highestCategory };
-    });
+    const fromClause = Prisma.sql`
+      FROM "User" u
+      JOIN LATERAL (
+        SELECT
+          COALESCE((SELECT SUM(r.points) FROM "Reward" r WHERE r.user_id = u.id), 0)::int AS total_points,
+          COALESCE((SELECT MAX(r.category) FROM "Reward" r WHERE r.user_id = u.id), 'BRONZE')::text AS tier,
+          (SELECT COUNT(*) FROM "Booking" b WHERE b.user_id = u.id)::int AS booking_count
+      ) s ON TRUE`;
+
+    const [rows, countResult] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT u.id, u.email, u.fname, u.lname, u.user_id AS uid, u.role::text AS role,
+               u.verified_at AS "verifiedAt", u.created_at AS "createdAt", u.updated_at AS "updatedAt",
+               s.total_points AS "totalRewardPoints", s.tier AS "highestRewardCategory", s.booking_count AS "bookingCount",
+               ${sortColumn} AS sort_value
+        ${fromClause}
+        WHERE ${Prisma.join(pageConditions, " AND ")}
+        ORDER BY ${sortColumn} ${direction}, u.id ${direction}
+        LIMIT ${limitNum}
+        OFFSET ${cursor ? 0 : (pageNum - 1) * limitNum}`,
+      prisma.$queryRaw`SELECT COUNT(*)::int AS total ${fromClause} WHERE ${Prisma.join(conditions, " AND ")}`,
+    ]);
+
+    const total = countResult[0]?.total || 0;
+    const lastRow = rows[rows.length - 1];
+    const nextCursor = rows.length === limitNum ? encodeUserCursor(sortBy, lastRow.sort_value, lastRow.id) : null;
+    const users = rows.map(({ sort_value, ...user }) => user);
+
+    const pagination = {
+      total,
+      page: cursor ? null : pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+      nextCursor,
+    };
 
-    // If the request is for AR, get from individual AR caches first
-    if (lang === "ar") {
-      if (redisClient.isReady) {
-        try {
-          console.log(`Redis: AR Cache - Fetching all users from individual AR caches...`);
-          
-          // Get cached users from individual AR caches
-          const cachedUsers = [];
-          const missingUserIds = [];
-          
-          for (const user of usersWithRewards) {
-            try {
-              const cachedUser = await redisClient.get(cacheKeys.userAr(user.id));
-              if (cachedUser) {
-                const parsedCachedUser = JSON.parse(cachedUser);
-                
-                // Validate cache against current reward data
-                if (parsedCachedUser.totalRewardPoints === user.totalRewardPoints) {
-                  cachedUsers.push(parsedCachedUser);
-                } else {
-                  console.log(`Redis: AR Cache - Cache invalidated for user ${user.id} due to reward points mismatch, marking for translation.`);
-                  missingUserIds.push(user.id);
-                }
-              } else {
-                missingUserIds.push(user.id);
-              }
-            } catch (cacheError) {
-              console.error(`Redis: AR Cache - Error fetching user ${user.id} from cache:`, cacheError.message);
-              missingUserIds.push(user.id);
-            }
-          }
-          
-          console.log(`Redis: AR Cache - Found ${cachedUsers.length} cached users, ${missingUserIds.length} missing users need translation.`);
-          
-          // Translate missing users
-          const translatedMissingUsers = [];
-          if (missingUserIds.length > 0) {
-            for (const userId of missingUserIds) {
-              const user = usersWithRewards.find(u => u.id === userId);
-              if (user) {
-                try {
-                  console.log(`Translating missing user ${userId} for AR cache...`);
-                  
-                  const arFname = user.fname ? await translateText(user.fname, "ar", "en") : '';
-                  const arLname = user.lname ? await translateText(user.lname, "ar", "en") : '';
-                  
-                  // Translate reward category to Arabic
-                  let arRewardCategory = user.highestRewardCategory;
-                  try {
-                    if (user.highestRewardCategory) {
-                      arRewardCategory = await translateText(user.highestRewardCategory, "ar", "en");
-                    }
-                  } catch (translateError) {
-                    console.error(`DeepL: Error translating reward category ${user.highestRewardCategory} for user ${user.id}:`, translateError.message);
-                  }
-                  
-                  const userForArCache = { 
-                    ...createUserObjectWithNames(user, arFname, arLname),
-                    totalRewardPoints: user.totalRewardPoints,
-                    highestRewardCategory: arRewardCategory
-                  };
-                  
-                  // Cache the translated user
-                  await redisClient.setEx(cacheKeys.userAr(user.id), AR_CACHE_EXPIRATION, JSON.stringify(userForArCache));
-                  await redisClient.setEx(cacheKeys.userByUidAr(user.uid), AR_CACHE_EXPIRATION, JSON.stringify(userForArCache));
-                  
-                  translatedMissingUsers.push(userForArCache);
-                  console.log(`Redis: AR Cache - Translated and cached user ${userId} with AR names.`);
-                  
-                  // Add a small delay between translations to respect rate limits
-                  await new Promise(resolve => setTimeout(resolve, 100));
-                } catch (translateError) {
-                  console.error(`DeepL: Error translating user ${userId}:`, translateError.message);
-                  // Fallback: use original English names if translation fails
-                  const userForArCache = { 
-                    ...createUserObjectWithNames(user, user.fname, user.lname),
-                    totalRewardPoints: user.totalRewardPoints,
-                    highestRewardCategory: user.highestRewardCategory
-                  };
-                  translatedMissingUsers.push(userForArCache);
-                }
-              }
-            }
+    if (lang !== "ar") return { users, pagination };
+
+    // AR: names and tier come from the per-user AR cache, translated and cached on a miss
+    const arUsers = [];
+    for (const user of users) {
+      arUsers.push(await this.getUserAr(user));
+    }
+    return { users: arUsers, pagination };
+  },
+
+  // AR version of a directory row, from cacheKeys.userAr when it is still current
+  async getUserAr(user) {
+    if (redisClient.isReady) {
+      try {
+        const cachedUser = await redisClient.get(cacheKeys.userAr(user.id));
+        if (cachedUser) {
+          const parsedCachedUser = JSON.parse(cachedUser);
+          // Reward points change without the cache being cleared, re-translate when they differ
+          if (parsedCachedUser.totalRewardPoints === user.totalRewardPoints) {
+            return { ...parsedCachedUser, bookingCount: user.bookingCount };
           }
-          
-          // Combine cached and translated users
-          const allArUsers = [...cachedUsers, ...translatedMissingUsers];
-          
-          // Sort by id to maintain consistent order
-          allArUsers.sort((a, b) => a.id - b.id);
-          
-          // Cache the complete list
-          await redisClient.setEx(cacheKeys.allUsersAr(), AR_CACHE_EXPIRATION, JSON.stringify(allArUsers));
-          console.log(`Redis: AR Cache - Combined and cached complete AR users list (${allArUsers.length} users).`);
-          
-          return allArUsers;
-        } catch (cacheError) {
-          console.error("Redis: AR Cache - Error in getAllUsers AR cache processing ->", cacheError.message);
-          // Fallback to original translation logic
         }
+      } catch (cacheError) {
+        console.error(`Redis: AR Cache - Error fetching user ${user.id} from cache:`, cacheError.message);
       }
-      
-      // Fallback: original translation logic if cache processing fails
-      console.log(`Redis: AR Cache - Fallback to full translation for all users...`);
-      
-      const translatedUsers = [];
-      for (const user of usersWithRewards) {
-        try {
-          const arFname = user.fname ? await translateText(user.fname, "ar", "en") : '';
-          const arLname = user.lname ? await translateText(user.lname, "ar", "en") : '';
-          
-          // Translate reward category to Arabic
-          let arRewardCategory = user.highestRewardCategory;
-          try {
-            if (user.highestRewardCategory) {
-              arRewardCategory = await translateText(user.highestRewardCategory, "ar", "en");
-            }
-          } catch (translateError) {
-            console.error(`DeepL: Error translating reward category ${user.highestRewardCategory} for user ${user.id}:`, translateError.message);
-          }
-          
-          const userForArCache = { 
-            ...createUserObjectWithNames(user, arFname, arLname),
-            totalRewardPoints: user.totalRewardPoints,
-            highestRewardCategory: arRewardCategory
-          };
-          
-          // Cache each user individually
-          if (redisClient.isReady) {
-            await redisClient.setEx(cacheKeys.userAr(user.id), AR_CACHE_EXPIRATION, JSON.stringify(userForArCache));
-            await redisClient.setEx(cacheKeys.userByUidAr(user.uid), AR_CACHE_EXPIRATION, JSON.stringify(userForArCache));
-          }
-          
-          translatedUsers.push(userForArCache);
-          
-          // Add a small delay between translations to respect rate limits
-          await new Promise(resolve => setTimeout(resolve, 100));
-        } catch (translateError) {
-          console.error(`DeepL: Error translating user ${user.id}:`, translateError.message);
-          // Fallback: use original English names if translation fails
-          const userForArCache = { 
-            ...createUserObjectWithNames(user, user.fname, user.lname),
-            totalRewardPoints: user.totalRewardPoints,
-            highestRewardCategory: user.highestRewardCategory
-          };
-          translatedUsers.push(userForArCache);
+    }
+
+    try {
+      const arFname = user.fname ? await translateText(user.fname, "ar", "en") : '';
+      const arLname = user.lname ? await translateText(user.lname, "ar", "en") : '';
+      let arRewardCategory = user.highestRewardCategory;
+      try {
+        if (user.highestRewardCategory) {
+          arRewardCategory = await translateText(user.highestRewardCategory, "ar", "en");
         }
+      } catch (translateError) {
+        console.error(`DeepL: Error translating reward category ${user.highestRewardCategory} for user ${user.id}:`, translateError.message);
       }
 
-      // Cache the entire list
+      const { bookingCount, ...userForCache } = user;
+      const userForArCache = {
+        ...createUserObjectWithNames(userForCache, arFname, arLname),
+        totalRewardPoints: user.totalRewardPoints,
+        highestRewardCategory: arRewardCategory
+      };
+
       if (redisClient.isReady) {
-        await redisClient.setEx(cacheKeys.allUsersAr(), AR_CACHE_EXPIRATION, JSON.stringify(translatedUsers));
-        console.log(`Redis: AR Cache - Cached all users list with AR names and reward categories.`);
+        await redisClient.setEx(cacheKeys.userAr(user.id), AR_CACHE_EXPIRATION, JSON.stringify(userForArCache));
+        await redisClient.setEx(cacheKeys.userByUidAr(user.uid), AR_CACHE_EXPIRATION, JSON.stringify(userForArCache));
       }
-      
-      return translatedUsers;
+      return { ...userForArCache, bookingCount };
+    } catch (translateError) {
+      console.error(`DeepL: Error translating user ${user.id}:`, translateError.message);
+      return { ...createUserObjectWithNames(user, user.fname, user.lname), totalRewardPoints: user.totalRewardPoints, highestRewardCategory: user.highestRewardCategory, bookingCount: user.bookingCount };
     }
-
-    return usersWithRewards;
   },
 
   // ... getUserById, getUserByUid, etc.
@@ -670,6 +701,7 @@ const userService = {
         fname: true,
         lname: true,
         uid: true,
+        role: true,
         createdAt: true,
         updatedAt: true,
         rewards: {
@@ -739,6 +771,7 @@ async getUserByUid(uid, lang = "en") {
       fname: true,
       lname: true,
       uid: true,
+      role: true,
       createdAt: true,
       updatedAt: true,
       rewards: {
@@ -881,6 +914,8 @@ async getUserByUid(uid, lang = "en") {
       }
     }
     if (dbData.password) dbData.password = await bcrypt.hash(dbData.password, SALT_ROUNDS);
+    const emailChanged = updateData.email !== undefined && updateData.email !== userBeingUpdated.email;
+    if (emailChanged) dbData.verifiedAt = null; // The new address has to be confirmed again
 
     const updatedUserInDb = await prisma.user.update({
       where: { id: userId }, 
@@ -891,6 +926,7 @@ async getUserByUid(uid, lang = "en") {
         fname: true,
         lname: true,
         uid: true,
+        role: true,
         createdAt: true,
         updatedAt: true,
         rewards: {
@@ -1061,13 +1097,14 @@ async getUserByUid(uid, lang = "en") {
         }
 
         // --- Send email if email changed ---
-        if (updateData.email && updateData.email !== userBeingUpdated.email) {
+        if (emailChanged) {
           sendMail(updatedUserInDb.email, 
             translate("email_subject_profile_updated", lang),
             translate("email_body_profile_updated_email_changed", lang, { name: (lang === 'ar' ? originalArFnameInput : updatedUserInDb.fname) || updatedUserInDb.email }),
             lang, 
             { name: (lang === 'ar' ? originalArFnameInput : updatedUserInDb.fname) || updatedUserInDb.email }
           );
+          await issueEmailVerification(updatedUserInDb, lang);
         }
       } catch (bgError) {
         console.error(`Background task error for user update ${userId}:`, bgError);
@@ -1130,10 +1167,12 @@ async getUserByUid(uid, lang = "en") {
         fname: true,
         lname: true,
         uid: true,
+        deletedAt: true,
+        preference: { select: { language: true } },
       }
     });
 
-    if (!userToDelete) {
+    if (!userToDelete || userToDelete.deletedAt) {
       return null;
     }
 
@@ -1175,10 +1214,14 @@ async getUserByUid(uid, lang = "en") {
       console.error(`DB: Error fetching user data for cache cleanup for user ${userIdToDelete}:`, dbError.message);
     }
 
-    // --- Perform the deletion from Database ---
-    const deletedUserFromDB = await prisma.user.delete({
+    // --- Soft delete: bookings and reviews stay, the account is anonymized once the grace period ends ---
+    const deletedAt = new Date();
+    const restoreBefore = new Date(deletedAt.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    const deletedUserFromDB = await prisma.user.update({
       where: { id: userIdToDelete },
+      data: { deletedAt },
     });
+    await sessionService.revokeAllSessions(userIdToDelete);
 
     setImmediate(async () => {
       try {
@@ -1288,9 +1331,10 @@ async getUserByUid(uid, lang = "en") {
         const nameForEmail = userToDelete.fname || userToDelete.email;
         await sendMail(
           userToDelete.email,
-          translate("email_subject_account_deleted", lang),
-          translate("email_body_account_deleted", lang, { name: nameForEmail }),
-          lang
+          "email_subject_account_deleted",
+          "email_body_account_deletion_scheduled",
+          getUserLanguage(userToDelete, lang),
+          { name: nameForEmail, restoreBefore: restoreBefore.toUTCString() }
         );
         console.log(`Email sent to ${userToDelete.email} for account deletion.`);
       } catch (bgError) {
@@ -1310,7 +1354,7 @@ async getUserByUid(uid, lang = "en") {
         entityName: "User",
         entityId: userToDelete.id.toString(),
         oldValues: oldValuesForAudit,
-        description: `User ${userToDelete.email} (ID: ${userToDelete.id}) deleted.`,
+        description: `User ${userToDelete.email} (ID: ${userToDelete.id}) deleted, restorable until ${restoreBefore.toISOString()}.`,
         ipAddress: reqDetails.ipAddress,
         userAgent: reqDetails.userAgent,
       });
@@ -1319,7 +1363,367 @@ async getUserByUid(uid, lang = "en") {
     }
 
     const { password: _, ...userToReturn } = deletedUserFromDB;
-    return userToReturn;
+    return { ...userToReturn, restoreBefore };
+  },
+
+  // Undoes a soft delete during the grace period. Owners prove themselves with { email, password },
+  // admins pass { id }.
+  async restoreUser({ id, email, password }, lang = "en", reqDetails = {}) {
+    const where = id !== undefined ? { id: parseInt(id, 10) } : { email };
+    if ((id !== undefined && isNaN(where.id)) || (id === undefined && (!email || !password))) {
+      throw new errorHandler(translate("error_email_and_password_required", lang), 400);
+    }
+
+    const user = await prisma.user.findUnique({ where });
+    const restorable = user && user.deletedAt && !user.anonymizedAt
+      && user.deletedAt.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000 > Date.now();
+    // The public path answers the same for unknown accounts, wrong passwords and closed windows,
+    // so it cannot be used to find out which emails belong to deleted accounts
+    if (id === undefined) {
+      if (!restorable || !(await bcrypt.compare(password, user.password || ""))) {
+        throw new errorHandler(translate("error_account_restore_failed", lang), 401);
+      }
+    } else if (!user || !user.deletedAt || user.anonymizedAt) {
+      throw new errorHandler(translate("error_account_not_restorable", lang), 404);
+    } else if (!restorable) {
+      throw new errorHandler(translate("error_account_not_restorable", lang), 410);
+    }
+
+    const restoredUser = await prisma.user.update({
+      where: { id: user.id },
+      data: { deletedAt: null },
+      select: { id: true, email: true, fname: true, lname: true, uid: true, role: true },
+    });
+    await this.invalidateUserArCache(user.id);
+
+    recordAuditLog(AuditLogAction.USER_RESTORED, {
+      userId: reqDetails.actorUserId || user.id,
+      entityName: "User",
+      entityId: user.id,
+      description: `User ${user.email} (ID: ${user.id}) restored.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+
+    return restoredUser;
+  },
+
+  // Wipes personal data of accounts whose grace period has ended. The row itself stays so
+  // bookings, reviews and rewards remain linked to an anonymous placeholder for reporting.
+  async anonymizeDeletedUsers() {
+    const cutoff = new Date(Date.now() - ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    const users = await prisma.user.findMany({
+      where: { deletedAt: { lte: cutoff }, anonymizedAt: null },
+      select: { id: true, uid: true, email: true, preference: { select: { phoneNumber: true } } },
+      take: 100,
+    });
+
+    for (const user of users) {
+      const anonymizedEmail = `deleted-${user.uid}@anonymized.invalid`;
+      const phoneNumber = user.preference?.phoneNumber;
+      try {
+        await prisma.$transaction([
+          prisma.user.update({
+            where: { id: user.id },
+            data: {
+              fname: null,
+              lname: null,
+              email: anonymizedEmail,
+              password: null,
+              verifiedAt: null,
+              twoFactorSecret: null,
+              twoFactorEnabledAt: null,
+              twoFactorBackupCodes: [],
+              twoFactorLastStep: null,
+              anonymizedAt: new Date(),
+            },
+          }),
+          prisma.userSession.deleteMany({ where: { userId: user.id } }),
+          prisma.passwordResetToken.deleteMany({ where: { userId: user.id } }),
+          prisma.emailVerificationToken.deleteMany({ where: { userId: user.id } }),
+          prisma.notification.deleteMany({ where: { userId: user.id } }),
+          prisma.dependant.deleteMany({ where: { userId: user.id } }),
+          prisma.userPreference.updateMany({ where: { userId: user.id }, data: { phoneNumber: null } }),
+          // Audit entries (this user's and others', e.g. an admin changing the role) name the user by address
+          prisma.$executeRaw`
+            UPDATE "AuditLog" SET
+              "description" = REPLACE("description", ${user.email}, ${anonymizedEmail}),
+              "old_values" = REPLACE("old_values"::text, ${user.email}, ${anonymizedEmail})::jsonb,
+              "new_values" = REPLACE("new_values"::text, ${user.email}, ${anonymizedEmail})::jsonb
+            WHERE STRPOS("description", ${user.email}) > 0
+              OR STRPOS("old_values"::text, ${user.email}) > 0
+              OR STRPOS("new_values"::text, ${user.email}) > 0`,
+          // Preference changes keep every number the user ever stored in their old/new values
+          prisma.$executeRaw`
+            UPDATE "AuditLog" SET
+              "old_values" = "old_values" - 'phoneNumber',
+              "new_values" = "new_values" - 'phoneNumber'
+            WHERE "entity_name" = 'UserPreference' AND "entity_id" = ${String(user.id)}`,
+          // ... and entries of other kinds may quote the current one as a value
+          ...(phoneNumber ? [prisma.$executeRaw`
+            UPDATE "AuditLog" SET
+              "old_values" = REPLACE("old_values"::text, ${JSON.stringify(phoneNumber)}, 'null')::jsonb,
+              "new_values" = REPLACE("new_values"::text, ${JSON.stringify(phoneNumber)}, 'null')::jsonb
+            WHERE STRPOS("old_values"::text, ${JSON.stringify(phoneNumber)}) > 0
+              OR STRPOS("new_values"::text, ${JSON.stringify(phoneNumber)}) > 0`] : []),
+        ]);
+        await dataExportService.deleteUserExports(user.id);
+        await this.invalidateUserArCache(user.id);
+
+        // The audit entry must not bring the address or the phone number back
+        recordAuditLog(AuditLogAction.USER_ANONYMIZED, {
+          entityName: "User",
+          entityId: user.id,
+          description: `User ${user.id} anonymized after the deletion grace period.`,
+        });
+      } catch (error) {
+        console.error(`Anonymization failed for user ${user.id}:`, error.message);
+      }
+    }
+    return users.length;
+  },
+
+  startAnonymizationJob() {
+    cron.schedule("30 3 * * *", async () => {
+      try {
+        const count = await this.anonymizeDeletedUsers();
+        if (count > 0) console.log(`Account cleanup: anonymized ${count} deleted user(s).`);
+      } catch (error) {
+        console.error("Account cleanup failed:", error.message);
+      }
+    }, { timezone: "UTC" });
+    console.log("Account anonymization job configured");
+  },
+
+  async updateUserRole(id, role, lang = "en", reqDetails = {}) {
+    const userId = parseInt(id, 10);
+    if (isNaN(userId)) throw new errorHandler(translate("error_invalid_user_id", lang), 400);
+    if (!Object.values(UserRole).includes(role)) throw new errorHandler(translate("error_invalid_role", lang), 400);
+
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true, email: true, role: true } });
+    if (!user) return null;
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: { role },
+      select: { id: true, email: true, fname: true, lname: true, uid: true, role: true },
+    });
+
+    await this.invalidateUserArCache(userId);
+
+    recordAuditLog(AuditLogAction.USER_PROFILE_UPDATED, {
+      userId: reqDetails.actorUserId,
+      entityName: "User",
+      entityId: userId,
+      oldValues: { role: user.role },
+      newValues: { role: updatedUser.role },
+      description: `Role of ${user.email} changed from ${user.role} to ${updatedUser.role}.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+
+    return updatedUser;
+  },
+
+  // Bootstrap of the first admins: accounts listed in ADMIN_EMAILS (comma separated) become ADMIN at startup.
+  // Only verified, not deleted accounts are promoted, so nobody gains the role by registering a listed address.
+  async promoteConfiguredAdmins() {
+    const emails = (process.env.ADMIN_EMAILS || "").split(",").map(email => email.trim()).filter(Boolean);
+    for (const email of emails) {
+      const user = await prisma.user.findFirst({
+        where: { email: { equals: email, mode: "insensitive" }, deletedAt: null },
+        select: { id: true, email: true, role: true, verifiedAt: true },
+      });
+      if (!user || user.role === UserRole.ADMIN) continue;
+      if (!user.verifiedAt) {
+        console.warn(`ADMIN_EMAILS: ${email} has not verified its email address, not promoted.`);
+        continue;
+      }
+
+      await prisma.user.update({ where: { id: user.id }, data: { role: UserRole.ADMIN } });
+      await this.invalidateUserArCache(user.id);
+      recordAuditLog(AuditLogAction.USER_PROFILE_UPDATED, {
+        entityName: "User",
+        entityId: user.id,
+        oldValues: { role: user.role },
+        newValues: { role: UserRole.ADMIN },
+        description: `Role of ${user.email} changed from ${user.role} to ${UserRole.ADMIN} (ADMIN_EMAILS).`,
+      });
+      console.log(`ADMIN_EMAILS: ${user.email} promoted to ADMIN.`);
+    }
+  },
+
+  // Audits a failed login and, when it just locked the account, warns the owner by email.
+  // `attempt` is the result of loginAttemptTracker.recordFailure.
+  async handleFailedLogin(email, attempt, lang = "en", reqDetails = {}) {
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, email: true, fname: true, preference: { select: { language: true } } },
+    });
+
+    recordAuditLog(AuditLogAction.USER_LOGIN_FAILED, {
+      userId: user?.id,
+      entityName: "User",
+      entityId: user?.id,
+      description: attempt.accountLockedUntil
+        ? `Failed login for ${email}; account locked until ${attempt.accountLockedUntil.toISOString()}.`
+        : `Failed login for ${email} (${attempt.accountFailures} in a row).`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+
+    if (user && attempt.accountLockedUntil) {
+      // The request comes from whoever tried to sign in, so its language says nothing about the owner
+      sendMail(user.email, "email_subject_login_alert", "email_body_login_alert", getUserLanguage(user, lang), {
+        name: user.fname || user.email,
+        attempts: attempt.accountFailures,
+        ipAddress: reqDetails.ipAddress || "unknown",
+        lockedUntil: attempt.accountLockedUntil.toUTCString(),
+      });
+    }
+  },
+
+  // Stored preferences, or the defaults for accounts that never saved any
+  async getPreferences(userId) {
+    const preference = await prisma.userPreference.findUnique({
+      where: { userId },
+      select: { language: true, phoneNumber: true, timezone: true, marketingOptIn: true, updatedAt: true },
+    });
+    return preference || { language: "en", phoneNumber: null, timezone: "UTC", marketingOptIn: false, updatedAt: null };
+  },
+
+  async updatePreferences(userId, data, lang = "en", reqDetails = {}) {
+    const updates = {};
+    if (data.language !== undefined) {
+      if (!SUPPORTED_LANGUAGES.includes(data.language)) throw new errorHandler(translate("error_invalid_language", lang), 400);
+      updates.language = data.language;
+    }
+    if (data.phoneNumber !== undefined) {
+      const phoneNumber = data.phoneNumber ? String(data.phoneNumber).replace(/[\s()-]/g, "") : null;
+      if (phoneNumber && !/^\+?[0-9]{7,15}$/.test(phoneNumber)) throw new errorHandler(translate("error_invalid_phone_number", lang), 400);
+      updates.phoneNumber = phoneNumber;
+    }
+    if (data.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: data.timezone });
+      } catch {
+        throw new errorHandler(translate("error_invalid_timezone", lang), 400);
+      }
+      updates.timezone = data.timezone;
+    }
+    if (data.marketingOptIn !== undefined) {
+      if (typeof data.marketingOptIn !== "boolean") throw new errorHandler(translate("error_invalid_marketing_opt_in", lang), 400);
+      updates.marketingOptIn = data.marketingOptIn;
+    }
+
+    const previous = await this.getPreferences(userId);
+    const preference = await prisma.userPreference.upsert({
+      where: { userId },
+      update: updates,
+      create: { userId, ...updates },
+      select: { language: true, phoneNumber: true, timezone: true, marketingOptIn: true, updatedAt: true },
+    });
+
+    recordAuditLog(AuditLogAction.USER_PROFILE_UPDATED, {
+      userId: reqDetails.actorUserId || userId,
+      entityName: "UserPreference",
+      entityId: userId,
+      oldValues: { ...previous, updatedAt: undefined },
+      newValues: updates,
+      description: `Preferences updated for user ${userId}.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+
+    return preference;
+  },
+
+  // --- Dependants: children (or others) the user books activities for ---
+  async getDependants(userId) {
+    return prisma.dependant.findMany({ where: { userId }, select: dependantSelect, orderBy: { birthDate: "asc" } });
+  },
+
+  validateDependantInput(data, lang = "en", partial = false) {
+    const values = {};
+    if (data.name !== undefined || !partial) {
+      const name = String(data.name || "").trim();
+      if (!name || name.length > 100) throw new errorHandler(translate("error_dependant_name_required", lang), 400);
+      values.name = name;
+    }
+    if (data.birthDate !== undefined || !partial) {
+      const birthDate = new Date(data.birthDate);
+      if (!data.birthDate || isNaN(birthDate.getTime()) || birthDate > new Date()) {
+        throw new errorHandler(translate("error_invalid_birth_date", lang), 400);
+      }
+      values.birthDate = birthDate;
+    }
+    if (data.gender !== undefined || !partial) {
+      const gender = String(data.gender || "").toUpperCase();
+      if (!Object.values(Gender).includes(gender)) throw new errorHandler(translate("error_invalid_gender", lang), 400);
+      values.gender = gender;
+    }
+    return values;
+  },
+
+  async createDependant(userId, data, lang = "en", reqDetails = {}) {
+    const values = this.validateDependantInput(data, lang);
+    const dependant = await prisma.dependant.create({ data: { userId, ...values }, select: dependantSelect });
+
+    recordAuditLog(AuditLogAction.GENERAL_CREATE, {
+      userId: reqDetails.actorUserId || userId,
+      entityName: "Dependant",
+      entityId: dependant.id,
+      newValues: values,
+      description: `Dependant ${dependant.id} added for user ${userId}.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+    return dependant;
+  },
+
+  async updateDependant(userId, dependantId, data, lang = "en", reqDetails = {}) {
+    const existing = await prisma.dependant.findFirst({ where: { id: parseInt(dependantId, 10) || 0, userId }, select: dependantSelect });
+    if (!existing) throw new errorHandler(translate("dependant_not_found", lang), 404);
+
+    const values = this.validateDependantInput(data, lang, true);
+    const dependant = await prisma.dependant.update({ where: { id: existing.id }, data: values, select: dependantSelect });
+
+    recordAuditLog(AuditLogAction.GENERAL_UPDATE, {
+      userId: reqDetails.actorUserId || userId,
+      entityName: "Dependant",
+      entityId: dependant.id,
+      oldValues: { name: existing.name, birthDate: existing.birthDate, gender: existing.gender },
+      newValues: values,
+      description: `Dependant ${dependant.id} of user ${userId} updated.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+    return dependant;
+  },
+
+  // Past bookings keep their derived age group; only the link to the dependant goes away
+  async deleteDependant(userId, dependantId, lang = "en", reqDetails = {}) {
+    const existing = await prisma.dependant.findFirst({ where: { id: parseInt(dependantId, 10) || 0, userId } });
+    if (!existing) throw new errorHandler(translate("dependant_not_found", lang), 404);
+
+    await prisma.dependant.delete({ where: { id: existing.id } });
+
+    recordAuditLog(AuditLogAction.GENERAL_DELETE, {
+      userId: reqDetails.actorUserId || userId,
+      entityName: "Dependant",
+      entityId: existing.id,
+      description: `Dependant ${existing.id} of user ${userId} removed.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+  },
+
+  // Full user row (minus password) for the authentication flows
+  async getUserForAuth(uid) {
+    const user = await prisma.user.findUnique({ where: { uid } });
+    if (!user) return null;
+    const { password: _, ...userWithoutPassword } = user;
+    return userWithoutPassword;
   },
 
   // ... validateUserPassword and other methods ...
@@ -1333,32 +1737,195 @@ async getUserByUid(uid, lang = "en") {
     return userWithoutPassword;
   },
 
-  async resetpassword(email, newPassword, lang = "en") {
-    if (!email || !newPassword) throw new errorHandler(translate("error_email_and_password_required", lang), 400);
-    const user = await prisma.user.findUnique({ where: { email } });
+  async verifyEmail(token, lang = "en", reqDetails = {}) {
+    if (!token) throw new errorHandler(translate("error_verification_token_required", lang), 400);
+
+    const verification = await prisma.emailVerificationToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: { select: { id: true, email: true, fname: true, verifiedAt: true } } },
+    });
+    if (!verification || verification.usedAt || verification.expiresAt <= new Date()
+        || verification.email !== verification.user.email) {
+      throw new errorHandler(translate("error_verification_token_invalid", lang), 400);
+    }
+
+    const now = new Date();
+    const [, verifiedUser] = await prisma.$transaction([
+      prisma.emailVerificationToken.update({ where: { id: verification.id }, data: { usedAt: now } }),
+      prisma.user.update({
+        where: { id: verification.userId },
+        data: { verifiedAt: now },
+        select: { id: true, email: true, fname: true, lname: true, uid: true, verifiedAt: true },
+      }),
+    ]);
+
+    await this.invalidateUserArCache(verifiedUser.id);
+
+    // First confirmation of the account: this is when we welcome the user
+    if (!verification.user.verifiedAt) {
+      sendMail(verifiedUser.email, "email_subject_welcome", "email_body_welcome", lang, {
+        name: verifiedUser.fname || verifiedUser.email,
+      });
+    }
+
+    recordAuditLog(AuditLogAction.USER_EMAIL_VERIFIED, {
+      userId: verifiedUser.id,
+      entityName: "User",
+      entityId: verifiedUser.id,
+      newValues: { email: verifiedUser.email, verifiedAt: verifiedUser.verifiedAt },
+      description: `User ${verifiedUser.email} verified their email address.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+
+    return verifiedUser;
+  },
+
+  async resendVerificationEmail(userId, lang = "en") {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, fname: true, verifiedAt: true },
+    });
     if (!user) throw new errorHandler(translate("error_user_not_found", lang), 404);
-    
+    if (user.verifiedAt) throw new errorHandler(translate("error_email_already_verified", lang), 400);
+
+    const lastHour = await prisma.emailVerificationToken.findMany({
+      where: { userId: user.id, createdAt: { gte: new Date(Date.now() - 60 * 60 * 1000) } },
+      select: { createdAt: true },
+      orderBy: { createdAt: "desc" },
+    });
+    const tooSoon = lastHour[0] && Date.now() - lastHour[0].createdAt.getTime() < EMAIL_VERIFICATION_RESEND_COOLDOWN_MS;
+    if (tooSoon || lastHour.length >= EMAIL_VERIFICATION_MAX_PER_HOUR) {
+      throw new errorHandler(translate("error_verification_resend_throttled", lang), 429);
+    }
+
+    await issueEmailVerification(user, lang);
+    return { email: user.email };
+  },
+
+  // Step 1 of the reset flow. Always resolves quietly so callers cannot probe
+  // which emails are registered; the token only ever travels by email.
+  async requestPasswordReset(email, lang = "en", reqDetails = {}) {
+    if (!email) throw new errorHandler(translate("error_email_required", lang), 400);
+    const user = await prisma.user.findUnique({ where: { email }, select: { id: true, email: true, fname: true, deletedAt: true } });
+    if (!user || user.deletedAt) return;
+
+    const windowStart = new Date(Date.now() - PASSWORD_RESET_RATE_WINDOW_MS);
+    const recentRequests = await prisma.passwordResetToken.count({
+      where: { userId: user.id, createdAt: { gte: windowStart } },
+    });
+    if (recentRequests >= PASSWORD_RESET_MAX_REQUESTS) {
+      recordAuditLog(AuditLogAction.USER_PASSWORD_CHANGED, {
+        userId: user.id,
+        entityName: "User",
+        entityId: user.id,
+        description: `Password reset request for ${user.email} rejected: rate limit reached.`,
+        ipAddress: reqDetails.ipAddress,
+        userAgent: reqDetails.userAgent,
+      });
+      return;
+    }
+
+    const now = new Date();
+    const rawToken = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(now.getTime() + PASSWORD_RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+    // Only the newest token stays redeemable
+    await prisma.passwordResetToken.updateMany({
+      where: { userId: user.id, usedAt: null, expiresAt: { gt: now } },
+      data: { expiresAt: now },
+    });
+    await prisma.passwordResetToken.create({
+      data: { userId: user.id, tokenHash: hashToken(rawToken), expiresAt, ipAddress: reqDetails.ipAddress || null },
+    });
+
+    const resetLink = `${CLIENT_BASE_URL}/reset-password?token=${rawToken}`;
+    sendBilingualMail(user.email, "email_subject_password_reset", "email_body_password_reset", {
+      name: user.fname || user.email,
+      resetLink,
+      minutes: PASSWORD_RESET_TOKEN_TTL_MINUTES,
+    });
+
+    recordAuditLog(AuditLogAction.USER_PASSWORD_CHANGED, {
+      userId: user.id,
+      entityName: "User",
+      entityId: user.id,
+      description: `Password reset requested for ${user.email}.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+  },
+
+  // Step 2 of the reset flow: redeem the emailed token and set the new password.
+  async confirmPasswordReset(token, newPassword, lang = "en", reqDetails = {}) {
+    if (!token) throw new errorHandler(translate("error_reset_token_required", lang), 400);
+    if (!newPassword || typeof newPassword !== "string") {
+      throw new errorHandler(translate("error_password_required_and_valid_string", lang), 400);
+    }
+
+    const resetToken = await prisma.passwordResetToken.findUnique({ where: { tokenHash: hashToken(token) } });
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt <= new Date()) {
+      throw new errorHandler(translate("error_reset_token_invalid", lang), 400);
+    }
+
     const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
-    const updatedUser = await prisma.user.update({
-      where: { email },
-      data: { password: hashedPassword },
-      select: {
-        id: true,
-        email: true,
-        fname: true,
-        lname: true,
-        uid: true,
-      }
+    const updatedUser = await prisma.$transaction(async (tx) => {
+      const now = new Date();
+      // Claim the token atomically so two concurrent confirms cannot both succeed
+      const claimed = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null, expiresAt: { gt: now } },
+        data: { usedAt: now },
+      });
+      if (claimed.count === 0) throw new errorHandler(translate("error_reset_token_invalid", lang), 400);
+
+      await tx.passwordResetToken.updateMany({
+        where: { userId: resetToken.userId, usedAt: null },
+        data: { expiresAt: now },
+      });
+
+      // A reset usually means the account may be compromised, sign out every device
+      await tx.userSession.updateMany({
+        where: { userId: resetToken.userId, revokedAt: null },
+        data: { revokedAt: now },
+      });
+
+      return tx.user.update({
+        where: { id: resetToken.userId },
+        data: { password: hashedPassword },
+        select: { id: true, email: true, fname: true, lname: true, uid: true },
+      });
+    });
+
+    recordAuditLog(AuditLogAction.USER_PASSWORD_CHANGED, {
+      userId: updatedUser.id,
+      entityName: "User",
+      entityId: updatedUser.id,
+      description: `Password for ${updatedUser.email} reset with a reset token.`,
+      ipAddress: reqDetails.ipAddress,
+      userAgent: reqDetails.userAgent,
+    });
+
+    sendBilingualMail(updatedUser.email, "email_subject_password_changed", "email_body_password_changed", {
+      name: updatedUser.fname || updatedUser.email,
     });
 
     return updatedUser;
   },
 
+  // Admin lookup (GET /find-email/:email), includes soft-deleted accounts
   async findUserByEmail(email, lang = "en") {
     if (!email) throw new errorHandler(translate("error_email_required", lang), 400);
     const user = await prisma.user.findUnique({ where: { email } });
     if (!user) throw new errorHandler(translate("error_user_not_found", lang), 404);
     return user;
+  },
+
+  // Public pre-registration check. Answers only whether createUser would accept the address.
+  async checkEmailAvailability(email, lang = "en") {
+    const normalized = typeof email === "string" ? email.trim() : "";
+    if (!normalized || !EMAIL_PATTERN.test(normalized)) throw new errorHandler(translate("error_invalid_email", lang), 400);
+    const user = await prisma.user.findUnique({ where: { email: normalized }, select: { id: true } });
+    return { available: !user };
   }
 
 };
@@ -0,0 +1,205 @@
+import prisma from "../utils/prismaClient.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import listingService from "./listingService.js";
+import bookingService from "./bookingService.js";
+import reviewService from "./reviewService.js";
+import { BookingStatus, reviewStatus } from "@prisma/client";
+import { translate } from "../utils/i18n.js";
+
+// Ownership and the publishing schedule stay with the admins
+const ADMIN_ONLY_LISTING_FIELDS = ["ownerId", "status", "publishAt", "unpublishAt"];
+// Decision -> booking statuses it may be taken on; a confirmed booking can still be declined
+const BOOKING_DECISIONS = {
+  [BookingStatus.CONFIRMED]: [BookingStatus.PENDING],
+  [BookingStatus.CANCELLED]: [BookingStatus.PENDING, BookingStatus.CONFIRMED],
+};
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_STATS_DAYS = 30;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const listingSelect = {
+  id: true, name: true, status: true, publishAt: true, unpublishAt: true, reviewNote: true,
+  price: true, main_image: true, imageUploadStatus: true, createdAt: true, updatedAt: true,
+  _count: { select: { bookings: true, reviews: true } },
+};
+
+const bookingInclude = {
+  user: { select: { fname: true, lname: true } },
+  listing: { select: { id: true, name: true } },
+  dependants: { select: { ageGroup: true } },
+};
+
+const reviewInclude = {
+  user: { select: { fname: true, lname: true } },
+  listing: { select: { id: true, name: true } },
+};
+
+const paginate = ({ page, limit }) => {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+// "YYYY-MM-DD" bounds (UTC days, to inclusive) -> { gte, lt }; missing bounds stay open unless a default is given
+const parseDateRange = ({ from, to }, lang, defaultDays = null) => {
+  const parse = (value) => {
+    if (!DATE_PATTERN.test(value) || isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+      throw new errorHandler(translate("error_invalid_venue_date_range", lang), 400);
+    }
+    return new Date(`${value}T00:00:00Z`);
+  };
+  const range = {};
+  if (to) range.lt = new Date(parse(to).getTime() + DAY_MS);
+  if (from) range.gte = parse(from);
+  if (defaultDays && !range.lt) range.lt = new Date(new Date().setUTCHours(0, 0, 0, 0) + DAY_MS);
+  if (defaultDays && !range.gte) range.gte = new Date(range.lt.getTime() - defaultDays * DAY_MS);
+  if (range.gte && range.lt && range.gte >= range.lt) {
+    throw new errorHandler(translate("error_invalid_venue_date_range", lang), 400);
+  }
+  return range;
+};
+
+// Narrows a list query to one of the owner's listings; a listing of someone else simply matches nothing
+const listingFilter = (ownerId, listingId) => {
+  const id = parseInt(listingId, 10);
+  return isNaN(id) ? { listing: { ownerId } } : { listingId: id, listing: { ownerId } };
+};
+
+/**
+ * Dashboard API of venue accounts (/api/venue). List methods are scoped to the owner's listings here;
+ * routes addressing one listing, booking or review check ownership with authorize's owner resolvers.
+ */
+const venueService = {
+  async getListings(ownerId) {
+    return prisma.listing.findMany({ where: { ownerId }, select: listingSelect, orderBy: { createdAt: "desc" } });
+  },
+
+  // Same update path as admins (translation, hours, slots, images) minus the admin-only fields.
+  // Changes to an approved listing take it offline until an admin reviews them; returns its new lifecycle state then.
+  async updateListing(listingId, data = {}, files, lang = "en", reqDetails = {}) {
+    const venueData = Object.fromEntries(Object.entries(data).filter(([key]) => !ADMIN_ONLY_LISTING_FIELDS.includes(key)));
+    const updated = await listingService.updateListing(listingId, venueData, files, lang, reqDetails);
+    if (!updated) throw new errorHandler(translate("listing_not_found", lang), 404);
+    return listingService.returnListingToReview(parseInt(listingId, 10), "changed by the venue", reqDetails);
+  },
+
+  async submitListing(listingId, lang = "en", reqDetails = {}) {
+    return listingService.submitListingForReview(listingId, lang, reqDetails);
+  },
+
+  async getBookings(ownerId, filters = {}, lang = "en") {
+    const { status, listingId, from, to } = filters;
+    if (status && !Object.values(BookingStatus).includes(status)) {
+      throw new errorHandler(translate("error_invalid_booking_status", lang), 400);
+    }
+    const bookingDate = parseDateRange({ from, to }, lang);
+    const where = {
+      ...listingFilter(ownerId, listingId),
+      ...(status && { status }),
+      ...(Object.keys(bookingDate).length > 0 && { bookingDate }),
+    };
+
+    const { pageNum, limitNum, skip } = paginate(filters);
+    const [bookings, total] = await prisma.$transaction([
+      prisma.booking.findMany({ where, include: bookingInclude, orderBy: { bookingDate: "asc" }, skip, take: limitNum }),
+      prisma.booking.count({ where }),
+    ]);
+    return { bookings, pagination: { total, page: pageNum, limit: limitNum, totalPages: Math.ceil(total / limitNum) } };
+  },
+
+  // Confirm (CONFIRMED) or decline (CANCELLED) a booking on one of the owner's listings
+  async decideBooking(bookingId, status, lang = "en", reqDetails = {}) {
+    const id = parseInt(bookingId, 10);
+    const booking = isNaN(id) ? null : await prisma.booking.findUnique({ where: { id }, select: { status: true } });
+    if (!booking) throw new errorHandler(translate("booking_not_found", lang), 404);
+    if (!BOOKING_DECISIONS[status]) throw new errorHandler(translate("error_invalid_venue_booking_decision", lang), 400);
+    if (!BOOKING_DECISIONS[status].includes(booking.status)) {
+      throw new errorHandler(translate("error_venue_booking_decision_not_allowed", lang, { from: booking.status, to: status }), 409);
+    }
+
+    // updateBooking mails the customer in their own language; Arabic input would also reset the payment method there
+    await bookingService.updateBooking(id, { status }, "en", reqDetails);
+    return prisma.booking.findUnique({ where: { id }, include: bookingInclude });
+  },
+
+  async getReviews(ownerId, filters = {}, lang = "en") {
+    const { status, listingId } = filters;
+    if (status && !Object.values(reviewStatus).includes(status)) {
+      throw new errorHandler(translate("error_invalid_review_status", lang), 400);
+    }
+    const where = { ...listingFilter(ownerId, listingId), ...(status && { status }) };
+
+    const { pageNum, limitNum, skip } = paginate(filters);
+    const [reviews, total] = await prisma.$transaction([
+      prisma.review.findMany({ where, include: reviewInclude, orderBy: { createdAt: "desc" }, skip, take: limitNum }),
+      prisma.review.count({ where }),
+    ]);
+    return { reviews, pagination: { total, page: pageNum, limit: limitNum, totalPages: Math.ceil(total / limitNum) } };
+  },
+
+  async replyToReview(reviewId, reply, lang = "en", reqDetails = {}) {
+    return reviewService.replyToReview(reviewId, reply, lang, reqDetails);
+  },
+
+  /**
+   * Bookings (by booking date, default the last 30 days) and accepted reviews per listing, e.g.
+   * { from, to, totals: { bookings: { PENDING: 2, ... }, persons }, listings: [{ id, name, bookings, persons, averageRating, reviewCount }] }
+   */
+  async getStats(ownerId, { from, to } = {}, lang = "en") {
+    const bookingDate = parseDateRange({ from, to }, lang, DEFAULT_STATS_DAYS);
+    const [listings, bookingGroups, reviewGroups, upcomingBookings] = await Promise.all([
+      prisma.listing.findMany({ where: { ownerId }, select: { id: true, name: true, status: true }, orderBy: { id: "asc" } }),
+      prisma.booking.groupBy({
+        by: ["listingId", "status"],
+        where: { listing: { ownerId }, bookingDate },
+        _count: { _all: true },
+        _sum: { numberOfPersons: true },
+      }),
+      prisma.review.groupBy({
+        by: ["listingId"],
+        where: { listing: { ownerId }, status: reviewStatus.ACCEPTED },
+        _count: { _all: true },
+        _avg: { rating: true },
+      }),
+      prisma.booking.count({
+        where: { listing: { ownerId }, bookingDate: { gte: new Date() }, status: { in: [BookingStatus.PENDING, BookingStatus.CONFIRMED] } },
+      }),
+    ]);
+
+    const emptyCounts = () => Object.fromEntries(Object.values(BookingStatus).map(status => [status, 0]));
+    const totals = { bookings: emptyCounts(), persons: 0, upcomingBookings };
+    const byListing = new Map(listings.map(listing => [listing.id, {
+      ...listing, bookings: emptyCounts(), persons: 0, averageRating: null, reviewCount: 0,
+    }]));
+
+    for (const group of bookingGroups) {
+      const entry = byListing.get(group.listingId);
+      if (!entry || !group.status) continue;
+      const persons = group._sum.numberOfPersons || 0;
+      entry.bookings[group.status] += group._count._all;
+      totals.bookings[group.status] += group._count._all;
+      // Cancelled bookings do not bring anyone
+      if (group.status !== BookingStatus.CANCELLED) {
+        entry.persons += persons;
+        totals.persons += persons;
+      }
+    }
+    for (const group of reviewGroups) {
+      const entry = byListing.get(group.listingId);
+      if (!entry) continue;
+      entry.reviewCount = group._count._all;
+      entry.averageRating = Math.round(group._avg.rating * 10) / 10;
+    }
+
+    return {
+      from: bookingDate.gte.toISOString().slice(0, 10),
+      to: new Date(bookingDate.lt.getTime() - DAY_MS).toISOString().slice(0, 10),
+      totals,
+      listings: [...byListing.values()],
+    };
+  },
+};
+
+export default venueService;
@@ -0,0 +1,53 @@
+// Helpers for matching dependants against a listing's free-text `agegroup` and `gender` fields.
+// Listings use labels like "0-2 year", "6-10 years" and "25+ year"; labels that do not
+// follow that shape (e.g. "All ages") are ignored and do not restrict a booking.
+
+const RANGE_PATTERN = /^\s*(\d+)\s*(?:-|–|to)\s*(\d+)\s*(?:years?|yrs?)?\s*$/i;
+const OPEN_PATTERN = /^\s*(\d+)\s*\+\s*(?:years?|yrs?)?\s*$/i;
+
+// "6-10 year" -> { min: 6, max: 10 }, "25+ year" -> { min: 25, max: Infinity }, otherwise null
+const parseAgeGroup = (label) => {
+    const text = String(label || '');
+    const range = text.match(RANGE_PATTERN);
+    if (range) return { min: parseInt(range[1], 10), max: parseInt(range[2], 10) };
+    const open = text.match(OPEN_PATTERN);
+    if (open) return { min: parseInt(open[1], 10), max: Infinity };
+    return null;
+};
+
+// Age in completed years on the given day
+const calculateAge = (birthDate, onDate = new Date()) => {
+    const birth = new Date(birthDate);
+    const day = new Date(onDate);
+    let age = day.getUTCFullYear() - birth.getUTCFullYear();
+    const birthdayPassed = day.getUTCMonth() > birth.getUTCMonth()
+        || (day.getUTCMonth() === birth.getUTCMonth() && day.getUTCDate() >= birth.getUTCDate());
+    if (!birthdayPassed) age -= 1;
+    return age;
+};
+
+/**
+ * Picks the listing age group an age falls into.
+ * Returns { restricted, label }: restricted is false when the listing has no usable age groups,
+ * label is null when the age matches none of them.
+ */
+const matchAgeGroup = (age, labels = []) => {
+    const groups = labels
+        .map(label => ({ label, range: parseAgeGroup(label) }))
+        .filter(group => group.range);
+    if (groups.length === 0) return { restricted: false, label: null };
+    const match = groups.find(({ range }) => age >= range.min && age <= range.max);
+    return { restricted: true, label: match ? match.label : null };
+};
+
+// Maps a listing's gender text to the Gender enum it is limited to, or null for mixed/unknown
+const parseListingGender = (gender) => {
+    const text = String(gender || '').toLowerCase();
+    const female = /\b(female|girls?|women|ladies)\b/.test(text);
+    const male = /\b(male|boys?|men)\b/.test(text);
+    if (female && !male) return 'FEMALE';
+    if (male && !female) return 'MALE';
+    return null;
+};
+
+export { parseAgeGroup, calculateAge, matchAgeGroup, parseListingGender };
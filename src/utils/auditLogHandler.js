@@ -1,7 +1,10 @@
 import prisma from './prismaClient.js';
+import { getRequestContext } from './requestContext.js';
 
 const recordAuditLog = async (action, details) => {
   const { userId, entityName, entityId, oldValues, newValues, description, ipAddress, userAgent } = details;
+  // Actions taken with an API key are attributed to the key (see middlewares/verifyApiKey.js)
+  const apiKeyId = details.apiKeyId || getRequestContext().apiKeyId;
   try {
     await prisma.auditLog.create({
       data: {
@@ -14,6 +17,7 @@ const recordAuditLog = async (action, details) => {
         description: description || null,
         ipAddress: ipAddress || null,
         userAgent: userAgent || null,
+        apiKeyId: apiKeyId || null,
       },
     });
     console.log(`Audit log recorded: ${action} on ${entityName || 'system'}`);
@@ -0,0 +1,62 @@
+// Distance helpers for listing coordinates (WGS84 latitude / longitude in degrees)
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+// "25.2854,51.5310" -> { latitude, longitude }, null when the text is not a valid point
+const parsePoint = (text) => {
+    const parts = String(text || '').split(',').map(part => part.trim());
+    if (parts.length !== 2 || parts.some(part => part === '')) return null;
+    const [latitude, longitude] = parts.map(Number);
+    return isLatitude(latitude) && isLongitude(longitude) ? { latitude, longitude } : null;
+};
+
+/**
+ * Reads latitude / longitude from create or update input. Only keys that were sent are returned;
+ * empty values clear the coordinates. Throws an Error when a value is out of range or only one is set.
+ */
+const parseCoordinates = (data) => {
+    if (data.latitude === undefined && data.longitude === undefined) return {};
+    const isEmpty = (value) => value === undefined || value === null || value === '';
+    if (isEmpty(data.latitude) && isEmpty(data.longitude)) return { latitude: null, longitude: null };
+
+    const latitude = Number(data.latitude);
+    const longitude = Number(data.longitude);
+    if (isEmpty(data.latitude) || isEmpty(data.longitude)) throw new Error('latitude and longitude must be sent together.');
+    if (!isLatitude(latitude)) throw new Error('latitude must be between -90 and 90.');
+    if (!isLongitude(longitude)) throw new Error('longitude must be between -180 and 180.');
+    return { latitude, longitude };
+};
+
+// Great-circle distance in km (haversine)
+const distanceKm = (from, to) => {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLng = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Prisma where conditions for the box around a point that contains the whole radius, so the
+ * database narrows the candidates before the exact distance is computed. Near the poles or the
+ * date line only the latitude is limited.
+ */
+const boundingBoxWhere = (center, radiusKm) => {
+    const latDelta = radiusKm / EARTH_RADIUS_KM * 180 / Math.PI;
+    const where = { latitude: { gte: center.latitude - latDelta, lte: center.latitude + latDelta } };
+    const maxLatitude = Math.abs(center.latitude) + latDelta;
+    if (maxLatitude < 90) {
+        const lngDelta = latDelta / Math.cos(toRadians(maxLatitude));
+        if (center.longitude - lngDelta >= -180 && center.longitude + lngDelta <= 180) {
+            where.longitude = { gte: center.longitude - lngDelta, lte: center.longitude + lngDelta };
+        }
+    }
+    return where;
+};
+
+export { parsePoint, parseCoordinates, distanceKm, boundingBoxWhere };
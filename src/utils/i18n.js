@@ -43,6 +43,14 @@ const getLanguage = (req) => {
     return preferredLang;
 };
 
+// Language for messages sent outside a request (background mails, notifications, cron jobs).
+// Uses the stored preference (user.preference.language), then `fallback`, then English.
+const getUserLanguage = (user, fallback = 'en') => {
+    const stored = user?.preference?.language;
+    if (stored && translations[stored]) return stored;
+    return translations[fallback] ? fallback : 'en';
+};
+
 const translate = (key, lang, options = {}) => {
     if (!translations[lang]) {
         console.warn(`Language "${lang}" not found. Falling back to English.`);
@@ -58,4 +66,4 @@ const translate = (key, lang, options = {}) => {
     return message;
 };
 
-export { getLanguage, translate };
\ No newline at end of file
+export { getLanguage, getUserLanguage, translate };
\ No newline at end of file
@@ -0,0 +1,69 @@
+import sharp from 'sharp';
+
+// Sizes generated for every listing image, the longest side is capped at `size` pixels.
+// Clients pick one from the listing's `imageVariants` (thumbnails for lists, large for the gallery).
+const IMAGE_VARIANTS = [
+    { name: 'thumbnail', size: 320, quality: 70 },
+    { name: 'medium', size: 800, quality: 78 },
+    { name: 'large', size: 1600, quality: 82 },
+];
+// The stored "original" is re-encoded too, so it loses its metadata and oversized dimensions
+const ORIGINAL_MAX_SIZE = parseInt(process.env.IMAGE_ORIGINAL_MAX_SIZE, 10) || 2560;
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000; // refuses decompression bombs
+
+const MIME_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif' };
+
+// Identifies the image format from the file's first bytes; the client's Content-Type is not trusted
+const detectImageType = (buffer) => {
+    if (!buffer || buffer.length < 12) return null;
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    if (['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) return 'gif';
+    return null;
+};
+
+// Applies the EXIF orientation and encodes; sharp drops EXIF/GPS data unless asked to keep it
+const encode = (buffer, { size, quality, format }) => {
+    const pipeline = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+    if (format === 'webp') return pipeline.webp({ quality }).toBuffer({ resolveWithObject: true });
+    if (format === 'png') return pipeline.png({ compressionLevel: 9 }).toBuffer({ resolveWithObject: true });
+    return pipeline.jpeg({ quality, mozjpeg: true }).toBuffer({ resolveWithObject: true });
+};
+
+/**
+ * Turns an uploaded image (multer memory file) into the files to store:
+ *   original - the cleaned image in its own format
+ *   variants - [{ name, format, file, width, height }], each size in the source format and as WebP
+ * Files have the { buffer, originalname, mimetype } shape the storage drivers take.
+ */
+const processImage = async (file) => {
+    const type = detectImageType(file.buffer);
+    if (!type) throw new Error(`${file.originalname} is not a supported image.`);
+    // GIFs are flattened to their first frame; PNG keeps transparency, everything else becomes JPEG
+    const format = type === 'png' || type === 'webp' ? type : 'jpeg';
+    const baseName = (file.originalname || 'image').replace(/\.[^.]+$/, '');
+
+    const toFile = ({ data, info }, suffix, fileFormat) => ({
+        file: { buffer: data, originalname: `${baseName}${suffix}.${fileFormat === 'jpeg' ? 'jpg' : fileFormat}`, mimetype: MIME_TYPES[fileFormat] },
+        width: info.width,
+        height: info.height,
+    });
+
+    const original = toFile(await encode(file.buffer, { size: ORIGINAL_MAX_SIZE, quality: 85, format }), '', format);
+
+    const variants = [];
+    for (const variant of IMAGE_VARIANTS) {
+        const formats = format === 'webp' ? ['webp'] : [format, 'webp'];
+        for (const variantFormat of formats) {
+            const encoded = await encode(file.buffer, { size: variant.size, quality: variant.quality, format: variantFormat });
+            variants.push({ name: variant.name, format: variantFormat, ...toFile(encoded, `-${variant.name}`, variantFormat) });
+        }
+    }
+
+    return { original, variants };
+};
+
+export { IMAGE_VARIANTS, MIME_TYPES, detectImageType, processImage };
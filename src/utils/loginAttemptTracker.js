@@ -0,0 +1,70 @@
+import { store } from "./rateLimiter.js";
+
+// --- Configuration ---
+const MAX_FAILED_PER_ACCOUNT = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const MAX_FAILED_PER_IP = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP, 10) || 20;
+const FAILURE_WINDOW_SECONDS = 15 * 60; // failures older than this are forgotten
+const BASE_LOCK_SECONDS = 60; // first lockout, doubled on every further lockout
+const MAX_LOCK_SECONDS = 60 * 60;
+const LOCK_HISTORY_SECONDS = 24 * 60 * 60; // how long previous lockouts count towards the backoff
+
+const keys = {
+    failures: (scope, id) => `login:failures:${scope}:${id}`,
+    lockedUntil: (scope, id) => `login:locked:${scope}:${id}`,
+    lockCount: (scope, id) => `login:lockcount:${scope}:${id}`,
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+async function getLockedUntil(scope, id) {
+    const value = await store.get(keys.lockedUntil(scope, id));
+    if (!value) return null;
+    const lockedUntil = new Date(parseInt(value, 10));
+    return lockedUntil > new Date() ? lockedUntil : null;
+}
+
+// Counts a failure for one scope and locks it once the threshold is reached.
+// Each lockout within LOCK_HISTORY_SECONDS doubles the next one.
+async function registerFailure(scope, id, maxFailures) {
+    const failures = await store.incr(keys.failures(scope, id), FAILURE_WINDOW_SECONDS);
+    if (failures < maxFailures) return { failures, lockedUntil: null };
+
+    const lockCount = await store.incr(keys.lockCount(scope, id), LOCK_HISTORY_SECONDS);
+    const lockSeconds = Math.min(BASE_LOCK_SECONDS * 2 ** (lockCount - 1), MAX_LOCK_SECONDS);
+    const lockedUntil = new Date(Date.now() + lockSeconds * 1000);
+
+    await store.set(keys.lockedUntil(scope, id), lockedUntil.getTime(), lockSeconds);
+    await store.del([keys.failures(scope, id)]); // the next round of attempts starts after the lock
+    return { failures, lockedUntil };
+}
+
+const loginAttemptTracker = {
+    // Returns the Date until which logins for this email or IP are refused, or null.
+    async getLockedUntil(email, ipAddress) {
+        const [accountLock, ipLock] = await Promise.all([
+            getLockedUntil('account', normalizeEmail(email)),
+            ipAddress ? getLockedUntil('ip', ipAddress) : null,
+        ]);
+        if (accountLock && ipLock) return accountLock > ipLock ? accountLock : ipLock;
+        return accountLock || ipLock;
+    },
+
+    async recordFailure(email, ipAddress) {
+        const account = await registerFailure('account', normalizeEmail(email), MAX_FAILED_PER_ACCOUNT);
+        const ip = ipAddress ? await registerFailure('ip', ipAddress, MAX_FAILED_PER_IP) : { lockedUntil: null };
+        return {
+            accountFailures: account.failures,
+            accountLockedUntil: account.lockedUntil,
+            ipLockedUntil: ip.lockedUntil,
+        };
+    },
+
+    // A successful login clears the account's failures and backoff history.
+    // IP counters are left alone so one valid account cannot reset them for an attacker.
+    async recordSuccess(email) {
+        const id = normalizeEmail(email);
+        await store.del([keys.failures('account', id), keys.lockCount('account', id)]);
+    },
+};
+
+export default loginAttemptTracker;
@@ -22,11 +22,19 @@ const transporter = nodemailer.createTransport({
   },
 });
 
+// Translated text -> HTML paragraph content. The text carries user input (names, listing details), so it is escaped.
+const toHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+  .replace(/\n/g, '<br>');
 
 const sendMail = async (to, subjectKey, bodyKey, lang = 'en', templateData = {}) => {
   const subject = translate(subjectKey, lang, templateData);
   const text = translate(bodyKey, lang, templateData);
-  const html = `<p>${text.replace(/\n/g, '<br>')}</p>`; // Simple HTML version
+  const html = `<p>${toHtml(text)}</p>`; // Simple HTML version
 
   try {
     await transporter.sendMail({
@@ -42,4 +50,27 @@ const sendMail = async (to, subjectKey, bodyKey, lang = 'en', templateData = {})
   }
 };
 
-export { sendMail };
\ No newline at end of file
+// Sends one mail carrying both the English and the Arabic version of the same
+// message, for flows where we cannot know which language the recipient reads.
+const sendBilingualMail = async (to, subjectKey, bodyKey, templateData = {}) => {
+  const subject = `${translate(subjectKey, 'en', templateData)} | ${translate(subjectKey, 'ar', templateData)}`;
+  const textEn = translate(bodyKey, 'en', templateData);
+  const textAr = translate(bodyKey, 'ar', templateData);
+  const text = `${textEn}\n\n----------\n\n${textAr}`;
+  const html = `<div dir="ltr"><p>${toHtml(textEn)}</p></div><hr><div dir="rtl"><p>${toHtml(textAr)}</p></div>`;
+
+  try {
+    await transporter.sendMail({
+      from: `"Batteryqk" <${process.env.EMAIL_USER}>`,
+      to,
+      subject,
+      text,
+      html,
+    });
+    console.log(`Bilingual email sent to ${to} with subject "${subject}"`);
+  } catch (error) {
+    console.error('Error sending email:', error);
+  }
+};
+
+export { sendMail, sendBilingualMail };
\ No newline at end of file
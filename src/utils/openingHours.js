@@ -0,0 +1,232 @@
+// Structured weekly opening hours of a listing (ListingOpeningHours rows) plus date exceptions
+// (ListingHoursException rows). Times are minutes after midnight in the venue's timezone; a range
+// whose closesAt is not after opensAt runs past midnight (e.g. 18:00-02:00).
+
+const DAY_NAMES = {
+    en: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    ar: ['الأحد', 'الإثنين', 'الثلاثاء', 'الأربعاء', 'الخميس', 'الجمعة', 'السبت'],
+};
+const DAY_INPUT = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+// Display order of the week
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Relations to include whenever a listing is loaded with its hours
+const OPENING_HOURS_INCLUDE = {
+    openingHours: { orderBy: [{ dayOfWeek: 'asc' }, { opensAt: 'asc' }] },
+    hoursExceptions: { orderBy: { date: 'asc' } },
+};
+
+const parseDay = (value) => {
+    if (Number.isInteger(value) || /^\d$/.test(String(value))) {
+        const day = parseInt(value, 10);
+        return day >= 0 && day <= 6 ? day : null;
+    }
+    const index = DAY_INPUT.indexOf(String(value || '').trim().toLowerCase().slice(0, 3));
+    return index === -1 ? null : index;
+};
+
+// "09:00", "9:30", "24:00", "9am", "5:30 pm" -> minutes after midnight
+const parseTime = (value) => {
+    const text = String(value ?? '').trim().toLowerCase();
+    let match = text.match(/^(\d{1,2}):(\d{2})$/);
+    if (match) {
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) return null;
+        return hours * 60 + minutes;
+    }
+    match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/);
+    if (match) {
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2] || '0', 10);
+        if (hours < 1 || hours > 12 || minutes > 59) return null;
+        return ((hours % 12) + (match[3] === 'pm' ? 12 : 0)) * 60 + minutes;
+    }
+    return null;
+};
+
+const parseRange = (entry, label) => {
+    const opensAt = parseTime(entry.open ?? entry.opensAt);
+    const closesAt = parseTime(entry.close ?? entry.closesAt);
+    if (opensAt === null || closesAt === null || opensAt >= 1440) throw new Error(`${label}: times must look like "09:00" or "9am".`);
+    if (opensAt === closesAt) throw new Error(`${label}: opening and closing time are the same.`);
+    return { opensAt, closesAt };
+};
+
+// Form fields arrive as JSON strings
+const parseJsonInput = (input, field) => {
+    if (typeof input !== 'string') return input;
+    try {
+        return JSON.parse(input);
+    } catch {
+        throw new Error(`${field} must be valid JSON.`);
+    }
+};
+
+/**
+ * [{ day: "mon" | 1, open: "09:00", close: "17:00" }, ...] -> rows for ListingOpeningHours.
+ * Throws an Error describing the first invalid entry.
+ */
+const parseOpeningHours = (input) => {
+    const entries = parseJsonInput(input, 'openingHours');
+    if (!Array.isArray(entries)) throw new Error('openingHours must be a list.');
+
+    const rows = entries.map((entry, index) => {
+        const dayOfWeek = parseDay(entry?.day ?? entry?.dayOfWeek);
+        if (dayOfWeek === null) throw new Error(`openingHours[${index}]: unknown day "${entry?.day}".`);
+        return { dayOfWeek, ...parseRange(entry, `openingHours[${index}]`) };
+    });
+
+    // Ranges of the same day may not overlap (overnight ranges are checked up to midnight)
+    for (let day = 0; day < 7; day++) {
+        const ranges = rows.filter(row => row.dayOfWeek === day).sort((a, b) => a.opensAt - b.opensAt);
+        for (let i = 1; i < ranges.length; i++) {
+            const previousEnd = ranges[i - 1].closesAt > ranges[i - 1].opensAt ? ranges[i - 1].closesAt : 1440;
+            if (ranges[i].opensAt < previousEnd) throw new Error(`openingHours: ranges on ${DAY_NAMES.en[day]} overlap.`);
+        }
+    }
+    return rows;
+};
+
+/**
+ * [{ date: "2026-12-18", closed: true, note: "National Day" }, { date: "2026-12-24", open: "10:00", close: "14:00" }]
+ * -> rows for ListingHoursException. Without open/close the venue is closed that day.
+ */
+const parseHoursExceptions = (input) => {
+    const entries = parseJsonInput(input, 'hoursExceptions');
+    if (!Array.isArray(entries)) throw new Error('hoursExceptions must be a list.');
+
+    const seen = new Set();
+    return entries.map((entry, index) => {
+        const dateText = String(entry?.date || '');
+        const date = new Date(`${dateText}T00:00:00Z`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateText) || isNaN(date.getTime())) {
+            throw new Error(`hoursExceptions[${index}]: date must be YYYY-MM-DD.`);
+        }
+        if (seen.has(dateText)) throw new Error(`hoursExceptions: ${dateText} is listed twice.`);
+        seen.add(dateText);
+
+        const hasHours = (entry.open ?? entry.opensAt) !== undefined || (entry.close ?? entry.closesAt) !== undefined;
+        const closed = entry.closed === true || entry.closed === 'true' || !hasHours;
+        const range = closed ? { opensAt: null, closesAt: null } : parseRange(entry, `hoursExceptions[${index}]`);
+        return { date, closed, ...range, note: entry.note ? String(entry.note).slice(0, 200) : null };
+    });
+};
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const formatTime = (minutes, lang) => {
+    const hours24 = Math.floor(minutes / 60) % 24;
+    const suffix = lang === 'ar' ? (hours24 < 12 ? 'ص' : 'م') : (hours24 < 12 ? 'AM' : 'PM');
+    return `${hours24 % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${suffix}`;
+};
+
+/**
+ * Display lines such as "Mon-Fri: 9:00 AM-5:00 PM" (or the Arabic equivalent). Consecutive days
+ * with the same hours are merged; closed days are left out.
+ */
+const formatOpeningHours = (rows = [], lang = 'en') => {
+    const names = DAY_NAMES[lang] || DAY_NAMES.en;
+    const separator = lang === 'ar' ? '، ' : ', ';
+    const hoursOf = (day) => rows
+        .filter(row => row.dayOfWeek === day)
+        .sort((a, b) => a.opensAt - b.opensAt)
+        .map(row => `${formatTime(row.opensAt, lang)}-${formatTime(row.closesAt, lang)}`)
+        .join(separator);
+
+    const lines = [];
+    let group = null;
+    for (const day of WEEK_ORDER) {
+        const hours = hoursOf(day);
+        if (group && hours && group.hours === hours) {
+            group.last = day;
+            continue;
+        }
+        if (group) lines.push(group);
+        group = hours ? { first: day, last: day, hours } : null;
+    }
+    if (group) lines.push(group);
+
+    return lines.map(({ first, last, hours }) =>
+        `${first === last ? names[first] : `${names[first]}-${names[last]}`}: ${hours}`);
+};
+
+// Calendar date, weekday and minute of the day of an instant in the given timezone
+const localTime = (instant, timezone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || 'UTC', year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', weekday: 'short', hourCycle: 'h23',
+    }).formatToParts(instant).map(part => [part.type, part.value]));
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        dayOfWeek: DAY_INPUT.indexOf(parts.weekday.toLowerCase()),
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    };
+};
+
+// UTC offset (ms) of a timezone at an instant
+const zoneOffset = (instant, timezone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || 'UTC', year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', second: 'numeric', hourCycle: 'h23',
+    }).formatToParts(instant).map(part => [part.type, parseInt(part.value, 10)]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// Instant of a local wall-clock time: calendar date ("YYYY-MM-DD") plus minutes (may pass 1440) in the timezone
+const zonedInstant = (date, minutes, timezone) => {
+    const wallClock = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000;
+    const guess = wallClock - zoneOffset(new Date(wallClock), timezone);
+    // Second pass for days where the offset changes (DST)
+    return new Date(wallClock - zoneOffset(new Date(guess), timezone));
+};
+
+const shiftDate = (date, days) => {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+};
+
+// Ranges that apply on a calendar date ("YYYY-MM-DD"), exceptions replace the weekly hours
+const rangesOn = (listing, date) => {
+    const exception = (listing.hoursExceptions || []).find(row => new Date(row.date).toISOString().slice(0, 10) === date);
+    if (exception) return exception.closed ? [] : [{ opensAt: exception.opensAt, closesAt: exception.closesAt }];
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return (listing.openingHours || []).filter(row => row.dayOfWeek === dayOfWeek);
+};
+
+// Whether the venue is open at an instant, in its own timezone (listing needs openingHours + hoursExceptions)
+const isOpenAt = (listing, instant = new Date()) => {
+    const now = localTime(instant, listing.timezone);
+    const openToday = rangesOn(listing, now.date).some(({ opensAt, closesAt }) =>
+        now.minutes >= opensAt && (closesAt <= opensAt || now.minutes < closesAt));
+    if (openToday) return true;
+    // Still inside last night's range that runs past midnight
+    return rangesOn(listing, shiftDate(now.date, -1)).some(({ opensAt, closesAt }) =>
+        closesAt <= opensAt && now.minutes < closesAt);
+};
+
+// Whether the venue opens at all on a calendar date ("YYYY-MM-DD")
+const isOpenOn = (listing, date) => rangesOn(listing, date).length > 0;
+
+export {
+    OPENING_HOURS_INCLUDE,
+    localTime,
+    shiftDate,
+    zonedInstant,
+    rangesOn,
+    parseOpeningHours,
+    parseHoursExceptions,
+    isValidTimezone,
+    formatOpeningHours,
+    isOpenAt,
+    isOpenOn,
+};
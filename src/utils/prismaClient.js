@@ -1,3 +1,6 @@
 import { PrismaClient } from '@prisma/client';
-const prisma = new PrismaClient();
-export default prisma;
\ No newline at end of file
+const prisma = new PrismaClient({
+    // Internal search data, never part of API responses
+    omit: { listing: { searchTextAr: true } },
+});
+export default prisma;
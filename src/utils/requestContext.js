@@ -0,0 +1,21 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request values that code deep in the services needs without threading them through every call
+// (e.g. the API key a request was made with, picked up by recordAuditLog). The context follows the
+// request into awaits and setImmediate callbacks.
+const storage = new AsyncLocalStorage();
+
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+const getRequestContext = () => storage.getStore() || {};
+
+// Starts the context for the rest of the request and keeps a copy on req, see continueWithContext
+const enterRequestContext = (req, context, next) => {
+  req.requestContext = context;
+  runWithContext(context, next);
+};
+
+// Middlewares whose callbacks run from stream events (multer) lose the context; they call next through this
+const continueWithContext = (req, next) => (req.requestContext ? runWithContext(req.requestContext, next) : next());
+
+export { runWithContext, getRequestContext, enterRequestContext, continueWithContext };
@@ -0,0 +1,28 @@
+// Text normalization for the listing full-text search (see the listing_full_text_search migration).
+// Arabic is indexed with the 'simple' configuration, so both the stored translation and the query
+// go through normalizeArabic to match regardless of diacritics and letter variants.
+
+const MAX_QUERY_TERMS = 8;
+
+const normalizeArabic = (text) => String(text || '')
+    .replace(/[ً-ٰٟ]/g, '') // tashkeel (diacritics)
+    .replace(/ـ/g, '') // tatweel
+    .replace(/[آأإٱ]/g, 'ا') // alef variants -> alef
+    .replace(/ى/g, 'ي') // alef maqsura -> yeh
+    .replace(/ة/g, 'ه') // teh marbuta -> heh
+    .replace(/ؤ/g, 'و') // waw with hamza -> waw
+    .replace(/ئ/g, 'ي') // yeh with hamza -> yeh
+    .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660));
+
+/**
+ * User input -> to_tsquery text where every word is a prefix match and all words must match,
+ * e.g. "swim pool" -> "swim:* & pool:*". Returns null when the input has no searchable words.
+ * Only letters and digits survive, so the result is always a valid tsquery.
+ */
+const buildSearchQuery = (input) => {
+    const terms = normalizeArabic(String(input || '').toLowerCase()).match(/[\p{L}\p{N}]+/gu) || [];
+    const unique = [...new Set(terms)].slice(0, MAX_QUERY_TERMS);
+    return unique.length > 0 ? unique.map(term => `${term}:*`).join(' & ') : null;
+};
+
+export { normalizeArabic, buildSearchQuery };
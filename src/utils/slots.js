@@ -0,0 +1,89 @@
+// Bookable time slots of a listing. Slots are cut from the structured opening hours (see openingHours.js)
+// using the listing's slotDuration; slotCapacity persons fit in each slot and slotAgeGroupCapacity
+// optionally caps single age groups, e.g. { "0-2 year": 4 }.
+import { localTime, shiftDate, zonedInstant, rangesOn } from './openingHours.js';
+
+const MAX_SLOT_DURATION = 24 * 60;
+
+const hasSlots = (listing) => Boolean(listing?.slotDuration > 0 && listing?.slotCapacity > 0);
+
+const formatClock = (minutes) => {
+    const time = ((minutes % 1440) + 1440) % 1440;
+    return `${String(Math.floor(time / 60)).padStart(2, '0')}:${String(time % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Slots starting on the calendar dates from..to (inclusive, "YYYY-MM-DD" in the venue's timezone).
+ * Returns [{ startsAt, endsAt, date, label }] sorted by start; label is the local "HH:MM-HH:MM".
+ */
+const listSlots = (listing, from, to) => {
+    if (!hasSlots(listing)) return [];
+    const duration = listing.slotDuration;
+    const slots = [];
+    for (let date = from; date <= to; date = shiftDate(date, 1)) {
+        for (const { opensAt, closesAt } of rangesOn(listing, date)) {
+            const end = closesAt > opensAt ? closesAt : closesAt + 1440;
+            for (let start = opensAt; start + duration <= end; start += duration) {
+                slots.push({
+                    startsAt: zonedInstant(date, start, listing.timezone),
+                    endsAt: zonedInstant(date, start + duration, listing.timezone),
+                    date,
+                    label: `${formatClock(start)}-${formatClock(start + duration)}`,
+                });
+            }
+        }
+    }
+    return slots.sort((a, b) => a.startsAt - b.startsAt);
+};
+
+// The slot starting exactly at an instant, or null (slots after midnight may belong to the previous day's range)
+const findSlot = (listing, instant) => {
+    const { date } = localTime(instant, listing.timezone);
+    return listSlots(listing, shiftDate(date, -1), date)
+        .find(slot => slot.startsAt.getTime() === instant.getTime()) || null;
+};
+
+const parsePositiveInt = (value, field, max = Infinity) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) throw new Error(`${field} must be a whole number between 1 and ${max}.`);
+    return number;
+};
+
+const isEmpty = (value) => value === null || value === '' || value === 'null';
+
+/**
+ * Reads slotDuration (minutes), slotCapacity and slotAgeGroupCapacity from create/update input.
+ * Only keys that were sent are returned; an empty value switches the setting off.
+ * Throws an Error describing the first invalid value.
+ */
+const parseSlotSettings = (data) => {
+    const settings = {};
+    if (data.slotDuration !== undefined) {
+        settings.slotDuration = isEmpty(data.slotDuration) ? null : parsePositiveInt(data.slotDuration, 'slotDuration', MAX_SLOT_DURATION);
+    }
+    if (data.slotCapacity !== undefined) {
+        settings.slotCapacity = isEmpty(data.slotCapacity) ? null : parsePositiveInt(data.slotCapacity, 'slotCapacity');
+    }
+    if (data.slotAgeGroupCapacity !== undefined) {
+        let capacities = data.slotAgeGroupCapacity;
+        if (typeof capacities === 'string' && !isEmpty(capacities)) {
+            try {
+                capacities = JSON.parse(capacities);
+            } catch {
+                throw new Error('slotAgeGroupCapacity must be valid JSON.');
+            }
+        }
+        if (isEmpty(capacities)) {
+            settings.slotAgeGroupCapacity = null;
+        } else {
+            if (typeof capacities !== 'object' || Array.isArray(capacities)) {
+                throw new Error('slotAgeGroupCapacity must map age groups to a capacity, e.g. { "3-5 year": 10 }.');
+            }
+            settings.slotAgeGroupCapacity = Object.fromEntries(Object.entries(capacities).map(([ageGroup, capacity]) =>
+                [ageGroup.trim(), parsePositiveInt(capacity, `slotAgeGroupCapacity["${ageGroup}"]`)]));
+        }
+    }
+    return settings;
+};
+
+export { hasSlots, listSlots, findSlot, parseSlotSettings };
@@ -0,0 +1,282 @@
+// Reading and writing the spreadsheets of the bulk endpoints: CSV (RFC 4180) and the first sheet
+// of an XLSX workbook. Both sides work on plain rows of strings, the first row holding the headers.
+
+import AdmZip from 'adm-zip';
+
+const XLSX_SHEET_NAME = 'Sheet1';
+// Size limits of Excel itself, anything beyond is not a real workbook
+const XLSX_MAX_ROWS = 1048576;
+const XLSX_MAX_COLUMNS = 16384;
+const XLSX_DEFAULT_MAX_ENTRY_SIZE = 100 * 1024 * 1024;
+
+// --- CSV ---
+
+// Text starting like a formula runs as one when the CSV is opened in a spreadsheet program (CSV injection).
+// Such cells are written with a leading apostrophe; unescapeCsvFormula takes it off again on import.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const unescapeCsvFormula = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+const formatCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Objects -> CSV text with a header line (CRLF line ends). Without `columns` every key that
+ * appears in any row becomes a column, in order of appearance.
+ */
+const toCsv = (rows, columns = null) => {
+    const header = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+    if (header.length === 0) return '';
+    const lines = rows.map(row => header.map(column => formatCsvValue(row[column])).join(','));
+    return [header.map(formatCsvValue).join(','), ...lines].join('\r\n');
+};
+
+// Spreadsheet programs with a comma decimal separator save CSV with semicolons
+const detectDelimiter = (text) => {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/)).replace(/"[^"]*"/g, '');
+    return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+};
+
+/**
+ * CSV text -> rows of strings. Handles quoted fields with commas, quotes and line breaks, a UTF-8 BOM
+ * and both comma and semicolon separators. Blank lines are kept so row numbers match the file.
+ */
+const parseCsv = (input) => {
+    const text = String(input).replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new Error('CSV ends inside a quoted field.');
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+};
+
+// --- XLSX ---
+
+const decodeXml = (text) => text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    // Characters XML cannot hold are written as _xHHHH_ by Excel
+    .replace(/_x([0-9a-f]{4})_/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+const escapeXml = (text) => String(text)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const attribute = (tag, name) => {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? decodeXml(match[1]) : null;
+};
+
+// Text of a shared or inline string: all <t> runs, without phonetic guides
+const stringItemText = (xml) => [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+    .map(match => decodeXml(match[1]))
+    .join('');
+
+// "A" -> 0, "AB" -> 27
+const columnIndex = (reference) => {
+    const letters = String(reference || '').match(/^[A-Z]+/i);
+    if (!letters) return null;
+    return [...letters[0].toUpperCase()].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+// 0 -> "A", 27 -> "AB"
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+// The declared size is checked before inflating (zip bombs); adm-zip stops inflating at that size,
+// except for entries declared empty, which are therefore never inflated
+const zipText = (zip, name, maxSize) => {
+    const entry = zip.getEntry(name);
+    if (!entry) return null;
+    if (entry.header.size > maxSize) throw new Error(`The workbook part ${name} is too large once uncompressed.`);
+    return entry.header.size === 0 ? '' : entry.getData().toString('utf8');
+};
+
+// Path of the first worksheet, following the workbook relationships
+const firstSheetPath = (zip, maxSize) => {
+    const workbook = zipText(zip, 'xl/workbook.xml', maxSize);
+    const relations = zipText(zip, 'xl/_rels/workbook.xml.rels', maxSize);
+    const sheet = workbook?.match(/<sheet\b[^>]*>/);
+    const relationId = sheet && (attribute(sheet[0], 'r:id') || attribute(sheet[0], 'id'));
+    if (relationId && relations) {
+        const relation = [...relations.matchAll(/<Relationship\b[^>]*>/g)]
+            .find(match => attribute(match[0], 'Id') === relationId);
+        const target = relation && attribute(relation[0], 'Target');
+        if (target) return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+    }
+    return 'xl/worksheets/sheet1.xml';
+};
+
+/**
+ * First sheet of an XLSX workbook -> rows of strings. Numbers come back as written in the cell
+ * (dates therefore as serial numbers), formulas as their last calculated value. Rows missing from the
+ * sheet come back empty so row numbers match the workbook. `maxEntrySize` caps the uncompressed size
+ * of each part that is read.
+ */
+const readXlsx = (buffer, { maxEntrySize = XLSX_DEFAULT_MAX_ENTRY_SIZE } = {}) => {
+    let zip;
+    try {
+        zip = new AdmZip(buffer);
+    } catch {
+        throw new Error('The file is not a valid XLSX workbook.');
+    }
+    const sheet = zipText(zip, firstSheetPath(zip, maxEntrySize), maxEntrySize);
+    if (!sheet) throw new Error('The workbook has no worksheet.');
+
+    const sharedStrings = [...(zipText(zip, 'xl/sharedStrings.xml', maxEntrySize) || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+        .map(match => stringItemText(match[1]));
+
+    const rows = [];
+    for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const rowNumber = parseInt(attribute(` ${rowMatch[1]}`, 'r'), 10) || rows.length + 1;
+        if (rowNumber > XLSX_MAX_ROWS) throw new Error(`The sheet has more than ${XLSX_MAX_ROWS} rows.`);
+        while (rows.length < rowNumber - 1) rows.push([]);
+        const row = [];
+        let next = 0;
+        for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const [, attributes, content = ''] = cellMatch;
+            const index = columnIndex(attribute(` ${attributes}`, 'r')) ?? next;
+            if (index >= XLSX_MAX_COLUMNS) throw new Error(`The sheet has more than ${XLSX_MAX_COLUMNS} columns.`);
+            next = index + 1;
+
+            const type = attribute(` ${attributes}`, 't');
+            const raw = content.match(/<v>([\s\S]*?)<\/v>/);
+            let value = '';
+            if (type === 'inlineStr') {
+                value = stringItemText(content.match(/<is>([\s\S]*?)<\/is>/)?.[1] || '');
+            } else if (type === 's') {
+                value = raw ? sharedStrings[parseInt(raw[1], 10)] ?? '' : '';
+            } else if (type === 'b') {
+                value = raw ? (raw[1] === '1' ? 'TRUE' : 'FALSE') : '';
+            } else if (raw) {
+                value = decodeXml(raw[1]);
+            }
+            while (row.length < index) row.push('');
+            row[index] = value;
+        }
+        rows.push(row);
+    }
+    return rows;
+};
+
+/**
+ * Objects -> XLSX workbook (Buffer) with one sheet: a header row of `columns`, then one row per object.
+ * Finite numbers are written as numbers, everything else as text.
+ */
+const writeXlsx = (rows, columns) => {
+    const cell = (value, rowNumber, index) => {
+        const reference = `${columnName(index)}${rowNumber}`;
+        if (value === null || value === undefined || value === '') return '';
+        if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${reference}"><v>${value}</v></c>`;
+        const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    };
+    const sheetRows = [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map((values, i) => `<row r="${i + 1}">${values.map((value, index) => cell(value, i + 1, index)).join('')}</row>`);
+
+    const zip = new AdmZip();
+    zip.addFile('[Content_Types].xml', Buffer.from(
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>'
+    ));
+    zip.addFile('_rels/.rels', Buffer.from(
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+    ));
+    zip.addFile('xl/workbook.xml', Buffer.from(
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${XLSX_SHEET_NAME}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>'
+    ));
+    zip.addFile('xl/_rels/workbook.xml.rels', Buffer.from(
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>'
+    ));
+    zip.addFile('xl/worksheets/sheet1.xml', Buffer.from(
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<sheetData>${sheetRows.join('')}</sheetData>`
+        + '</worksheet>'
+    ));
+    return zip.toBuffer();
+};
+
+// XLSX files are ZIP archives ("PK" signature), anything else is read as UTF-8 CSV
+const isXlsx = (buffer) => buffer.length > 3 && buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04;
+
+// `options` are passed to readXlsx
+const readSpreadsheet = (buffer, options = {}) => (isXlsx(buffer) ? readXlsx(buffer, options) : parseCsv(buffer.toString('utf8')));
+
+export {
+    toCsv,
+    detectDelimiter,
+    parseCsv,
+    unescapeCsvFormula,
+    readXlsx,
+    writeXlsx,
+    isXlsx,
+    readSpreadsheet,
+};
@@ -0,0 +1,20 @@
+import localDriver from './localDriver.js';
+import s3Driver from './s3Driver.js';
+import remoteDriver from './remoteDriver.js';
+
+// Where listing images are stored, chosen with STORAGE_DRIVER=local|s3|remote. Defaults to the
+// remote upload service, which stored every image before the drivers existed.
+// Every driver implements:
+//   save(file)  -> { url, key }   file is a multer memory file ({ buffer, originalname, mimetype })
+//   remove(url) -> true/false     false when the URL is not managed by the driver
+const drivers = { local: localDriver, s3: s3Driver, remote: remoteDriver };
+
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'remote').toLowerCase();
+if (!drivers[STORAGE_DRIVER]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}", expected one of: ${Object.keys(drivers).join(', ')}`);
+}
+
+const storage = drivers[STORAGE_DRIVER];
+console.log(`Image storage driver: ${storage.name}`);
+
+export default storage;
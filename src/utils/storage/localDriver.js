@@ -0,0 +1,24 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { UPLOAD_DIR, getFileUrl, deleteFile } from '../../middlewares/multer.js';
+
+// Files go to the app's own uploads directory, which app.js serves under /uploads
+const localDriver = {
+    name: 'local',
+
+    async save(file) {
+        const extension = path.extname(file.originalname || '').toLowerCase();
+        const fileName = `${uuidv4()}${extension}`;
+        await fs.promises.writeFile(path.join(UPLOAD_DIR, fileName), file.buffer);
+        return { url: getFileUrl(fileName), key: fileName };
+    },
+
+    async remove(url) {
+        const pathname = new URL(url, 'http://localhost').pathname;
+        if (!pathname.startsWith('/uploads/')) return false; // not one of ours
+        return deleteFile(path.basename(pathname));
+    },
+};
+
+export default localDriver;
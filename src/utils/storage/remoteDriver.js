@@ -0,0 +1,53 @@
+import path from 'path';
+import axios from 'axios';
+import FormData from 'form-data';
+
+// The separate upload service used before the storage drivers existed
+const REMOTE_UPLOAD_URL = (process.env.REMOTE_UPLOAD_URL || 'http://u8c040k0kgggogk8g0coosww-032347850067:3001').replace(/\/+$/, '');
+// Origin of the image URLs the service hands out, when it is not the one the API talks to
+const REMOTE_PUBLIC_URL = (process.env.REMOTE_PUBLIC_URL || REMOTE_UPLOAD_URL).replace(/\/+$/, '');
+const REMOTE_TIMEOUT_MS = parseInt(process.env.REMOTE_UPLOAD_TIMEOUT_MS, 10) || 30000;
+
+const originOf = (url) => {
+    try {
+        return new URL(url).origin;
+    } catch {
+        return null;
+    }
+};
+
+const remoteDriver = {
+    name: 'remote',
+
+    async save(file) {
+        const formData = new FormData();
+        formData.append('main_image', file.buffer, { filename: file.originalname, contentType: file.mimetype });
+
+        const response = await axios.post(`${REMOTE_UPLOAD_URL}/upload`, formData, {
+            headers: formData.getHeaders(),
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+            timeout: REMOTE_TIMEOUT_MS,
+        });
+
+        const url = response.data?.main_image?.url;
+        if (!url) throw new Error('Upload service returned no URL.');
+        return { url, key: path.basename(new URL(url).pathname) };
+    },
+
+    async remove(url) {
+        // The service deletes by file name: a URL from anywhere else (e.g. an imported listing) must not reach it
+        if (originOf(url) !== originOf(REMOTE_PUBLIC_URL)) return false; // not one of ours
+        const filename = path.basename(new URL(url).pathname);
+        const response = await axios.delete(`${REMOTE_UPLOAD_URL}/delete/${encodeURIComponent(filename)}`, {
+            timeout: REMOTE_TIMEOUT_MS,
+            validateStatus: () => true,
+        });
+        if (response.status >= 400 || !response.data?.success) {
+            throw new Error(response.data?.error || `Upload service answered ${response.status}.`);
+        }
+        return true;
+    },
+};
+
+export default remoteDriver;
@@ -0,0 +1,55 @@
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+// Works with AWS S3 and S3-compatible services (MinIO, Cloudflare R2, DigitalOcean Spaces...)
+const S3_BUCKET = process.env.S3_BUCKET;
+const S3_REGION = process.env.S3_REGION || 'us-east-1';
+const S3_ENDPOINT = process.env.S3_ENDPOINT; // Only for S3-compatible services
+const S3_KEY_PREFIX = process.env.S3_KEY_PREFIX || 'listings';
+// Base URL the objects are publicly served from (bucket website, CDN...)
+const S3_PUBLIC_URL = (process.env.S3_PUBLIC_URL
+    || (S3_ENDPOINT ? `${S3_ENDPOINT}/${S3_BUCKET}` : `https://${S3_BUCKET}.s3.${S3_REGION}.amazonaws.com`)).replace(/\/+$/, '');
+
+let client = null;
+const getClient = () => {
+    if (!S3_BUCKET) throw new Error('S3_BUCKET is not configured.');
+    if (!client) {
+        client = new S3Client({
+            region: S3_REGION,
+            endpoint: S3_ENDPOINT || undefined,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            credentials: process.env.S3_ACCESS_KEY_ID ? {
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            } : undefined, // Falls back to the SDK's default chain (env, instance role...)
+        });
+    }
+    return client;
+};
+
+const s3Driver = {
+    name: 's3',
+
+    async save(file) {
+        const extension = path.extname(file.originalname || '').toLowerCase();
+        const key = `${S3_KEY_PREFIX}/${uuidv4()}${extension}`;
+        await getClient().send(new PutObjectCommand({
+            Bucket: S3_BUCKET,
+            Key: key,
+            Body: file.buffer,
+            ContentType: file.mimetype,
+            CacheControl: 'public, max-age=31536000, immutable', // Keys are never reused
+        }));
+        return { url: `${S3_PUBLIC_URL}/${key}`, key };
+    },
+
+    async remove(url) {
+        if (!url.startsWith(`${S3_PUBLIC_URL}/`)) return false; // not one of ours
+        const key = decodeURIComponent(url.slice(S3_PUBLIC_URL.length + 1));
+        await getClient().send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+        return true;
+    },
+};
+
+export default s3Driver;
@@ -0,0 +1,80 @@
+// Minimal TOTP (RFC 6238) implementation on top of node's crypto, compatible with
+// Google Authenticator, Authy, Microsoft Authenticator etc. (SHA-1, 6 digits, 30s steps).
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character.');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret as recommended by RFC 4226, base32 encoded for authenticator apps
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP value (RFC 4226) for one time step
+const generateCode = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Checks a code against the current step and `window` steps either side (clock drift).
+ * Returns the matching time step, or null. Callers store the step to refuse replays.
+ */
+const verifyCode = (secret, code, window = 1) => {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+    const now = currentStep();
+    for (let drift = -window; drift <= window; drift++) {
+        const candidate = Buffer.from(generateCode(secret, now + drift));
+        if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) return now + drift;
+    }
+    return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+const buildOtpauthUri = (secret, accountName, issuer = 'Batteryqk') => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export { generateSecret, generateCode, verifyCode, buildOtpauthUri, currentStep };